@@ -0,0 +1,229 @@
+import express from 'express';
+
+/* ======================
+   API REST (/api/v1)
+   - cada ruta se declara con su esquema: se valida la entrada y sale sola en openapi.json
+   - errores siempre { error: { code, message, details?, request_id? } } con su status HTTP
+   - sin DB ni Discord: bot.js pone la lógica
+====================== */
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Subconjunto de JSON Schema: type, enum, minimum, maximum, minLength, maxLength, pattern,
+// items, minItems, maxItems, properties, required, additionalProperties, default, nullable.
+// coerce = viene de la URL (todo texto): "12" -> 12, "true" -> true
+export function validate(schema, value, where = 'body', { coerce = false } = {}) {
+  const errors = [];
+  const out = check(schema, value, where, errors, coerce);
+  return { value: out, errors };
+}
+
+function check(schema, value, where, errors, coerce) {
+  if (value === undefined || (coerce && value === '')) {
+    return schema.default === undefined ? undefined : structuredClone(schema.default);
+  }
+  if (value === null) {
+    if (!schema.nullable) errors.push(`${where}: no puede ser null`);
+    return null;
+  }
+
+  let v = value;
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      if (coerce && typeof v === 'string' && v.trim() !== '') v = Number(v);
+      if (typeof v !== 'number' || !Number.isFinite(v) || (schema.type === 'integer' && !Number.isInteger(v))) {
+        errors.push(`${where}: debe ser ${schema.type === 'integer' ? 'un entero' : 'un número'}`);
+        return;
+      }
+      if (schema.minimum != null && v < schema.minimum) errors.push(`${where}: mínimo ${schema.minimum}`);
+      if (schema.maximum != null && v > schema.maximum) errors.push(`${where}: máximo ${schema.maximum}`);
+      break;
+    }
+    case 'boolean':
+      if (coerce && ['true', '1'].includes(v)) v = true;
+      if (coerce && ['false', '0'].includes(v)) v = false;
+      if (typeof v !== 'boolean') {
+        errors.push(`${where}: debe ser true o false`);
+        return;
+      }
+      break;
+    case 'string':
+      if (typeof v !== 'string') {
+        errors.push(`${where}: debe ser texto`);
+        return;
+      }
+      if (schema.minLength != null && v.trim().length < schema.minLength) errors.push(`${where}: mínimo ${schema.minLength} caracteres`);
+      if (schema.maxLength != null && v.length > schema.maxLength) errors.push(`${where}: máximo ${schema.maxLength} caracteres`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(v)) errors.push(`${where}: formato no válido`);
+      break;
+    case 'array':
+      if (!Array.isArray(v)) {
+        errors.push(`${where}: debe ser una lista`);
+        return;
+      }
+      if (schema.minItems != null && v.length < schema.minItems) errors.push(`${where}: mínimo ${schema.minItems} elementos`);
+      if (schema.maxItems != null && v.length > schema.maxItems) errors.push(`${where}: máximo ${schema.maxItems} elementos`);
+      v = v.map((it, i) => check(schema.items ?? {}, it, `${where}[${i}]`, errors, coerce));
+      break;
+    case 'object': {
+      if (typeof v !== 'object' || Array.isArray(v)) {
+        errors.push(`${where}: debe ser un objeto`);
+        return;
+      }
+      const props = schema.properties ?? {};
+      for (const k of schema.required ?? []) {
+        if (v[k] === undefined) errors.push(`${where}.${k}: obligatorio`);
+      }
+      if (schema.additionalProperties === false) {
+        for (const k of Object.keys(v)) if (!(k in props)) errors.push(`${where}.${k}: campo desconocido`);
+      }
+      const out = {};
+      for (const [k, sub] of Object.entries(props)) {
+        const r = check(sub, v[k], `${where}.${k}`, errors, coerce);
+        if (r !== undefined) out[k] = r;
+      }
+      v = out;
+      break;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(v)) errors.push(`${where}: debe ser ${schema.enum.join(' | ')}`);
+  return v;
+}
+
+// /movies/:id -> /movies/{id}
+const toOpenApiPath = (p) => p.replace(/:(\w+)/g, '{$1}');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string' },
+        message: { type: 'string' },
+        details: {},
+        request_id: { type: 'string', description: 'Para buscar la petición en los logs' },
+      },
+      required: ['code', 'message'],
+    },
+  },
+};
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// -> { route(method, path, spec, handler), schema(name, def), openapi(), mount(app) }
+// spec = { summary, tags, scope, params, query, body, response, contentType, status, description, public }
+// handler({ req, res, auth, params, query, body }) -> cuerpo de la respuesta (o lanza ApiError)
+// auth(req, spec) -> lo que sepa de quién llama (o lanza ApiError); no se llama en rutas public
+// req.id (si lo hay) sale como request_id en los errores; log = logger del bot (por defecto console)
+export function createApi({ title, version, basePath, parameters = [], securitySchemes = null, auth = null, log = console }) {
+  const router = express.Router();
+  const routes = [];
+  const schemas = { Error: ERROR_SCHEMA };
+
+  const input = (schema, value, where, coerce) => {
+    if (!schema) return value;
+    const { value: out, errors } = validate(schema, value ?? {}, where, { coerce });
+    if (errors.length) throw new ApiError(400, 'invalid_request', 'La petición no es válida', errors);
+    return out ?? {};
+  };
+
+  function sendError(req, res, e) {
+    const requestId = req.id ? { request_id: req.id } : {};
+    if (e instanceof ApiError) {
+      return res.status(e.status).json({
+        error: { code: e.code, message: e.message, ...(e.details !== undefined ? { details: e.details } : {}), ...requestId },
+      });
+    }
+    (req.log ?? log).error(`API ${basePath}: error interno`, { method: req.method, path: req.originalUrl, err: e });
+    return res.status(500).json({ error: { code: 'server_error', message: 'Error interno', ...requestId } });
+  }
+
+  function route(method, path, spec, handler) {
+    routes.push({ method, path, spec });
+    router[method](path, async (req, res) => {
+      try {
+        const who = !spec.public && auth ? await auth(req, spec) : null;
+        const params = input(spec.params, req.params, 'params', true);
+        const query = input(spec.query, req.query, 'query', true);
+        const body = input(spec.body, req.body, 'body', false);
+
+        const result = await handler({ req, res, auth: who, params, query, body });
+        if (res.headersSent) return;
+
+        const status = spec.status ?? (method === 'post' ? 201 : method === 'delete' ? 204 : 200);
+        if (status === 204) return res.status(204).end();
+        return res.status(status).json(result);
+      } catch (e) {
+        return sendError(req, res, e);
+      }
+    });
+  }
+
+  function openapi() {
+    const paths = {};
+    for (const { method, path, spec } of routes) {
+      const params = [
+        ...Object.entries(spec.params?.properties ?? {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+        ...Object.entries(spec.query?.properties ?? {}).map(([name, schema]) => ({
+          name, in: 'query', required: (spec.query.required ?? []).includes(name), schema,
+          ...(schema.description ? { description: schema.description } : {}),
+        })),
+        ...(spec.public ? [] : parameters),
+      ];
+
+      const status = String(spec.status ?? (method === 'post' ? 201 : method === 'delete' ? 204 : 200));
+      const responses = {
+        [status]: status === '204'
+          ? { description: 'Hecho' }
+          : { description: spec.description ?? 'OK', content: { [spec.contentType ?? 'application/json']: { schema: spec.response ?? {} } } },
+        default: { description: 'Error', content: { 'application/json': { schema: ref('Error') } } },
+      };
+
+      paths[toOpenApiPath(path)] ??= {};
+      paths[toOpenApiPath(path)][method] = {
+        summary: spec.summary,
+        ...(spec.tags ? { tags: spec.tags } : {}),
+        ...(params.length ? { parameters: params } : {}),
+        ...(spec.body ? { requestBody: { required: true, content: { 'application/json': { schema: spec.body } } } } : {}),
+        responses,
+        ...(spec.public ? { security: [] } : {}),
+        ...(spec.scope ? { 'x-scope': spec.scope } : {}),
+      };
+    }
+
+    return {
+      openapi: '3.0.3',
+      info: { title, version },
+      servers: [{ url: basePath }],
+      ...(securitySchemes ? { security: Object.keys(securitySchemes).map(k => ({ [k]: [] })) } : {}),
+      components: { schemas, ...(securitySchemes ? { securitySchemes } : {}) },
+      paths,
+    };
+  }
+
+  // Después de declarar las rutas: 404 en JSON y errores de antes de llegar a una (JSON roto...)
+  function mount(app) {
+    router.use((req, res) => sendError(req, res, new ApiError(404, 'not_found', `No existe ${req.method} ${basePath}${req.path}`)));
+    app.use(basePath, router);
+    app.use(basePath, (err, req, res, next) => {
+      if (err?.type === 'entity.parse.failed') return sendError(req, res, new ApiError(400, 'invalid_json', 'El cuerpo no es JSON válido'));
+      return sendError(req, res, err);
+    });
+  }
+
+  return {
+    route,
+    schema: (name, def) => { schemas[name] = def; return ref(name); },
+    openapi,
+    mount,
+  };
+}
@@ -0,0 +1,143 @@
+/* ======================
+   AUDITORÍA (primitivas)
+   - cada acción guarda las filas que tocó (before/after en JSON) para /deshacer
+   - los cambios se calculan dentro de la transacción de quien escribe
+====================== */
+
+// Tablas que se pueden restaurar desde el log (el nombre va directo al SQL)
+const AUDIT_TABLES = new Set([
+  'movies', 'viewings', 'ratings', 'movie_prefs', 'poll_history', 'poll_history_items', 'nights', 'night_rsvps',
+]);
+
+export function createAudit(db) {
+  function auditTable(table) {
+    if (!AUDIT_TABLES.has(table)) throw new Error(`Tabla no auditable: ${table}`);
+    return table;
+  }
+
+  // Inserta la fila tal cual (mismo id) -> id insertado
+  function insertRow(table, row) {
+    const cols = Object.keys(row);
+    return db.prepare(`
+      INSERT INTO ${auditTable(table)} (${cols.join(', ')}) VALUES (${cols.map(k => `@${k}`).join(', ')})
+    `).run(row).lastInsertRowid;
+  }
+
+  function auditRow(table, id) {
+    return db.prepare(`SELECT * FROM ${auditTable(table)} WHERE id=?`).get(id) || null;
+  }
+
+  // Un cambio = { table, op: insert|update|delete, rowId, before, after }
+  // Tablas sin id (ratings, movie_prefs...): id = null y se pasa la fila
+  function auditInsert(table, id, row = null) {
+    if (id == null) return { table, op: 'insert', rowId: null, before: null, after: row };
+    return { table, op: 'insert', rowId: Number(id), before: null, after: auditRow(table, id) };
+  }
+
+  // Ejecuta fn() sobre la fila -> cambio (null si no existía o quedó igual)
+  function auditUpdate(table, id, fn) {
+    const before = auditRow(table, id);
+    fn();
+    const after = auditRow(table, id);
+    if (!before || JSON.stringify(before) === JSON.stringify(after)) return null;
+    return { table, op: 'update', rowId: Number(id), before, after };
+  }
+
+  // Borra lo que cumpla `where` -> un cambio por fila (guarda la fila entera)
+  function auditDelete(table, where, ...params) {
+    auditTable(table);
+    const rows = db.prepare(`SELECT * FROM ${table} WHERE ${where}`).all(...params);
+    db.prepare(`DELETE FROM ${table} WHERE ${where}`).run(...params);
+    return rows.map(row => ({ table, op: 'delete', rowId: row.id ?? null, before: row, after: null }));
+  }
+
+  // ctx = { guildId, actor (user id o 'gpt'), source (comando o ruta) } -> id de la acción (null si no cambió nada)
+  function recordAudit(ctx, summary, changes) {
+    const list = changes.filter(Boolean);
+    if (!list.length) return null;
+
+    return db.transaction(() => {
+      const actionId = db.prepare(`
+        INSERT INTO audit_actions (guild_id, actor, source, summary) VALUES (?, ?, ?, ?)
+      `).run(ctx.guildId, ctx.actor ?? null, ctx.source, summary ?? null).lastInsertRowid;
+
+      const ins = db.prepare(`
+        INSERT INTO audit_changes (action_id, seq, table_name, op, row_id, before, after)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      list.forEach((c, i) => ins.run(
+        actionId, i, c.table, c.op, c.rowId ?? null,
+        c.before ? JSON.stringify(c.before) : null,
+        c.after ? JSON.stringify(c.after) : null
+      ));
+      return actionId;
+    })();
+  }
+
+  // -> true si se pudo deshacer; false si la fila ya no está / choca con otra
+  function undoChange(c) {
+    const table = auditTable(c.table_name);
+    const before = c.before ? JSON.parse(c.before) : null;
+
+    if (c.op === 'insert') {
+      if (c.row_id == null) {
+        const after = JSON.parse(c.after);
+        const where = Object.keys(after).map(k => `${k} IS @${k}`).join(' AND ');
+        return db.prepare(`DELETE FROM ${table} WHERE ${where}`).run(after).changes > 0;
+      }
+      if (table === 'viewings') db.prepare(`DELETE FROM ratings WHERE viewing_id=?`).run(c.row_id);
+      return db.prepare(`DELETE FROM ${table} WHERE id=?`).run(c.row_id).changes > 0;
+    }
+
+    if (c.op === 'update') {
+      const cols = Object.keys(before).filter(k => k !== 'id');
+      return db.prepare(`UPDATE ${table} SET ${cols.map(k => `${k}=@${k}`).join(', ')} WHERE id=@id`).run(before).changes > 0;
+    }
+
+    // delete -> la fila vuelve tal cual (mismo id)
+    try {
+      insertRow(table, before);
+      return true;
+    } catch (e) {
+      if (String(e?.code).startsWith('SQLITE_CONSTRAINT')) return false;
+      throw e;
+    }
+  }
+
+  // Deshace una acción entera (de su último cambio al primero)
+  // -> { action, applied, conflicts, changes } | null si no existe o ya estaba deshecha
+  function undoAction(actionId, userId) {
+    const action = db.prepare(`SELECT * FROM audit_actions WHERE id=? AND undone_at IS NULL`).get(actionId);
+    if (!action) return null;
+
+    const changes = db.prepare(`SELECT * FROM audit_changes WHERE action_id=? ORDER BY seq DESC`).all(actionId);
+    return db.transaction(() => {
+      let applied = 0;
+      let conflicts = 0;
+      for (const c of changes) undoChange(c) ? applied++ : conflicts++;
+      db.prepare(`UPDATE audit_actions SET undone_at=datetime('now'), undone_by=? WHERE id=?`).run(userId ?? null, actionId);
+      return { action, applied, conflicts, changes };
+    })();
+  }
+
+  // Las n últimas acciones sin deshacer del servidor, de la más nueva a la más vieja -> ids
+  function lastActionIds(guildId, n) {
+    return db.prepare(`
+      SELECT id FROM audit_actions WHERE guild_id=? AND undone_at IS NULL ORDER BY id DESC LIMIT ?
+    `).all(guildId, n).map(r => r.id);
+  }
+
+  // Página de /auditoria (la más nueva primero), cada acción con su número de cambios
+  function listActions(guildId, { limit, offset = 0 }) {
+    const rows = db.prepare(`
+      SELECT a.*, (SELECT COUNT(*) FROM audit_changes c WHERE c.action_id=a.id) AS changes
+      FROM audit_actions a
+      WHERE a.guild_id=?
+      ORDER BY a.id DESC
+      LIMIT ? OFFSET ?
+    `).all(guildId, limit, offset);
+    return { rows, total: db.prepare(`SELECT COUNT(*) AS c FROM audit_actions WHERE guild_id=?`).get(guildId).c };
+  }
+
+  return { insertRow, auditInsert, auditUpdate, auditDelete, recordAudit, undoChange, undoAction, lastActionIds, listActions };
+}
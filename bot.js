@@ -0,0 +1,4540 @@
+import express from 'express';
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import axios from 'axios';
+import { openDatabase } from './db.js';
+import { createAudit } from './audit.js';
+import { createRepository, GUILD_TABLES, openSnapshot } from './repository.js';
+import { createMovieService, formatMovieLine, parseTmdbRef } from './movies.js';
+import { createPollService } from './polls.js';
+import { createNightService } from './nights.js';
+import { createCommandRegistry } from './commands.js';
+import { createTmdbClient } from './tmdb.js';
+import { createApi, ApiError } from './api.js';
+import { createWebhooks, checkWebhookUrl } from './webhooks.js';
+import { createLogger, shortId } from './logger.js';
+import { createMetrics } from './metrics.js';
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  MOVIE_FIELDS,
+  toCsv,
+  detectImportFormat,
+  validateExport,
+  fromPistachoCsv,
+  fromLetterboxd,
+  fromImdb,
+} from './exchange.js';
+import {
+  Client,
+  GatewayIntentBits,
+  REST,
+  Routes,
+  Status,
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  AttachmentBuilder,
+  InteractionContextType,
+  PermissionFlagsBits,
+  GuildScheduledEventEntityType,
+  GuildScheduledEventPrivacyLevel,
+} from 'discord.js';
+
+/* ======================
+   BOT (fábrica): createBot() monta todo sin tocar la red; start() registra comandos, abre el HTTP y conecta
+   - env, db, client (Discord), rest, tmdb y logger se pueden inyectar: las pruebas usan Discord y TMDB de mentira
+====================== */
+export function createBot(deps = {}) {
+  const env = deps.env ?? process.env;
+  const log = deps.logger ?? createLogger({ level: env.LOG_LEVEL || 'info' });
+
+  /* ======================
+     CONFIG
+  ====================== */
+  const { DISCORD_TOKEN, DISCORD_APP_ID, TMDB_BEARER, ADMIN_ROLE_IDS, GUILD_IDS } = env;
+
+  // Servidores donde registrar comandos (al instante). Vacío = comandos globales (tardan en propagarse).
+  const GUILD_ID_LIST = (GUILD_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  // Servidor al que pertenecen los datos de antes del multi-servidor (solo para migrar una DB antigua)
+  const LEGACY_GUILD_ID = env.LEGACY_GUILD_ID || null;
+
+  // Ajustes (valores por defecto: cada servidor puede cambiarlos con /config)
+  const COOLDOWN_HOURS = 24;          // no repetir sugerida en 24h (si hay opciones)
+  const AVOID_LAST_POLLS = 3;         // evita pelis de las últimas N votaciones (si hay opciones)
+  const VOTE_DURATION_MS = 300_000;   // ⏱️ 5 minutos (cambia aquí si quieres)
+  const VOTE_OPTIONS_DEFAULT = 3;     // si /votar sin titulos
+  const LIST_LIMIT = 100;
+  const SCHEDULE_WINNER = true;       // la ganadora de una votación queda como "próxima peli"
+  const VOTE_MODE_DEFAULT = 'plurality'; // plurality | approval | ranked
+  const TIE_BREAK_DEFAULT = 'random';    // random | runoff | admin
+  const RUNOFF_DURATION_MS = 120_000;    // ⏱️ desempate: 2 minutos
+  const AMBIGUOUS_SCORE_RATIO = 0.5;     // /add y /movie preguntan si la 2ª opción puntúa >= 50% de la 1ª
+  const CANDIDATES_MAX = 5;              // opciones a elegir cuando hay dudas
+  const WATCH_REGION_DEFAULT = 'ES';     // país para "¿dónde la veo?"
+  const PROVIDERS_TTL_HOURS = 72;        // el catálogo de plataformas cambia: refresca cada 3 días
+  const TIMEZONE_DEFAULT = 'Europe/Madrid';
+  const NIGHT_REMINDERS_DEFAULT = [1440, 60]; // avisos /noche: minutos antes
+  const NIGHT_POLL_HOURS_DEFAULT = 3;         // sin peli: /votar automático N horas antes
+  const NIGHT_POLL_CLOSE_BEFORE_MS = 30 * 60_000; // la votación automática cierra 30 min antes
+  const NIGHT_DEFAULT_LENGTH_MS = 150 * 60_000;   // duración del evento de Discord si no sabemos la peli
+
+  // Modos de votación / desempates (valores que aceptan /votar y /gpt/votar)
+  const POLL_MODES = {
+    plurality: { name: 'Un voto (mayoría)', footer: 'Vota con botones (puedes cambiar tu voto).' },
+    approval: { name: 'Aprobación (varias)', footer: 'Pulsa todas las que te valgan (otra vez para quitarla).' },
+    ranked: { name: 'Ranking (segunda vuelta)', footer: 'Ordena tus preferencias con los menús (puedes cambiarlas).' },
+  };
+  const TIE_BREAKS = {
+    random: 'Al azar',
+    runoff: 'Segunda votación',
+    admin: 'Decide un admin',
+  };
+  // Géneros TMDB (ids fijos de /genre/movie/list)
+  const TMDB_GENRES = {
+    28: 'Acción', 12: 'Aventura', 16: 'Animación', 35: 'Comedia', 80: 'Crimen',
+    99: 'Documental', 18: 'Drama', 10751: 'Familia', 14: 'Fantasía', 36: 'Historia',
+    27: 'Terror', 10402: 'Música', 9648: 'Misterio', 10749: 'Romance', 878: 'Ciencia ficción',
+    10770: 'Película de TV', 53: 'Suspense', 10752: 'Bélica', 37: 'Western',
+  };
+
+  // /list y /gpt/list
+  const LIST_PAGE_SIZE = 10;
+  const LIST_STATUSES = { pending: 'Pendientes', watched: 'Vistas', all: 'Todas' };
+  const LIST_SORTS = {
+    added: { name: 'Fecha añadida' },
+    rating: { name: 'Nota TMDB' },
+    suggested: { name: 'Veces sugerida' },
+  };
+  const RANK_LABELS = ['🥇 1ª preferencia', '🥈 2ª preferencia', '🥉 3ª preferencia', '4ª preferencia', '5ª preferencia'];
+
+  if (!DISCORD_TOKEN || !DISCORD_APP_ID || !TMDB_BEARER) {
+    throw new Error('Faltan variables en .env (DISCORD_TOKEN, DISCORD_APP_ID, TMDB_BEARER)');
+  }
+
+  /* ======================
+     ADMIN ROLES (opcional; por defecto ADMIN_ROLE_IDS, cada servidor en /config)
+  ====================== */
+  const ADMIN_ROLE_IDS_DEFAULT = (ADMIN_ROLE_IDS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  function isAdmin(interaction) {
+    return isAdminMember(interaction.guildId, interaction.member);
+  }
+
+  // Mismo criterio para la web (miembro sacado con guild.members.fetch)
+  function isAdminMember(guildId, member) {
+    const adminRoles = getSettings(guildId).admin_role_ids;
+    if (adminRoles.length === 0) return true; // si no configuras roles, cualquiera puede
+    const memberRoles = member?.roles;
+    if (!memberRoles?.cache) return false;
+    return memberRoles.cache.some(r => adminRoles.includes(r.id));
+  }
+
+  /* ======================
+     DB (ruta estable)
+  ====================== */
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const DB_PATH = path.join(__dirname, 'movies.db');
+
+  const db = deps.db ?? openDatabase(DB_PATH, { legacyGuildId: LEGACY_GUILD_ID, log });
+  const repo = createRepository(db); // todo el SQL (ver repository.js)
+
+  /* ======================
+     SETTINGS (por servidor)
+  ====================== */
+  const SETTINGS = {
+    cooldown_hours: { desc: 'Horas sin volver a sugerir una peli', type: 'int', min: 0, max: 720, def: COOLDOWN_HOURS },
+    avoid_last_polls: { desc: 'Evita pelis de las últimas N votaciones', type: 'int', min: 0, max: 50, def: AVOID_LAST_POLLS },
+    vote_duration_s: { desc: 'Duración de /votar (segundos)', type: 'int', min: 30, max: 604_800, def: VOTE_DURATION_MS / 1000 },
+    vote_options_default: { desc: 'Opciones de /votar sin títulos', type: 'int', min: 3, max: 5, def: VOTE_OPTIONS_DEFAULT },
+    list_limit: { desc: 'Máximo de pelis en /list', type: 'int', min: 1, max: 300, def: LIST_LIMIT },
+    admin_role_ids: { desc: 'Roles admin (IDs o menciones, separados por comas)', type: 'roles', def: ADMIN_ROLE_IDS_DEFAULT },
+    watch_region: { desc: 'País para "dónde verla" (código ISO, p.ej. ES)', type: 'region', def: WATCH_REGION_DEFAULT },
+    services: { desc: 'Plataformas del grupo (Netflix, Filmin…)', type: 'list', def: [] },
+    timezone: { desc: 'Zona horaria de /noche (p.ej. Europe/Madrid)', type: 'tz', def: TIMEZONE_DEFAULT },
+    night_reminders: { desc: 'Avisos antes de /noche (minutos, separados por comas)', type: 'ints', min: 1, max: 20_160, def: NIGHT_REMINDERS_DEFAULT },
+    night_poll_hours: { desc: 'Sin peli: votar N horas antes de /noche (0 = no)', type: 'int', min: 0, max: 72, def: NIGHT_POLL_HOURS_DEFAULT },
+  };
+
+  // -> { value } o { error } (mensaje para el usuario)
+  function parseSettingValue(key, raw) {
+    const def = SETTINGS[key];
+    if (!def) return { error: `Ajuste desconocido: ${key}` };
+
+    if (def.type === 'roles') {
+      const text = String(raw ?? '').trim();
+      const ids = text.match(/\d{17,20}/g) || [];
+      if (text && text !== '-' && !ids.length) return { error: 'Pon IDs de rol o menciones (@rol), o "-" para ninguno' };
+      return { value: [...new Set(ids)] };
+    }
+
+    if (def.type === 'region') {
+      const code = String(raw ?? '').trim().toUpperCase();
+      if (!/^[A-Z]{2}$/.test(code)) return { error: `${key} tiene que ser un código de país de 2 letras (ES, MX, US…)` };
+      return { value: code };
+    }
+
+    if (def.type === 'tz') {
+      const tz = String(raw ?? '').trim();
+      try {
+        new Intl.DateTimeFormat('es-ES', { timeZone: tz });
+      } catch {
+        return { error: `${key} no es una zona horaria válida (p.ej. Europe/Madrid, America/Mexico_City)` };
+      }
+      return { value: tz };
+    }
+
+    if (def.type === 'ints') {
+      const text = String(raw ?? '').trim();
+      if (text === '-') return { value: [] };
+      const nums = text.split(/[,;\s]+/).filter(Boolean).map(Number);
+      if (!nums.length || nums.some(x => !Number.isInteger(x) || x < def.min || x > def.max)) {
+        return { error: `${key}: números enteros entre ${def.min} y ${def.max} separados por comas, o "-" para ninguno` };
+      }
+      return { value: [...new Set(nums)].sort((a, b) => b - a) };
+    }
+
+    if (def.type === 'list') {
+      const text = String(raw ?? '').trim();
+      if (text === '-') return { value: [] };
+      const items = [...new Set(text.split(/[,;]/).map(x => x.trim()).filter(Boolean))];
+      if (!items.length) return { error: `Pon una lista separada por comas, o "-" para ninguna` };
+      return { value: items.slice(0, 20) };
+    }
+
+    const n = Number(String(raw ?? '').trim());
+    if (!Number.isInteger(n)) return { error: `${key} tiene que ser un número entero` };
+    if (n < def.min || n > def.max) return { error: `${key} tiene que estar entre ${def.min} y ${def.max}` };
+    return { value: n };
+  }
+
+  function getSettings(guildId) {
+    const out = Object.fromEntries(Object.entries(SETTINGS).map(([k, d]) => [k, d.def]));
+    for (const r of repo.settingsRows(guildId)) {
+      if (!(r.key in SETTINGS)) continue;
+      try { out[r.key] = JSON.parse(r.value); } catch {}
+    }
+    return out;
+  }
+
+  function setSetting(guildId, key, value, userId) {
+    repo.putSetting(guildId, key, JSON.stringify(value), userId);
+  }
+
+  // key vacío = todos
+  function resetSettings(guildId, key = null) {
+    return repo.deleteSettings(guildId, key);
+  }
+
+  function formatSettingValue(key, value) {
+    if (SETTINGS[key]?.type === 'roles') return value.length ? value.map(id => `<@&${id}>`).join(' ') : '— (cualquiera)';
+    if (['list', 'ints'].includes(SETTINGS[key]?.type)) return value.length ? value.join(', ') : '— (ninguna)';
+    return String(value);
+  }
+
+  /* ======================
+     AUDITORÍA (quién cambió qué, /deshacer, /auditoria)
+  ====================== */
+  const AUDIT_PAGE_SIZE = 10;
+  const UNDO_MAX = 10;
+
+  const audit = createAudit(db);
+  const { insertRow, auditInsert, auditUpdate, auditDelete, recordAudit } = audit;
+
+  // -> { action, applied, conflicts } | null si no existe o ya estaba deshecha
+  function undoAction(actionId, userId) {
+    const result = audit.undoAction(actionId, userId);
+    if (!result) return null;
+
+    const { action, applied, conflicts, changes } = result;
+    nightService.sync(changes.filter(c => c.table_name === 'nights').map(c => c.row_id));
+    emitEvent('list.changed', action.guild_id, {
+      actor: userId ?? null, source: '/deshacer', summary: `Deshecha #${action.id}: ${action.summary || action.source}`,
+    });
+    return { action, applied, conflicts };
+  }
+
+  // Las n últimas acciones sin deshacer del servidor, de la más nueva a la más vieja
+  function undoLast(guildId, n, userId) {
+    return audit.lastActionIds(guildId, n).map(id => undoAction(id, userId)).filter(Boolean);
+  }
+
+  function auditTimestamp(sqliteDate) {
+    return Math.floor(Date.parse(`${String(sqliteDate).replace(' ', 'T')}Z`) / 1000);
+  }
+
+  function formatAuditAction(a) {
+    const who = !a.actor ? 'sistema' : /^\d+$/.test(a.actor) ? `<@${a.actor}>` : a.actor.toUpperCase();
+    const undone = a.undone_at ? ` · ↩️ deshecha${a.undone_by ? ` por <@${a.undone_by}>` : ''}` : '';
+    return `**#${a.id}** · <t:${auditTimestamp(a.created_at)}:R> · ${who} · \`${a.source}\` — ${a.summary || '—'} (${a.changes} cambio${a.changes === 1 ? '' : 's'})${undone}`;
+  }
+
+  function buildAuditPage(guildId, page = 0) {
+    const { total } = audit.listActions(guildId, { limit: 0 });
+    const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+    page = Math.min(Math.max(0, page), pages - 1);
+
+    const { rows } = audit.listActions(guildId, { limit: AUDIT_PAGE_SIZE, offset: page * AUDIT_PAGE_SIZE });
+
+    const embed = new EmbedBuilder()
+      .setTitle('📜 Auditoría')
+      .setDescription(rows.length ? rows.map(formatAuditAction).join('\n') : 'Todavía no hay cambios registrados.')
+      .setFooter({ text: `Página ${page + 1}/${pages} · ${total} acciones · /deshacer revierte las últimas` });
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`audit:${page - 1}`).setLabel('◀️').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+      new ButtonBuilder().setCustomId(`audit:${page + 1}`).setLabel('▶️').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1),
+    );
+
+    return { embeds: [embed], components: total > AUDIT_PAGE_SIZE ? [row] : [] };
+  }
+
+  /* ======================
+     CLAVES DE API (/apikey: permisos, límite por minuto y registro de peticiones)
+     - la clave solo se enseña al crearla; en la DB queda su SHA-256
+     - cada clave es de un servidor y solo actúa sobre él
+     - GPT_API_KEY (si existe) sigue valiendo como clave con todos los permisos
+  ====================== */
+  const API_SCOPES = {
+    read: 'leer lista, votaciones, noches y ajustes',
+    write: 'añadir, quitar, marcar vistas y cambiar ajustes',
+    poll: 'lanzar votaciones',
+    say: 'escribir en el canal (/gpt/decir)',
+  };
+  const API_RATE_DEFAULT = Math.max(1, Number(env.API_RATE_LIMIT) || 60); // peticiones/minuto por clave
+  const API_RATE_MAX = 600;
+  const API_LOG_DAYS = Math.max(1, Number(env.API_LOG_DAYS) || 30);
+  const API_KEY_PREFIX = 'dp_';
+
+  const apiRateWindows = new Map(); // id de clave -> { start, count } (ventana de 1 minuto)
+  let apiLogPrunedAt = 0;
+
+  const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+  // -> { id, key } (la clave en claro no se vuelve a ver)
+  function createApiKey(guildId, { name, scopes, ratePerMin = API_RATE_DEFAULT, createdBy }) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const id = repo.insertApiKey({
+      guildId, name, hash: hashApiKey(key), hint: key.slice(0, API_KEY_PREFIX.length + 4), scopes, ratePerMin, createdBy,
+    });
+    return { id, key };
+  }
+
+  function revokeApiKey(guildId, id, userId) {
+    apiRateWindows.delete(id);
+    return repo.revokeApiKey(guildId, id, userId);
+  }
+
+  function listApiKeys(guildId) {
+    return repo.listApiKeys(guildId);
+  }
+
+  function formatApiKey(k) {
+    const used = k.last_used_at ? `usada <t:${auditTimestamp(k.last_used_at)}:R>` : 'sin usar';
+    const state = k.revoked_at ? ` · 🚫 revocada <t:${auditTimestamp(k.revoked_at)}:R>` : '';
+    return `**#${k.id}** · ${k.name} · \`${k.key_hint}…\` · ${k.scopes.split(',').join(', ')} · ${k.rate_per_min}/min · ${used} · ${k.requests_24h} peticiones (24 h)${state}`;
+  }
+
+  // Clave del entorno: todos los permisos, el servidor lo elige la petición (como antes)
+  function envApiKey(raw) {
+    if (!GPT_API_KEY || !raw) return null;
+    const a = Buffer.from(hashApiKey(raw), 'hex');
+    const b = Buffer.from(hashApiKey(GPT_API_KEY), 'hex');
+    if (!crypto.timingSafeEqual(a, b)) return null;
+    return { id: null, name: 'GPT_API_KEY', guild_id: null, scopes: Object.keys(API_SCOPES), rate_per_min: API_RATE_DEFAULT };
+  }
+
+  function findApiKey(raw) {
+    return raw ? repo.apiKeyByHash(hashApiKey(raw)) : null;
+  }
+
+  // Ventana fija de un minuto -> segundos que faltan si se pasa (0 = vale)
+  function takeApiRate(bucket, perMin, now = Date.now()) {
+    const w = apiRateWindows.get(bucket);
+    if (!w || now - w.start >= 60_000) {
+      apiRateWindows.set(bucket, { start: now, count: 1 });
+      return 0;
+    }
+    if (w.count >= perMin) return Math.ceil((w.start + 60_000 - now) / 1000);
+    w.count++;
+    return 0;
+  }
+
+  // Quién llama y si puede -> null (adelante) | { status, code, message }
+  // La clave y el límite se miran una sola vez por petición (req.apiKey)
+  function authenticateApi(req, scope) {
+    if (req.apiKey === undefined) {
+      const raw = String(req.headers['x-api-key'] || '');
+      req.apiKey = envApiKey(raw) ?? findApiKey(raw);
+
+      if (req.apiKey) {
+        admitApiRequest(req, req.apiKey.id ?? 'env');
+        if (!req.apiRetryAfter && req.apiKey.id) repo.touchApiKey(req.apiKey.id);
+      }
+    }
+    return checkApiAccess(req, scope);
+  }
+
+  function admitApiRequest(req, bucket) {
+    req.apiRetryAfter = takeApiRate(bucket, req.apiKey.rate_per_min);
+    if (req.apiRetryAfter) req.res.set('Retry-After', String(req.apiRetryAfter));
+  }
+
+  // Con req.apiKey ya resuelta (clave o sesión web): límite, permiso y servidor
+  function checkApiAccess(req, scope) {
+    const key = req.apiKey;
+    if (!key) return { status: 401, code: 'unauthorized', message: 'Falta x-api-key o no es válida' };
+    if (req.apiRetryAfter) {
+      return { status: 429, code: 'rate_limited', message: `Demasiadas peticiones (${key.rate_per_min}/min). Reintenta en ${req.apiRetryAfter}s` };
+    }
+    if (scope && !key.scopes.includes(scope)) {
+      return { status: 403, code: 'forbidden', message: key.user_id ? `Hace falta ser admin ("${scope}")` : `La clave no tiene el permiso "${scope}"` };
+    }
+
+    const asked = req.headers['x-guild-id'] || req.query.guild_id || req.body?.guild_id;
+    if (key.guild_id && asked && String(asked) !== key.guild_id) {
+      return { status: 403, code: 'wrong_guild', message: 'La clave es de otro servidor' };
+    }
+    if (!key.guild_id && !asked && !GPT_GUILD_ID) {
+      return { status: 400, code: 'invalid_request', message: 'Falta el servidor: cabecera x-guild-id, ?guild_id= o GPT_GUILD_ID' };
+    }
+    return null;
+  }
+
+  function logApiRequest(req, status, durationMs) {
+    repo.logApiRequest({
+      keyId: req.apiKey?.id, userId: req.apiKey?.user_id, guildId: req.apiKey?.guild_id,
+      method: req.method, path: req.originalUrl.split('?')[0].slice(0, 200), status, durationMs,
+    });
+
+    // Limpieza como mucho una vez por hora
+    if (Date.now() - apiLogPrunedAt > 3600_000) {
+      apiLogPrunedAt = Date.now();
+      repo.pruneApiRequests(API_LOG_DAYS);
+    }
+  }
+
+  /* ======================
+     EVENTOS (bus interno: lo alimentan /comandos, /gpt/* y /api/v1; salen por webhooks y SSE)
+  ====================== */
+  const EVENT_TYPES = {
+    'movie.added': 'Peli añadida',
+    'movie.removed': 'Peli quitada',
+    'movie.watched': 'Peli vista',
+    'poll.opened': 'Votación abierta',
+    'poll.vote': 'Voto en una votación',
+    'poll.tie': 'Empate pendiente (lo decide un admin o una segunda votación)',
+    'poll.closed': 'Votación cerrada',
+    'list.changed': 'Cambios en bloque (import, reset, restore, deshacer...)',
+  };
+  const EVENTS_REPLAY_MAX = 200; // los últimos, para quien reconecta con Last-Event-ID
+  const SSE_PING_MS = 25_000;
+
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // un listener por cliente SSE
+  const recentEvents = [];
+
+  const webhooks = createWebhooks({ db, log });
+
+  // Se llama después de guardar (fuera de la transacción): lo que sale ya está en la DB
+  function emitEvent(type, guildId, data) {
+    const event = { id: crypto.randomUUID(), type, guild_id: guildId, created_at: new Date().toISOString(), data };
+    recentEvents.push(event);
+    if (recentEvents.length > EVENTS_REPLAY_MAX) recentEvents.shift();
+    events.emit('event', event);
+    return event;
+  }
+
+  events.on('event', (event) => {
+    try {
+      webhooks.dispatch(event);
+    } catch (e) {
+      log.warn('Webhooks: no pude encolar el evento', { event: event.type, err: e });
+    }
+  });
+
+  /* ======================
+     MÉTRICAS (GET /metrics, formato Prometheus; ver metrics.js)
+  ====================== */
+  const metrics = createMetrics({ prefix: 'pistacho_' });
+  const commandsRun = metrics.counter('commands_total', 'Comandos, botones, menús y modales atendidos (outcome: ok | error)');
+  const commandSeconds = metrics.histogram('command_duration_seconds', 'Lo que tarda en atenderse una interacción');
+  const votesCast = metrics.counter('votes_total', 'Votos (y cambios de voto) en votaciones');
+  const tmdbRequests = metrics.counter('tmdb_requests_total', 'Peticiones a TMDB por endpoint (cada reintento cuenta; outcome: ok | error)');
+  const tmdbSeconds = metrics.histogram('tmdb_request_duration_seconds', 'Latencia de TMDB por endpoint');
+  const httpRequests = metrics.counter('http_requests_total', 'Peticiones HTTP por ruta y status');
+
+  events.on('event', (event) => {
+    if (event.type === 'poll.vote') votesCast.inc();
+  });
+
+  function observeTmdb({ endpoint, ms, ok }) {
+    tmdbRequests.inc({ endpoint, outcome: ok ? 'ok' : 'error' });
+    tmdbSeconds.observe({ endpoint }, ms / 1000);
+  }
+
+  /* ======================
+     TMDB CLIENT (tmdb.js: caché, reintentos, límite de peticiones)
+  ====================== */
+  // TMDB_BASE_URL permite apuntar a un TMDB falso en pruebas
+  const tmdb = deps.tmdb ?? createTmdbClient({
+    baseUrl: env.TMDB_BASE_URL,
+    bearer: TMDB_BEARER,
+    db,
+    timeoutMs: Number(env.TMDB_TIMEOUT_MS) || undefined,
+    concurrency: Number(env.TMDB_CONCURRENCY) || undefined,
+    onRequest: observeTmdb,
+  });
+
+  /* ======================
+     TMDB SEARCH (mejorada)
+  ====================== */
+  function extractYearFromQuery(q) {
+    const m = q.match(/\b(19\d{2}|20\d{2})\b/);
+    if (!m) return { clean: q.trim(), year: null };
+    const year = m[1];
+    const clean = q.replace(m[0], '').replace(/[()]/g, '').replace(/\s+/g, ' ').trim();
+    return { clean, year };
+  }
+
+  function normalizeTitle(s) {
+    return (s || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9áéíóúñü\s]/gi, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /* ---- IMDb helpers ---- */
+  function extractImdbId(input) {
+    // acepta link completo o texto con tt1234567
+    const m = String(input || '').match(/tt\d{7,8}/i);
+    return m ? m[0].toLowerCase() : null;
+  }
+
+  async function tmdbFindByImdb(imdbId) {
+    const data = await tmdb.findByImdb(imdbId);
+    return data?.movie_results?.[0] || null;
+  }
+
+  // Resultados de búsqueda puntuados (mejor primero): [{ m, score, exact }]
+  async function tmdbSearchScored(query) {
+    const { clean, year } = extractYearFromQuery(query);
+
+    const data = await tmdb.search(clean);
+
+    const results = data?.results ?? [];
+    if (!results.length) return [];
+
+    const qNorm = normalizeTitle(clean);
+
+    const scored = results.map(m => {
+      const y = (m.release_date || '').slice(0, 4);
+      const titleNorm = normalizeTitle(m.title);
+      const voteCount = m.vote_count ?? 0;
+      const popularity = m.popularity ?? 0;
+
+      let score = voteCount * 2 + popularity;
+      if (year && y === year) score += 10_000;
+      if (titleNorm === qNorm) score += 2_000;
+      if (titleNorm.includes(qNorm) || qNorm.includes(titleNorm)) score += 500;
+
+      return { m, score, exact: titleNorm === qNorm };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored;
+  }
+
+  async function tmdbSearchMovie(query) {
+    const scored = await tmdbSearchScored(query);
+    return scored[0]?.m ?? null;
+  }
+
+  async function tmdbResolveMovie(input) {
+    // Si viene de autocompletar o IMDb -> clava la peli. Si no, busca por título.
+    const tmdbId = parseTmdbRef(input);
+    if (tmdbId) return await tmdbMovieById(tmdbId);
+
+    const imdbId = extractImdbId(input);
+    const m = imdbId ? await tmdbFindByImdb(imdbId) : await tmdbSearchMovie(input);
+    if (m) saveMovieMeta(m);
+    return m;
+  }
+
+  // Varios títulos a la vez (/votar): los que fallen o no existan se quedan fuera, sin repetir
+  async function tmdbResolveMany(inputs) {
+    const found = await Promise.all(inputs.map(it => tmdbResolveMovie(String(it)).catch(e => {
+      log.warn('TMDB: no pude resolver el título', { input: String(it), err: e });
+      return null;
+    })));
+
+    const seen = new Set();
+    return found
+      .filter(m => m && (seen.has(m.id) ? false : (seen.add(m.id), true)))
+      .map(m => ({ tmdb_id: m.id, title: m.title, year: (m.release_date || '').slice(0, 4) || '' }));
+  }
+
+  // Peli por id (desde la caché) con la misma forma que un resultado de búsqueda TMDB
+  async function tmdbMovieById(tmdbId) {
+    const meta = await ensureMovieDetails(tmdbId);
+    if (!meta?.title) return null;
+    return {
+      id: meta.tmdb_id,
+      title: meta.title,
+      release_date: meta.release_date || '',
+      overview: meta.overview || '',
+      poster_path: meta.poster_path,
+      vote_average: meta.vote_average,
+      vote_count: meta.vote_count,
+    };
+  }
+
+  /* ---- Ficha completa (duración, póster, IMDb...) ---- */
+  const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p';
+
+  async function tmdbMovieDetails(tmdbId) {
+    return await tmdb.details(tmdbId);
+  }
+
+  function getMovieMeta(tmdbId) {
+    return repo.getMovieMeta(tmdbId);
+  }
+
+  // Ficha de la caché; si falta, la pide a TMDB. Nunca lanza: sin TMDB seguimos con lo que haya.
+  async function ensureMovieDetails(tmdbId) {
+    const meta = getMovieMeta(tmdbId);
+    if (meta?.details_at) return meta;
+    try {
+      const d = await tmdbMovieDetails(tmdbId);
+      if (d) repo.saveMovieDetails(d);
+    } catch (e) {
+      log.warn('TMDB: falló la ficha', { tmdb_id: tmdbId, err: e });
+    }
+    return getMovieMeta(tmdbId);
+  }
+
+  function posterUrl(meta, size = 'w342') {
+    return meta?.poster_path ? `${TMDB_IMAGE_BASE}/${size}${meta.poster_path}` : null;
+  }
+
+  function formatRuntime(min) {
+    if (!min) return null;
+    const h = Math.floor(min / 60);
+    const m = min % 60;
+    return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m`;
+  }
+
+  function genreNames(meta) {
+    return String(meta?.genre_ids || '').split(',').filter(Boolean).map(id => TMDB_GENRES[id] ?? id);
+  }
+
+  function formatGenres(meta) {
+    return genreNames(meta).join(', ');
+  }
+
+  // Duración · géneros · nota, para líneas cortas
+  function formatMetaBits(meta) {
+    return [
+      meta?.runtime ? `⏱️ ${formatRuntime(meta.runtime)}` : null,
+      formatGenres(meta) || null,
+      meta?.vote_average ? `⭐ ${meta.vote_average.toFixed(1)}` : null,
+    ].filter(Boolean).join(' · ');
+  }
+
+  /* ---- ¿Dónde la veo? (plataformas por país) ---- */
+  const STREAM_TYPES = ['flatrate', 'free', 'ads']; // cuenta como "está en la plataforma"
+  const PAY_TYPES = ['rent', 'buy'];
+
+  function compactProviders(list) {
+    return (list || [])
+      .sort((a, b) => (a.display_priority ?? 99) - (b.display_priority ?? 99))
+      .map(p => ({ id: p.provider_id, name: p.provider_name, logo: p.logo_path || null }));
+  }
+
+  // Solo caché (para embeds que se pintan sin esperar a TMDB)
+  function getWatchProviders(tmdbId, region) {
+    return repo.getWatchProviders(tmdbId, region);
+  }
+
+  // Nunca lanza: si TMDB falla, devuelve lo que haya en caché (o null)
+  async function ensureWatchProviders(tmdbId, region) {
+    const fresh = repo.getWatchProviders(tmdbId, region, PROVIDERS_TTL_HOURS);
+    if (fresh) return fresh;
+
+    try {
+      const r = (await tmdb.watchProviders(tmdbId))?.results?.[region];
+      const data = r
+        ? Object.fromEntries([['link', r.link ?? null], ...[...STREAM_TYPES, ...PAY_TYPES].map(t => [t, compactProviders(r[t])])])
+        : {};
+      repo.saveWatchProviders(tmdbId, region, data);
+    } catch (e) {
+      log.warn('TMDB: fallaron las plataformas', { tmdb_id: tmdbId, err: e });
+    }
+    return getWatchProviders(tmdbId, region);
+  }
+
+  // Plataformas de suscripción/gratis, sin repetir
+  function streamProviders(wp) {
+    const seen = new Set();
+    return STREAM_TYPES.flatMap(t => wp?.[t] ?? []).filter(p => (seen.has(p.id) ? false : (seen.add(p.id), true)));
+  }
+
+  // services = lo de /config (nombres o IDs de TMDB). "netflix" casa con "Netflix basic with Ads"
+  function isSubscribed(provider, services) {
+    const name = normalizeTitle(provider.name);
+    return services.some(s => String(provider.id) === String(s) || name.includes(normalizeTitle(s)));
+  }
+
+  function isOnServices(wp, services) {
+    return streamProviders(wp).some(p => isSubscribed(p, services));
+  }
+
+  // "**Netflix** · Filmin" (en negrita las del grupo); si no está en ninguna, alquiler/compra
+  function formatProviders(wp, services = [], max = 4) {
+    const stream = streamProviders(wp);
+    if (stream.length) {
+      const ordered = [...stream.filter(p => isSubscribed(p, services)), ...stream.filter(p => !isSubscribed(p, services))];
+      return ordered.slice(0, max).map(p => (isSubscribed(p, services) ? `**${p.name}**` : p.name)).join(' · ');
+    }
+    const pay = PAY_TYPES.flatMap(t => wp?.[t] ?? []).filter((p, i, arr) => arr.findIndex(x => x.id === p.id) === i);
+    return pay.length ? `💶 ${pay.slice(0, max).map(p => p.name).join(' · ')}` : '';
+  }
+
+  // Logo de la plataforma principal (la del grupo si la hay)
+  function providerLogoUrl(wp, services = []) {
+    const stream = streamProviders(wp);
+    const p = stream.find(x => isSubscribed(x, services)) ?? stream[0];
+    return p?.logo ? { name: p.name, iconURL: `${TMDB_IMAGE_BASE}/w92${p.logo}` } : null;
+  }
+
+  // tmdbIds que están en las plataformas del grupo (pide a TMDB lo que no esté en caché)
+  async function getAvailableTmdbIds(tmdbIds, region, services) {
+    const found = await Promise.all(tmdbIds.map(id => ensureWatchProviders(id, region)));
+    return new Set(tmdbIds.filter((id, k) => isOnServices(found[k], services)));
+  }
+
+  // Embed "ficha" de una peli (usa la caché)
+  function buildMovieEmbed(meta, { title, year, group, prefs, watch } = {}) {
+    const name = title ?? meta?.title ?? '¿?';
+    const y = year ?? (meta?.release_date || '').slice(0, 4);
+    const embed = new EmbedBuilder()
+      .setTitle(formatMovieLine({ title: name, year: y }))
+      .setDescription(meta?.overview || 'Sin descripción');
+
+    const fields = [
+      { name: 'TMDB', value: `${(meta?.vote_average ?? 0).toFixed(1)} • ${meta?.vote_count ?? 0} votos`, inline: true },
+    ];
+    if (formatGroupRating(group)) fields.push({ name: '⭐ Grupo', value: formatGroupRating(group), inline: true });
+    if (formatPrefCounts(prefs)) fields.push({ name: '👥 Gustos', value: formatPrefCounts(prefs), inline: true });
+    if (meta?.runtime) fields.push({ name: '⏱️ Duración', value: formatRuntime(meta.runtime), inline: true });
+    if (formatGenres(meta)) fields.push({ name: '🎭 Géneros', value: formatGenres(meta), inline: true });
+    if (meta?.original_language) fields.push({ name: '🗣️ Idioma original', value: meta.original_language.toUpperCase(), inline: true });
+    if (meta?.imdb_id) fields.push({ name: 'IMDb', value: `[${meta.imdb_id}](https://www.imdb.com/title/${meta.imdb_id}/)`, inline: true });
+    if (watch) {
+      const where = formatProviders(watch.providers, watch.services) || 'En ninguna plataforma ahora mismo';
+      fields.push({
+        name: `📺 Dónde verla (${watch.region})`,
+        value: watch.providers?.link ? `${where}\n[Ver opciones](${watch.providers.link})` : where,
+        inline: false,
+      });
+      const logo = providerLogoUrl(watch.providers, watch.services);
+      if (logo) embed.setAuthor(logo);
+    }
+    if (group?.reviews?.length) fields.push({ name: '🗨️ Reseñas', value: group.reviews.map(r => formatReview(r)).join('\n'), inline: false });
+    embed.addFields(fields);
+
+    if (posterUrl(meta)) embed.setThumbnail(posterUrl(meta));
+    return embed;
+  }
+
+  // Como tmdbResolveMovie, pero avisa si hay dudas (margen pequeño o varias con el mismo título y sin año)
+  async function tmdbResolveCandidates(input) {
+    const tmdbId = parseTmdbRef(input);
+    if (tmdbId) {
+      const m = await tmdbMovieById(tmdbId);
+      return { movie: m, candidates: m ? [m] : [], ambiguous: false };
+    }
+
+    const imdbId = extractImdbId(input);
+    if (imdbId) {
+      const m = await tmdbFindByImdb(imdbId);
+      if (m) saveMovieMeta(m);
+      return { movie: m, candidates: m ? [m] : [], ambiguous: false };
+    }
+
+    const scored = await tmdbSearchScored(input);
+    if (!scored.length) return { movie: null, candidates: [], ambiguous: false };
+
+    const { year } = extractYearFromQuery(input);
+    const [first, second] = scored;
+    const sameTitle = scored.filter(x => x.exact).length;
+    const ambiguous = !!second && (second.score >= first.score * AMBIGUOUS_SCORE_RATIO || (!year && sameTitle > 1));
+
+    const candidates = scored.slice(0, CANDIDATES_MAX).map(x => x.m);
+    candidates.forEach(saveMovieMeta);
+    return { movie: first.m, candidates, ambiguous };
+  }
+
+  // "¿Cuál de estas?" para /add y /movie. Solo `userId` puede elegir.
+  function buildCandidatesMessage(action, userId, query, candidates) {
+    const embeds = candidates.map((m, i) => {
+      const e = new EmbedBuilder()
+        .setTitle(`${i + 1}. ${formatMovieLine({ title: m.title, year: (m.release_date || '').slice(0, 4) })}`)
+        .setDescription(m.overview ? `${m.overview.slice(0, 200)}${m.overview.length > 200 ? '…' : ''}` : 'Sin descripción');
+      if (m.poster_path) e.setThumbnail(`${TMDB_IMAGE_BASE}/w92${m.poster_path}`);
+      return e;
+    });
+
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`pick:${action}:${userId}`)
+      .setPlaceholder('¿Cuál es?')
+      .addOptions(candidates.map((m, i) => ({
+        label: `${i + 1}. ${formatMovieLine({ title: m.title, year: (m.release_date || '').slice(0, 4) })}`.slice(0, 100),
+        description: (m.overview || 'Sin descripción').slice(0, 100),
+        value: String(m.id),
+      })));
+
+    const cancel = new ButtonBuilder()
+      .setCustomId(`pickcancel:${userId}`)
+      .setLabel('Cancelar')
+      .setStyle(ButtonStyle.Secondary);
+
+    return {
+      content: `🤔 Hay varias pelis que encajan con **${query}**. ¿Cuál querías?`,
+      embeds,
+      components: [new ActionRowBuilder().addComponents(menu), new ActionRowBuilder().addComponents(cancel)],
+    };
+  }
+
+  // Guarda lo que ya nos dio TMDB (géneros, nota) para filtrar/ordenar /list
+  function saveMovieMeta(m) {
+    repo.saveMovieSummary(m);
+  }
+
+  /* ======================
+     SERVICIOS (movies.js / polls.js: la misma lógica para Discord, /gpt/* y /api/v1)
+  ====================== */
+  const movieService = createMovieService({
+    repo,
+    audit,
+    catalog: { details: ensureMovieDetails, resolveCandidates: tmdbResolveCandidates, available: getAvailableTmdbIds },
+    getSettings,
+    emit: emitEvent,
+  });
+
+  const pollService = createPollService({
+    repo,
+    audit,
+    movies: movieService,
+    resolveMany: tmdbResolveMany,
+    timers: { at: scheduleAt, cancel: cancelScheduled },
+    emit: emitEvent,
+    onClosed: renderClosedPoll,
+    // Votación automática de una /noche: la ganadora es la peli de esa noche
+    onNightResult: (nightId) => refreshNight(nightId).catch(e => log.warn('No pude actualizar la noche', { night_id: nightId, err: e })),
+    scheduleWinner: SCHEDULE_WINNER,
+  });
+
+  const nightService = createNightService({
+    repo,
+    movies: movieService,
+    getSettings,
+    timers: { at: scheduleAt, cancel: cancelScheduled },
+    onReminder: sendNightReminder,
+    onPollDue: launchNightPoll,
+    onStart: announceNightStart,
+    onChanged: refreshNight,
+    pollCloseBeforeMs: NIGHT_POLL_CLOSE_BEFORE_MS,
+  });
+
+  // /reset: todo lo del servidor fuera, pero en una sola acción que /deshacer puede revertir
+  function resetGuild(ctx) {
+    const { guildId } = ctx;
+    for (const id of nightService.guildNightIds(guildId)) nightService.disarm(id);
+
+    const summary = repo.transaction(() => {
+      const changes = GUILD_TABLES.flatMap(([table, where]) => auditDelete(table, where, guildId));
+      repo.deleteDiscoveries(guildId);
+
+      const movies = changes.filter(c => c.table === 'movies').length;
+      const summary = `Reset: ${movies} pelis y ${changes.length - movies} filas más`;
+      recordAudit(ctx, summary, changes);
+      return { summary, rows: changes.length };
+    });
+
+    emitEvent('list.changed', guildId, { actor: ctx.actor ?? null, source: ctx.source, summary: summary.summary });
+    return summary.rows;
+  }
+
+  /* ======================
+     GUSTOS (interés / veto)
+  ====================== */
+  const PREFS = {
+    interest: { emoji: '👍', label: 'Me interesa', style: ButtonStyle.Success },
+    veto: { emoji: '🚫', label: 'Veto', style: ButtonStyle.Danger },
+    seen: { emoji: '👁️', label: 'Ya la vi', style: ButtonStyle.Secondary },
+  };
+
+  function formatPrefCounts(counts) {
+    return Object.entries(PREFS)
+      .filter(([k]) => counts?.[k])
+      .map(([k, p]) => `${p.emoji} ${counts[k]}`)
+      .join(' · ');
+  }
+
+  function buildPrefButtons(tmdbId) {
+    return new ActionRowBuilder().addComponents(
+      Object.entries(PREFS).map(([k, p]) =>
+        new ButtonBuilder().setCustomId(`pref:${tmdbId}:${k}`).setLabel(`${p.emoji} ${p.label}`).setStyle(p.style)
+      )
+    );
+  }
+
+  /* ======================
+     VISIONADOS Y NOTAS
+  ====================== */
+  const REVIEW_MAX = 300;
+
+  function formatGroupRating(group) {
+    const bits = [];
+    if (group?.count) bits.push(`${group.avg.toFixed(1)}/10 • ${group.count} ${group.count === 1 ? 'nota' : 'notas'}`);
+    if (group?.viewings > 1) bits.push(`vista ${group.viewings} veces`);
+    return bits.join(' • ');
+  }
+
+  function formatReview(r, maxLen = 150) {
+    const text = r.review.length > maxLen ? `${r.review.slice(0, maxLen - 1)}…` : r.review;
+    return `<@${r.user_id}> **${r.score}**/10 — “${text}”`;
+  }
+
+  // Mensaje tras /visto: menú 1-10 + botón de reseña (sirve también tras reinicios: todo va en el customId)
+  function buildViewingMessage(viewing) {
+    const lines = [];
+    if (viewing.attendees.length) lines.push(`👥 ${viewing.attendees.map(id => `<@${id}>`).join(' ')}`);
+    if (viewing.notes) lines.push(`📝 ${viewing.notes}`);
+
+    if (viewing.ratings.length) {
+      const avg = viewing.ratings.reduce((a, r) => a + r.score, 0) / viewing.ratings.length;
+      lines.push('', `⭐ **${avg.toFixed(1)}/10** (${viewing.ratings.length})`);
+      for (const r of viewing.ratings) {
+        lines.push(r.review ? formatReview(r, 100) : `<@${r.user_id}> **${r.score}**/10`);
+      }
+    } else {
+      lines.push('', 'Nadie ha puntuado todavía.');
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🍿 ¿Qué os pareció ${formatMovieLine(viewing)}?`)
+      .setDescription(lines.join('\n').slice(0, 4000))
+      .setFooter({ text: 'Puntúa del 1 al 10 • ✍️ para dejar reseña' });
+
+    const select = new StringSelectMenuBuilder()
+      .setCustomId(`rate:${viewing.id}`)
+      .setPlaceholder('Tu nota…')
+      .addOptions(Array.from({ length: 10 }, (_, i) => ({ label: `${10 - i}/10`, value: String(10 - i) })));
+
+    const button = new ButtonBuilder()
+      .setCustomId(`review:${viewing.id}`)
+      .setLabel('✍️ Reseña')
+      .setStyle(ButtonStyle.Secondary);
+
+    return {
+      embeds: [embed],
+      components: [
+        new ActionRowBuilder().addComponents(select),
+        new ActionRowBuilder().addComponents(button),
+      ],
+    };
+  }
+
+  function buildReviewModal(viewing, userId) {
+    const mine = viewing.ratings.find(r => r.user_id === userId);
+
+    const score = new TextInputBuilder()
+      .setCustomId('nota')
+      .setLabel('Nota (1-10)')
+      .setStyle(TextInputStyle.Short)
+      .setMinLength(1)
+      .setMaxLength(2)
+      .setRequired(true);
+    if (mine) score.setValue(String(mine.score));
+
+    const review = new TextInputBuilder()
+      .setCustomId('resena')
+      .setLabel('Reseña (opcional)')
+      .setStyle(TextInputStyle.Paragraph)
+      .setMaxLength(REVIEW_MAX)
+      .setRequired(false);
+    if (mine?.review) review.setValue(mine.review);
+
+    return new ModalBuilder()
+      .setCustomId(`reviewmodal:${viewing.id}`)
+      .setTitle(formatMovieLine(viewing).slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(score),
+        new ActionRowBuilder().addComponents(review),
+      );
+  }
+
+  /* ======================
+     DESCUBRIR (recomendaciones TMDB)
+  ====================== */
+  const DISCOVER_SEEDS = 3;          // pelis vistas de las que tirar
+  const DISCOVER_MAX = 20;           // resultados por /descubrir
+  const DISCOVER_KEEP_HOURS = 24;    // luego el carrusel caduca
+
+  // Semillas: lo mejor valorado por el grupo (o lo último visto) + géneros que más se repiten en pendientes
+  function getDiscoverSeeds(guildId) {
+    let liked = repo.likedTmdbIds(guildId, 7, DISCOVER_SEEDS);
+    if (!liked.length) liked = repo.lastWatched(guildId, DISCOVER_SEEDS);
+
+    const genreCount = new Map();
+    for (const ids of repo.pendingGenreIds(guildId)) {
+      for (const g of String(ids || '').split(',').filter(Boolean)) genreCount.set(g, (genreCount.get(g) ?? 0) + 1);
+    }
+    const genres = [...genreCount.entries()].sort((a, b) => b[1] - a[1]).slice(0, 2).map(([g]) => Number(g));
+
+    return { liked, genres };
+  }
+
+  // -> [{ tmdb_id, title, year, overview, poster_path, vote_average, reason }], sin lo que ya está en la lista
+  async function discoverMovies(guildId, { genre = null } = {}) {
+    const { liked, genres } = getDiscoverSeeds(guildId);
+    const withGenres = genre ? [genre] : genres;
+
+    const sources = [
+      ...liked.flatMap(seed => [
+        { reason: `Porque os gustó ${formatMovieLine(seed)}`, weight: 2, fetch: () => tmdb.recommendations(seed.tmdb_id) },
+        { reason: `Parecida a ${formatMovieLine(seed)}`, weight: 1, fetch: () => tmdb.similar(seed.tmdb_id) },
+      ]),
+      {
+        reason: withGenres.length ? `Géneros: ${withGenres.map(g => TMDB_GENRES[g] ?? g).join(', ')}` : 'Bien valoradas en TMDB',
+        weight: genre ? 3 : 1,
+        fetch: () => tmdb.discover({
+          with_genres: withGenres.join('|') || undefined,
+          sort_by: 'vote_average.desc',
+          'vote_count.gte': 300,
+        }),
+      },
+    ];
+
+    const inList = new Set(repo.listTmdbIds(guildId));
+    const found = new Map();
+
+    const pages = await Promise.all(sources.map(src => src.fetch().catch(e => {
+      log.warn('TMDB: falló descubrir', { err: e });
+      return null;
+    })));
+
+    pages.forEach((data, i) => {
+      for (const m of data?.results ?? []) {
+        if (inList.has(m.id) || (genre && !(m.genre_ids || []).includes(genre))) continue;
+        const prev = found.get(m.id);
+        if (prev) { prev.score += sources[i].weight; continue; }
+        saveMovieMeta(m);
+        found.set(m.id, { m, reason: sources[i].reason, score: sources[i].weight + (m.vote_average ?? 0) / 10 });
+      }
+    });
+
+    return [...found.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, DISCOVER_MAX)
+      .map(({ m, reason }) => ({
+        tmdb_id: m.id,
+        title: m.title,
+        year: (m.release_date || '').slice(0, 4),
+        overview: m.overview || '',
+        poster_path: m.poster_path || null,
+        vote_average: m.vote_average ?? null,
+        reason,
+      }));
+  }
+
+  function saveDiscovery(guildId, userId, items) {
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    repo.insertDiscovery(id, guildId, userId, items, DISCOVER_KEEP_HOURS);
+    return id;
+  }
+
+  function getDiscovery(id) {
+    return repo.getDiscovery(id);
+  }
+
+  // Una peli por página: ◀ ➕ ▶
+  function buildDiscoverPage(discovery, page) {
+    const { items } = discovery;
+    const current = Math.max(0, Math.min(page, items.length - 1));
+    const it = items[current];
+    const inList = !!movieService.byTmdb(discovery.guild_id, it.tmdb_id);
+    const genres = formatGenres(getMovieMeta(it.tmdb_id));
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🔭 ${formatMovieLine(it)}`)
+      .setDescription([
+        `_${it.reason}_`,
+        [it.vote_average != null ? `⭐ ${it.vote_average.toFixed(1)}` : null, genres || null].filter(Boolean).join(' · '),
+        '',
+        it.overview ? it.overview.slice(0, 500) : 'Sin descripción',
+      ].join('\n'))
+      .setFooter({ text: `${current + 1}/${items.length} • /descubrir para otra tanda` });
+    if (posterUrl(it)) embed.setImage(posterUrl(it));
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`disc:${discovery.id}:${current - 1}`)
+        .setLabel('◀')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current === 0),
+      new ButtonBuilder()
+        .setCustomId(`discadd:${discovery.id}:${current}`)
+        .setLabel(inList ? '✅ En la lista' : '➕ Añadir a la lista')
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(inList),
+      new ButtonBuilder()
+        .setCustomId(`disc:${discovery.id}:${current + 1}`)
+        .setLabel('▶')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current >= items.length - 1),
+    );
+
+    return { content: '', embeds: [embed], components: [row] };
+  }
+
+  /* ======================
+     EXPORT / IMPORT (formato propio v2, Letterboxd, IMDb; ver exchange.js)
+  ====================== */
+  const IMPORT_RESOLVE_MAX = 500; // filas de Letterboxd / IMDb que se buscan en TMDB por import
+  const IMPORT_ERRORS_SHOWN = 10;
+  const IMPORT_KINDS = {
+    'pistacho-json': 'Don Pistacho (JSON)',
+    'pistacho-csv': 'Don Pistacho (CSV)',
+    'letterboxd-watchlist': 'Letterboxd watchlist',
+    'letterboxd-watched': 'Letterboxd vistas',
+    'letterboxd-diary': 'Letterboxd diario',
+    'letterboxd-ratings': 'Letterboxd valoraciones',
+    imdb: 'IMDb',
+    unknown: 'desconocido',
+  };
+  // Lo que contiene un export: es lo que borra un import modo replace
+  const IMPORT_REPLACES = ['poll_history_items', 'poll_history', 'movies', 'ratings', 'viewings'];
+
+  function buildExport(guildId) {
+    const movies = repo.exportMovies(guildId, MOVIE_FIELDS);
+    const polls = pollService.history(guildId, { newestFirst: false }).rows
+      .map(p => ({ created_at: p.created_at, items: p.items }));
+    const viewings = repo.exportViewings(guildId)
+      .map(v => ({
+        tmdb_id: v.tmdb_id,
+        title: v.title,
+        year: v.year,
+        watched_at: v.watched_at,
+        logged_by: v.logged_by,
+        attendees: v.attendees,
+        notes: v.notes,
+        ratings: v.ratings,
+      }));
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      guild_id: guildId,
+      movies,
+      polls,
+      viewings,
+    };
+  }
+
+  // Entradas de Letterboxd / IMDb -> pelis (y visionados con nota) ya con tmdb_id
+  async function resolveImportEntries(entries, actor) {
+    const errors = [];
+    if (entries.length > IMPORT_RESOLVE_MAX) {
+      errors.push(`Solo se procesan las primeras ${IMPORT_RESOLVE_MAX} filas (hay ${entries.length})`);
+      entries = entries.slice(0, IMPORT_RESOLVE_MAX);
+    }
+
+    const found = await Promise.all(entries.map(async (e) => {
+      const label = `${e.title || e.imdb_id}${e.year ? ` (${e.year})` : ''}`;
+      try {
+        const m = (e.imdb_id && await tmdbFindByImdb(e.imdb_id))
+          || (e.title && await tmdbSearchMovie(e.year ? `${e.title} (${e.year})` : e.title));
+        if (!m) errors.push(`${label}: no está en TMDB`);
+        else saveMovieMeta(m);
+        return m || null;
+      } catch (err) {
+        errors.push(`${label}: TMDB falló (${err?.message || err})`);
+        return null;
+      }
+    }));
+
+    const movies = new Map();
+    const viewings = [];
+    entries.forEach((e, i) => {
+      const m = found[i];
+      if (!m) return;
+
+      const year = (m.release_date || '').slice(0, 4) || e.year || '';
+      const prev = movies.get(m.id);
+      const watched = e.status === 'watched' || prev?.status === 'watched';
+      movies.set(m.id, {
+        tmdb_id: m.id,
+        title: m.title,
+        year,
+        status: watched ? 'watched' : 'pending',
+        added_at: prev?.added_at ?? e.added_at,
+        added_by: actor,
+        watched_at: prev?.watched_at ?? e.watched_at,
+        watched_by: watched ? actor : null,
+      });
+
+      if (e.status === 'watched') {
+        viewings.push({
+          tmdb_id: m.id,
+          title: m.title,
+          year,
+          watched_at: e.watched_at ?? e.added_at,
+          logged_by: actor,
+          ratings: e.score ? [{ user_id: actor, score: e.score }] : [],
+        });
+      }
+    });
+
+    return { movies: [...movies.values()], viewings, errors };
+  }
+
+  // Archivo subido -> { kind, data: { movies, polls, viewings }, errors }
+  async function readImportFile(fileName, text, actor) {
+    const detected = detectImportFormat(fileName, text);
+    const { kind } = detected;
+
+    if (kind === 'pistacho-json') return { kind, ...validateExport(detected.json) };
+    if (kind === 'pistacho-csv') return { kind, ...fromPistachoCsv(detected.records) };
+
+    let entries;
+    let skipped = [];
+    if (kind.startsWith('letterboxd-')) entries = fromLetterboxd(detected.records, kind);
+    else if (kind === 'imdb') ({ entries, skipped } = fromImdb(detected.records));
+    else return { kind, data: { movies: [], polls: [], viewings: [] }, errors: [detected.error] };
+
+    const resolved = await resolveImportEntries(entries, actor);
+    const { data, errors } = validateExport({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      movies: resolved.movies,
+      viewings: resolved.viewings,
+    });
+    return { kind, data, errors: [...skipped, ...resolved.errors, ...errors] };
+  }
+
+  // Escribe lo importado en una sola acción auditada. dryRun = lo hace y lo deshace (cuentas exactas sin tocar nada)
+  function importData(ctx, data, { mode = 'merge', dryRun = false } = {}) {
+    const { guildId } = ctx;
+    const report = { added: 0, updated: 0, skipped: 0, removed: 0, polls: 0, viewings: 0, ratings: 0 };
+
+    const apply = () => {
+      const changes = [];
+      if (mode === 'replace') {
+        for (const [table, where] of GUILD_TABLES) {
+          if (IMPORT_REPLACES.includes(table)) changes.push(...auditDelete(table, where, guildId));
+        }
+        report.removed = changes.filter(c => c.table === 'movies').length;
+      }
+
+      for (const m of data.movies) {
+        const existing = repo.movieByTmdb(guildId, m.tmdb_id);
+        if (!existing) {
+          changes.push(auditInsert('movies', repo.insertImportedMovie(guildId, m)));
+          report.added++;
+        } else if (existing.status === 'pending' && m.status === 'watched') {
+          // Pendiente aquí y vista en el archivo (p.ej. diario de Letterboxd) -> vista
+          changes.push(auditUpdate('movies', existing.id, () => repo.setWatchedAt(existing.id, m.watched_at, m.watched_by)));
+          report.updated++;
+        } else {
+          report.skipped++;
+        }
+      }
+
+      for (const p of data.polls) {
+        if (p.created_at && repo.hasPollHistoryAt(guildId, p.created_at)) continue;
+
+        const pollId = repo.insertPollHistoryAt(guildId, p.created_at);
+        changes.push(auditInsert('poll_history', pollId));
+        for (const it of p.items) {
+          const row = { guild_id: guildId, poll_id: pollId, ...it };
+          insertRow('poll_history_items', row);
+          changes.push(auditInsert('poll_history_items', null, row));
+        }
+        report.polls++;
+      }
+
+      for (const v of data.viewings) {
+        if (v.watched_at && repo.hasViewingAt(guildId, v.tmdb_id, v.watched_at)) continue;
+
+        const viewingId = repo.insertImportedViewing(guildId, v);
+        changes.push(auditInsert('viewings', viewingId));
+        report.viewings++;
+
+        for (const r of v.ratings) {
+          const row = { viewing_id: viewingId, user_id: r.user_id, score: r.score, review: r.review };
+          if (r.rated_at) row.rated_at = r.rated_at;
+          insertRow('ratings', row);
+          changes.push(auditInsert('ratings', null, row));
+          report.ratings++;
+        }
+      }
+
+      const summary = `Import ${mode}: ${report.added} añadidas`
+        + (report.updated ? `, ${report.updated} vistas` : '')
+        + (mode === 'replace' ? `, ${report.removed} borradas` : '');
+      recordAudit(ctx, summary, changes);
+      return summary;
+    };
+
+    const DRY_RUN = Symbol('dry-run');
+    try {
+      const summary = repo.transaction(() => {
+        const summary = apply();
+        if (dryRun) throw DRY_RUN; // rollback
+        return summary;
+      });
+      emitEvent('list.changed', guildId, { actor: ctx.actor ?? null, source: ctx.source, summary });
+    } catch (e) {
+      if (e !== DRY_RUN) throw e;
+    }
+    return report;
+  }
+
+  function formatImportReport(file, report, { mode, dryRun = false }) {
+    const { data, errors } = file;
+    const lines = [
+      `${dryRun ? '🧪 **Prueba** (no se ha tocado nada)' : '✅ **Import terminado**'} · ${IMPORT_KINDS[file.kind] ?? file.kind} · modo ${mode}`,
+    ];
+    if (mode === 'replace') lines.push(`🗑️ Borradas antes: ${report.removed} pelis (con su historial de votaciones y visionados)`);
+    lines.push(`🎬 Pelis: ${report.added} nuevas · ${report.updated} pasan a vistas · ${report.skipped} ya estaban`);
+    if (data.polls.length) lines.push(`🗳️ Votaciones: ${report.polls} nuevas de ${data.polls.length}`);
+    if (data.viewings.length) lines.push(`👀 Visionados: ${report.viewings} nuevos de ${data.viewings.length} · ⭐ ${report.ratings} notas`);
+
+    if (errors.length) {
+      const more = errors.length > IMPORT_ERRORS_SHOWN ? `\n… y ${errors.length - IMPORT_ERRORS_SHOWN} más` : '';
+      lines.push(`⚠️ ${errors.length} fila(s) no se importan:\n${errors.slice(0, IMPORT_ERRORS_SHOWN).map(e => `• ${e}`).join('\n')}${more}`);
+    }
+    return lines.join('\n').slice(0, 1900);
+  }
+
+  /* ======================
+     Helpers
+  ====================== */
+  // "@a @b" (o IDs sueltos) -> IDs sin repetir
+  function parseUserMentions(raw) {
+    return [...new Set(String(raw || '').match(/\d{17,20}/g) || [])];
+  }
+
+  function parseTitlesList(raw) {
+    // Soporta comas y punto y coma. Máximo 5 (botones).
+    return (raw || '')
+      .split(/[;,]/g)
+      .map(s => s.trim())
+      .filter(Boolean)
+      .slice(0, 5);
+  }
+
+  /* ======================
+     LISTA (filtros + páginas)
+  ====================== */
+  // Estado de los filtros dentro del customId de los botones (máx 100 chars)
+  function encodeListState(page, f) {
+    return ['list', page, f.status, f.addedBy ?? '', f.yearFrom ?? '', f.yearTo ?? '', f.genre ?? '', f.sort].join(':');
+  }
+
+  function decodeListState(customId) {
+    const [, page, status, addedBy, yearFrom, yearTo, genre, sort] = customId.split(':');
+    return {
+      page: Number(page) || 0,
+      filters: {
+        status,
+        addedBy: addedBy || null,
+        yearFrom: Number(yearFrom) || null,
+        yearTo: Number(yearTo) || null,
+        genre: Number(genre) || null,
+        sort,
+      },
+    };
+  }
+
+  function describeListFilters(f) {
+    return [
+      LIST_STATUSES[f.status],
+      f.yearFrom || f.yearTo ? `años ${f.yearFrom ?? '…'}–${f.yearTo ?? '…'}` : null,
+      f.genre ? TMDB_GENRES[f.genre] : null,
+      `orden: ${LIST_SORTS[f.sort].name}`,
+    ].filter(Boolean).join(' • ');
+  }
+
+  // La lista entera queda capada a list_limit (/config)
+  function buildListPage(guildId, filters, page) {
+    const listLimit = getSettings(guildId).list_limit;
+    const probe = movieService.list(guildId, filters, { limit: 0 });
+    const total = Math.min(probe.total, listLimit);
+    const pages = Math.max(1, Math.ceil(total / LIST_PAGE_SIZE));
+    const current = Math.max(0, Math.min(page, pages - 1));
+
+    const offset = current * LIST_PAGE_SIZE;
+    const { rows } = movieService.list(guildId, filters, { limit: Math.min(LIST_PAGE_SIZE, total - offset), offset });
+
+    const lines = rows.map(r => {
+      const extra = [
+        r.status === 'watched' ? '✅' : null,
+        r.vote_average != null ? `⭐ ${r.vote_average.toFixed(1)}` : null,
+        r.runtime ? `⏱️ ${formatRuntime(r.runtime)}` : null,
+        r.suggested_count ? `🔁 ${r.suggested_count}` : null,
+        formatPrefCounts({ interest: r.interest_count, veto: r.veto_count }) || null,
+        r.added_by && /^\d+$/.test(r.added_by) ? `<@${r.added_by}>` : null,
+      ].filter(Boolean).join(' · ');
+      return `• **${formatMovieLine(r)}**${extra ? ` — ${extra}` : ''}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🎞️ ${LIST_STATUSES[filters.status]} (${probe.total})`)
+      .setDescription([
+        filters.addedBy ? `Añadidas por <@${filters.addedBy}>\n` : null,
+        lines.join('\n') || '🍿 Nada que coincida con esos filtros',
+      ].filter(Boolean).join('\n'))
+      .setFooter({ text: `Página ${current + 1}/${pages} • ${describeListFilters(filters)}` });
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(encodeListState(current - 1, filters))
+        .setLabel('◀')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current === 0),
+      new ButtonBuilder()
+        .setCustomId(encodeListState(current + 1, filters))
+        .setLabel('▶')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current >= pages - 1),
+    );
+
+    // Menú para marcar interés/veto en una peli de esta página
+    const rated = rows.filter(r => r.tmdb_id);
+    const prefMenu = new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('listpref')
+        .setPlaceholder('👍/🚫 Marca interés o veto…')
+        .addOptions(rated.map(r => ({ label: formatMovieLine(r).slice(0, 100), value: String(r.tmdb_id) })))
+    );
+
+    return {
+      embeds: [embed],
+      components: [rated.length ? prefMenu : null, pages > 1 ? row : null].filter(Boolean),
+    };
+  }
+
+  /* ======================
+     AUTOCOMPLETADO
+  ====================== */
+  const AUTOCOMPLETE_MAX = 25; // límite de Discord
+
+  // Títulos de la lista del servidor (status null = todas, con el estado al lado)
+  function suggestListTitles(guildId, query, status = null) {
+    const rows = movieService.suggestTitles(guildId, String(query || '').trim(), status, AUTOCOMPLETE_MAX);
+    return rows.map(r => ({
+      name: `${formatMovieLine(r)}${status ? '' : ` — ${r.status}`}`.slice(0, 100),
+      value: r.tmdb_id ? `tmdb:${r.tmdb_id}` : r.title.slice(0, 100),
+    }));
+  }
+
+  // Búsqueda en vivo en TMDB. `prefix` = lo ya escrito antes (p.ej. otros títulos de /votar)
+  async function suggestTmdbTitles(query, prefix = '') {
+    const q = String(query || '').trim();
+    if (q.length < 2) return [];
+
+    const scored = await tmdbSearchScored(q);
+    return scored.slice(0, 10)
+      .map(({ m }) => ({
+        name: `${prefix}${formatMovieLine({ title: m.title, year: (m.release_date || '').slice(0, 4) })}`.slice(0, 100),
+        value: `${prefix}tmdb:${m.id}`,
+      }))
+      .filter(c => c.value.length <= 100);
+  }
+
+  async function handleAutocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const guildId = interaction.guildId;
+    let choices = [];
+
+    switch (interaction.commandName) {
+      case 'remove':
+        choices = suggestListTitles(guildId, focused.value);
+        break;
+      case 'visto':
+        // Pendientes primero; detrás las vistas, para apuntar que se ha vuelto a ver
+        choices = [
+          ...suggestListTitles(guildId, focused.value, 'pending'),
+          ...suggestListTitles(guildId, focused.value, 'watched').map(c => ({ ...c, name: `🔁 ${c.name}`.slice(0, 100) })),
+        ].slice(0, AUTOCOMPLETE_MAX);
+        break;
+      case 'add':
+      case 'movie':
+        choices = await suggestTmdbTitles(focused.value);
+        break;
+      case 'noche':
+        if (focused.name === 'peli') {
+          choices = suggestListTitles(guildId, focused.value, 'pending');
+        } else {
+          const tz = getSettings(guildId).timezone;
+          choices = nightService.upcoming(guildId, AUTOCOMPLETE_MAX).map(n => ({
+            name: `#${n.id} — ${formatNightDate(n.starts_at, tz)}${n.title ? ` — ${formatMovieLine(n)}` : ''}`.slice(0, 100),
+            value: n.id,
+          }));
+        }
+        break;
+      case 'apikey': {
+        const q = String(focused.value).toLowerCase();
+        choices = listApiKeys(guildId)
+          .filter(k => !k.revoked_at && `${k.id} ${k.name}`.toLowerCase().includes(q))
+          .slice(0, AUTOCOMPLETE_MAX)
+          .map(k => ({ name: `#${k.id} — ${k.name} (${k.key_hint}…)`.slice(0, 100), value: k.id }));
+        break;
+      }
+      case 'webhook': {
+        const q = String(focused.value).toLowerCase();
+        choices = webhooks.list(guildId)
+          .filter(w => `${w.id} ${w.url}`.toLowerCase().includes(q))
+          .slice(0, AUTOCOMPLETE_MAX)
+          .map(w => ({ name: `#${w.id} — ${w.url}`.slice(0, 100), value: w.id }));
+        break;
+      }
+      case 'restore': {
+        const q = focused.value.toLowerCase();
+        choices = listBackups(guildId)
+          .filter(b => b.name.toLowerCase().includes(q))
+          .slice(0, AUTOCOMPLETE_MAX)
+          .map(b => ({ name: `${b.name} (${(b.size / 1024 / 1024).toFixed(2)} MB)`, value: b.name }));
+        break;
+      }
+      case 'votar': {
+        // Solo se autocompleta el último título de la lista
+        const cut = Math.max(focused.value.lastIndexOf(','), focused.value.lastIndexOf(';')) + 1;
+        const prefix = cut ? `${focused.value.slice(0, cut).trim()} ` : '';
+        choices = await suggestTmdbTitles(focused.value.slice(cut), prefix);
+        break;
+      }
+    }
+
+    await interaction.respond(choices.slice(0, AUTOCOMPLETE_MAX));
+  }
+
+  /* ======================
+     SLASH COMMANDS
+  ====================== */
+  const SETTING_CHOICES = Object.entries(SETTINGS).map(([value, d]) => ({ name: `${value} — ${d.desc}`.slice(0, 100), value }));
+
+  const commands = [
+    new SlashCommandBuilder().setName('help').setDescription('Muestra ayuda y comandos'),
+    new SlashCommandBuilder().setName('ping').setDescription('Responde pong'),
+
+    new SlashCommandBuilder()
+      .setName('movie')
+      .setDescription('Busca una peli en TMDB (ej: "Matrix 1999")')
+      .addStringOption(o =>
+        o.setName('titulo').setDescription('Título (o link IMDb)').setRequired(true).setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('add')
+      .setDescription('Añade una peli a la lista (título o link IMDb)')
+      .addStringOption(o =>
+        o.setName('titulo').setDescription('Ej: "Matrix 1999" o https://www.imdb.com/title/tt0133093/').setRequired(true).setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('remove')
+      .setDescription('Elimina una peli de la lista (texto que coincida)')
+      .addStringOption(o =>
+        o.setName('titulo').setDescription('Empieza a escribir y elige de la lista').setRequired(true).setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('list')
+      .setDescription('Lista pelis (con filtros y páginas)')
+      .addStringOption(o =>
+        o.setName('estado')
+          .setDescription('Pendientes (por defecto), vistas o todas')
+          .setRequired(false)
+          .addChoices(...Object.entries(LIST_STATUSES).map(([value, name]) => ({ name, value })))
+      )
+      .addUserOption(o =>
+        o.setName('de').setDescription('Solo las que añadió esta persona').setRequired(false)
+      )
+      .addIntegerOption(o =>
+        o.setName('desde').setDescription('Año mínimo').setRequired(false).setMinValue(1870).setMaxValue(2100)
+      )
+      .addIntegerOption(o =>
+        o.setName('hasta').setDescription('Año máximo').setRequired(false).setMinValue(1870).setMaxValue(2100)
+      )
+      .addIntegerOption(o =>
+        o.setName('genero')
+          .setDescription('Género (TMDB)')
+          .setRequired(false)
+          .addChoices(...Object.entries(TMDB_GENRES).map(([value, name]) => ({ name, value: Number(value) })))
+      )
+      .addStringOption(o =>
+        o.setName('orden')
+          .setDescription('Orden (por defecto: fecha añadida)')
+          .setRequired(false)
+          .addChoices(...Object.entries(LIST_SORTS).map(([value, s]) => ({ name: s.name, value })))
+      ),
+
+    new SlashCommandBuilder()
+      .setName('visto')
+      .setDescription('Marca peli como vista (si ya lo estaba, apunta otro visionado)')
+      .addStringOption(o =>
+        o.setName('titulo').setDescription('Empieza a escribir y elige de la lista').setRequired(true).setAutocomplete(true)
+      )
+      .addStringOption(o =>
+        o.setName('asistentes').setDescription('Quién la vio (menciones: @a @b …)').setRequired(false)
+      )
+      .addStringOption(o =>
+        o.setName('notas').setDescription('Notas de la sesión').setRequired(false).setMaxLength(200)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('quevemos')
+      .setDescription('Elige una peli pendiente (anti-repetición)')
+      .addStringOption(o =>
+        o.setName('con').setDescription('Quién la va a ver (@a @b …): usa sus gustos y vetos').setRequired(false)
+      )
+      .addBooleanOption(o =>
+        o.setName('disponible').setDescription('Solo pelis en nuestras plataformas (/config services)').setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('votar')
+      .setDescription('Votación con botones (titulos, links IMDb o desde la lista)')
+      .addStringOption(o =>
+        o.setName('titulos')
+          .setDescription('Lista separada por comas/; (máx 5). Acepta links IMDb.')
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+      .addIntegerOption(o =>
+        o.setName('opciones')
+          .setDescription('Si NO pones titulos: cuántas pelis sacar de pendientes (3-5)')
+          .setRequired(false)
+      )
+      .addStringOption(o =>
+        o.setName('modo')
+          .setDescription('Cómo se vota (por defecto: un voto)')
+          .setRequired(false)
+          .addChoices(...Object.entries(POLL_MODES).map(([value, m]) => ({ name: m.name, value })))
+      )
+      .addStringOption(o =>
+        o.setName('desempate')
+          .setDescription('Qué pasa si hay empate (por defecto: al azar)')
+          .setRequired(false)
+          .addChoices(...Object.entries(TIE_BREAKS).map(([value, name]) => ({ name, value })))
+      )
+      .addStringOption(o =>
+        o.setName('con')
+          .setDescription('Si NO pones titulos: quién la va a ver (@a @b …)')
+          .setRequired(false)
+      )
+      .addBooleanOption(o =>
+        o.setName('disponible')
+          .setDescription('Si NO pones titulos: solo pelis en nuestras plataformas (/config services)')
+          .setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('descubrir')
+      .setDescription('Pelis nuevas parecidas a lo que os gustó (TMDB)')
+      .addIntegerOption(o =>
+        o.setName('genero')
+          .setDescription('Solo de este género')
+          .setRequired(false)
+          .addChoices(...Object.entries(TMDB_GENRES).map(([value, name]) => ({ name, value: Number(value) })))
+      ),
+
+    new SlashCommandBuilder()
+      .setName('noche')
+      .setDescription('Noches de peli: fecha, RSVP y avisos')
+      .addSubcommand(sc =>
+        sc.setName('crear')
+          .setDescription('Programa una noche de peli')
+          .addStringOption(o => o.setName('fecha').setDescription('hoy, mañana, 24/10 o 2026-10-24').setRequired(true))
+          .addStringOption(o => o.setName('hora').setDescription('Ej: 21:30').setRequired(true))
+          .addStringOption(o =>
+            o.setName('peli').setDescription('Vacío = se vota antes automáticamente').setRequired(false).setAutocomplete(true)
+          )
+          .addBooleanOption(o =>
+            o.setName('evento').setDescription('Crear también un evento de Discord').setRequired(false)
+          )
+      )
+      .addSubcommand(sc => sc.setName('ver').setDescription('Próximas noches'))
+      .addSubcommand(sc =>
+        sc.setName('cancelar')
+          .setDescription('Cancela una noche')
+          .addIntegerOption(o => o.setName('id').setDescription('Noche').setRequired(true).setAutocomplete(true))
+      ),
+
+    new SlashCommandBuilder().setName('stats').setDescription('Estadísticas del cine'),
+
+    new SlashCommandBuilder()
+      .setName('export')
+      .setDescription('Exporta la lista (json: también historial de votaciones, visionados y notas)')
+      .addStringOption(o =>
+        o.setName('formato')
+          .setDescription('json o csv')
+          .setRequired(false)
+          .addChoices({ name: 'json', value: 'json' }, { name: 'csv', value: 'csv' })
+      ),
+
+    new SlashCommandBuilder()
+      .setName('import')
+      .setDescription('Importa un backup, o la watchlist / diario de Letterboxd o una lista de IMDb')
+      .addAttachmentOption(o =>
+        o.setName('archivo').setDescription('.json/.csv exportado, CSV de Letterboxd o de IMDb').setRequired(true)
+      )
+      .addStringOption(o =>
+        o.setName('modo')
+          .setDescription('merge añade / replace borra y carga')
+          .setRequired(false)
+          .addChoices({ name: 'merge', value: 'merge' }, { name: 'replace', value: 'replace' })
+      )
+      .addBooleanOption(o =>
+        o.setName('prueba').setDescription('Solo enseña qué haría, sin tocar nada').setRequired(false)
+      ),
+
+    new SlashCommandBuilder().setName('reset').setDescription('⚠️ Borra lista + historial (pide confirmación)'),
+
+    new SlashCommandBuilder()
+      .setName('backup')
+      .setDescription('💾 Copias de seguridad de la base de datos (admin)')
+      .addSubcommand(sc => sc.setName('ahora').setDescription('Hace una copia ahora'))
+      .addSubcommand(sc => sc.setName('listar').setDescription('Copias guardadas')),
+
+    new SlashCommandBuilder()
+      .setName('restore')
+      .setDescription('⚠️ Devuelve la lista de este servidor a una copia (pide confirmación)')
+      .addStringOption(o =>
+        o.setName('copia').setDescription('Nombre de la copia (ver /backup listar)').setRequired(true).setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('apikey')
+      .setDescription('🔑 Claves de la API HTTP de este servidor (admin)')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand(sc =>
+        sc.setName('crear').setDescription('Crea una clave (solo se muestra una vez)')
+          .addStringOption(o => o.setName('nombre').setDescription('Para qué es (p.ej. "GPT")').setRequired(true).setMaxLength(50))
+          .addBooleanOption(o => o.setName('lectura').setDescription(`read: ${API_SCOPES.read} (por defecto sí)`).setRequired(false))
+          .addBooleanOption(o => o.setName('escritura').setDescription(`write: ${API_SCOPES.write}`).setRequired(false))
+          .addBooleanOption(o => o.setName('votaciones').setDescription(`poll: ${API_SCOPES.poll}`).setRequired(false))
+          .addBooleanOption(o => o.setName('decir').setDescription(`say: ${API_SCOPES.say}`).setRequired(false))
+          .addIntegerOption(o =>
+            o.setName('limite').setDescription(`Peticiones por minuto (por defecto ${API_RATE_DEFAULT})`).setRequired(false).setMinValue(1).setMaxValue(API_RATE_MAX)
+          )
+      )
+      .addSubcommand(sc =>
+        sc.setName('revocar').setDescription('Anula una clave')
+          .addIntegerOption(o => o.setName('id').setDescription('Clave (ver /apikey listar)').setRequired(true).setAutocomplete(true))
+      )
+      .addSubcommand(sc => sc.setName('listar').setDescription('Claves del servidor y su uso')),
+
+    new SlashCommandBuilder()
+      .setName('webhook')
+      .setDescription('📡 Avisos a otras webs cuando cambia la lista o una votación (admin)')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand(sc =>
+        sc.setName('crear').setDescription('Añade una URL (el secreto para verificar la firma solo se muestra una vez)')
+          .addStringOption(o => o.setName('url').setDescription('https://…').setRequired(true).setMaxLength(500))
+          .addStringOption(o =>
+            o.setName('eventos').setDescription('Tipos separados por comas (vacío = todos), p.ej. movie.added,poll.closed').setRequired(false).setMaxLength(200)
+          )
+      )
+      .addSubcommand(sc =>
+        sc.setName('borrar').setDescription('Quita una URL y sus envíos pendientes')
+          .addIntegerOption(o => o.setName('id').setDescription('Webhook (ver /webhook listar)').setRequired(true).setAutocomplete(true))
+      )
+      .addSubcommand(sc =>
+        sc.setName('probar').setDescription('Manda un evento "ping" a esa URL')
+          .addIntegerOption(o => o.setName('id').setDescription('Webhook (ver /webhook listar)').setRequired(true).setAutocomplete(true))
+      )
+      .addSubcommand(sc => sc.setName('listar').setDescription('URLs configuradas y estado de los envíos')),
+
+    new SlashCommandBuilder()
+      .setName('deshacer')
+      .setDescription('↩️ Revierte los últimos cambios (añadir, quitar, visto, import, reset...)')
+      .addIntegerOption(o =>
+        o.setName('cuantos').setDescription(`Cuántas acciones (1-${UNDO_MAX}, por defecto 1)`).setRequired(false).setMinValue(1).setMaxValue(UNDO_MAX)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('auditoria')
+      .setDescription('📜 Registro de cambios de la lista (admin)')
+      .addIntegerOption(o =>
+        o.setName('pagina').setDescription('Página (1 = lo más reciente)').setRequired(false).setMinValue(1)
+      ),
+
+    new SlashCommandBuilder()
+      .setName('backfill')
+      .setDescription('Rellena datos TMDB (duración, póster, géneros...) de las pelis que no los tienen'),
+
+    new SlashCommandBuilder()
+      .setName('config')
+      .setDescription('⚙️ Ajustes de este servidor (admin)')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand(sc => sc.setName('ver').setDescription('Muestra los ajustes actuales'))
+      .addSubcommand(sc =>
+        sc.setName('set')
+          .setDescription('Cambia un ajuste')
+          .addStringOption(o =>
+            o.setName('clave').setDescription('Ajuste').setRequired(true).addChoices(...SETTING_CHOICES)
+          )
+          .addStringOption(o =>
+            o.setName('valor').setDescription('Nuevo valor').setRequired(true)
+          )
+      )
+      .addSubcommand(sc =>
+        sc.setName('reset')
+          .setDescription('Vuelve al valor por defecto')
+          .addStringOption(o =>
+            o.setName('clave').setDescription('Ajuste (vacío = todos)').setRequired(false).addChoices(...SETTING_CHOICES)
+          )
+      ),
+  ].map(c => c.setContexts(InteractionContextType.Guild).toJSON());
+
+  const rest = deps.rest ?? new REST({ version: '10' }).setToken(DISCORD_TOKEN);
+
+  async function registerCommands() {
+    if (GUILD_ID_LIST.length) {
+      for (const guildId of GUILD_ID_LIST) {
+        await rest.put(Routes.applicationGuildCommands(DISCORD_APP_ID, guildId), { body: commands });
+      }
+      log.info('Comandos registrados', { guilds: GUILD_ID_LIST.length, commands: commands.length });
+    } else {
+      await rest.put(Routes.applicationCommands(DISCORD_APP_ID), { body: commands });
+      log.info('Comandos registrados globalmente', { commands: commands.length });
+    }
+  }
+
+  /* ======================
+     CLIENT (RESPONDE A MENCIONES)
+  ====================== */
+
+  const client = deps.client ?? new Client({
+    intents: [
+      GatewayIntentBits.Guilds,
+      GatewayIntentBits.GuildMessages,
+      GatewayIntentBits.MessageContent,
+    ],
+  });
+
+  // ✅ Evento correcto en discord.js v14+
+  client.once('clientReady', () => {
+    log.info('Conectado a Discord', { user: client.user.tag });
+    const polls = pollService.restore();
+    if (polls) log.info('Votaciones reanudadas', { polls });
+    const nights = nightService.restore();
+    if (nights.open || nights.stale) log.info('Noches reanudadas', { nights: nights.open, stale: nights.stale });
+    armBackups();
+    webhooks.start();
+  });
+
+  // Cortes del gateway: discord.js reconecta solo; mientras tanto /health da 503
+  client.on('shardDisconnect', (event, shardId) => log.warn('Discord: desconectado', { shard: shardId, code: event?.code }));
+  client.on('shardReconnecting', (shardId) => log.warn('Discord: reconectando', { shard: shardId }));
+  client.on('shardResume', (shardId, replayed) => log.info('Discord: reconectado', { shard: shardId, replayed }));
+  client.on('error', (err) => log.error('Discord: error del cliente', { err }));
+
+  client.on('messageCreate', async (message) => {
+    // Ignorar bots
+    if (message.author.bot) return;
+
+    // Si mencionan al bot
+    if (message.mentions.has(client.user)) {
+      const frases = [
+        '🫒 ¿No tendrás 50 eurillos para mangarte?',
+        '🎃 ¿Te gustan de terror? Se te acabó el pienso y son las 3 AM.',
+        '🍿 A ver si aprendemos a decidirnos, que no sois los que tenéis 7 vidas. Elige ya, lenteja.',
+        '🐟 ¿Y si te pones una peli y dejas el atún sin supervisión? Pregunto por... un amigo.',
+        '🎬 ¿Otra peli? A este ritmo vas a oler más a sofá que yo Pardolín.',
+      ];
+
+      const frase = frases[Math.floor(Math.random() * frases.length)];
+
+      // ✅ Responder mencionando a la persona
+      await message.reply({
+        content: `${message.author} ${frase}`,
+        allowedMentions: { repliedUser: true },
+      });
+    }
+  });
+
+
+
+  /* ======================
+     TIMERS (sobreviven a reinicios si se re-arman desde la DB)
+  ====================== */
+  const MAX_TIMEOUT_MS = 2_147_483_647; // límite de setTimeout (~24.8 días)
+  const timers = new Map();
+
+  function scheduleAt(key, atIso, fn) {
+    cancelScheduled(key);
+    const ms = Date.parse(atIso) - Date.now();
+    timers.set(key, setTimeout(() => {
+      if (ms > MAX_TIMEOUT_MS) return scheduleAt(key, atIso, fn); // aún falta: re-armar
+      timers.delete(key);
+      Promise.resolve().then(fn).catch(e => log.error('Timer falló', { timer: key, err: e }));
+    }, Math.max(0, Math.min(ms, MAX_TIMEOUT_MS))));
+  }
+
+  function cancelScheduled(key) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+
+  /* ======================
+     VOTACIONES (motor persistente: /votar y /gpt/votar)
+  ====================== */
+  function formatPollLines(poll, counts) {
+    const { watch_region: region, services } = getSettings(poll.guild_id);
+    return poll.movies.map((m, i) => {
+      const k = String(i + 1);
+      const runtime = formatRuntime(getMovieMeta(m.tmdb_id)?.runtime);
+      const where = formatProviders(getWatchProviders(m.tmdb_id, region), services, 2);
+      return `**${k}.** ${formatMovieLine(m)}${runtime ? ` · ⏱️ ${runtime}` : ''}${where ? ` · 📺 ${where}` : ''} — 🗳️ **${counts[k] ?? 0}**`;
+    }).join('\n');
+  }
+
+  function formatRounds(rounds) {
+    return rounds.map((t, i) =>
+      `R${i + 1}: ${Object.entries(t).map(([k, c]) => `${k}→${c}`).join(' · ')}`
+    ).join('\n');
+  }
+
+  function buildPollEmbed(poll, tally, footer) {
+    const embed = new EmbedBuilder()
+      .setTitle(poll.title)
+      .setDescription(formatPollLines(poll, tally.counts))
+      .setFooter({ text: footer ?? POLL_MODES[poll.mode].footer });
+    if (poll.mode === 'ranked') embed.addFields({ name: '🗳️ Papeletas', value: String(tally.voters), inline: true });
+    return embed;
+  }
+
+  function buildPollComponents(poll, disabled = false) {
+    if (poll.mode === 'ranked') {
+      return poll.movies.slice(0, RANK_LABELS.length).map((_, r) =>
+        new ActionRowBuilder().addComponents(
+          new StringSelectMenuBuilder()
+            .setCustomId(`rank:${poll.id}:${r + 1}`)
+            .setPlaceholder(RANK_LABELS[r])
+            .setDisabled(disabled)
+            .addOptions(poll.movies.map((m, i) => ({
+              label: `${i + 1}. ${formatMovieLine(m)}`.slice(0, 100),
+              value: String(i + 1),
+            })))
+        )
+      );
+    }
+
+    return [
+      new ActionRowBuilder().addComponents(
+        ...poll.movies.map((_, i) =>
+          new ButtonBuilder()
+            .setCustomId(`vote:${poll.id}:${i + 1}`)
+            .setLabel(String(i + 1))
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(disabled)
+        )
+      ),
+    ];
+  }
+
+  async function fetchChannelMessage(channelId, messageId) {
+    if (!messageId) return null;
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel?.messages) return null;
+    return channel.messages.fetch(messageId).catch(() => null);
+  }
+
+  async function fetchPollMessage(poll) {
+    return fetchChannelMessage(poll.channel_id, poll.message_id);
+  }
+
+  // Adaptador de Discord: precarga lo que pinta el embed y la publica con `send` (el resto es pollService.open)
+  async function startPoll({
+    guildId, channelId, movies, durationMs, title, source, createdBy, historyId, runoffOf,
+    mode = VOTE_MODE_DEFAULT, tieBreak = TIE_BREAK_DEFAULT, send,
+  }) {
+    // Duraciones/pósters/plataformas para el embed (si TMDB falla, la votación sale igual)
+    const region = getSettings(guildId).watch_region;
+    await Promise.all(movies.flatMap(m => [ensureMovieDetails(m.tmdb_id), ensureWatchProviders(m.tmdb_id, region)]));
+
+    const footer = `Dura ${Math.round(durationMs / 1000)}s • ${POLL_MODES[mode].name} • Empate: ${TIE_BREAKS[tieBreak]}`;
+    return await pollService.open({
+      guildId, channelId, movies, durationMs, title, source, createdBy, historyId, runoffOf, mode, tieBreak,
+      publish: (poll) => send({ embeds: [buildPollEmbed(poll, pollService.tally(poll), footer)], components: buildPollComponents(poll) }),
+    });
+  }
+
+  function buildClosedEmbed(poll, tally, winner, note) {
+    const embed = new EmbedBuilder()
+      .setTitle('🗳️ Votación cerrada')
+      .setDescription(formatPollLines(poll, tally.counts));
+    if (tally.rounds?.length > 1) embed.addFields({ name: '🔁 Rondas', value: formatRounds(tally.rounds) });
+    embed.addFields({ name: '🎬 Ganadora', value: winner ? `**${formatMovieLine(winner)}**` : 'Nadie votó 😿' });
+    const poster = winner && posterUrl(getMovieMeta(winner.tmdb_id));
+    if (poster) embed.setThumbnail(poster);
+
+    const footer = [note, winner && SCHEDULE_WINNER ? '📅 Queda como próxima peli' : null].filter(Boolean).join(' • ');
+    if (footer) embed.setFooter({ text: footer });
+    return embed;
+  }
+
+  // pollService.close() -> pinta el resultado en el mensaje (y lanza el desempate si toca)
+  async function renderClosedPoll({ poll, tally, winner, tie, tied }) {
+    const msg = await fetchPollMessage(poll);
+    const disabled = buildPollComponents(poll, true);
+
+    if (!tie || tie === 'random') {
+      const note = tie === 'random' ? '🎲 Empate resuelto al azar' : undefined;
+      try { await msg?.edit({ embeds: [buildClosedEmbed(poll, tally, winner, note)], components: disabled }); } catch {}
+      return;
+    }
+
+    const tieEmbed = new EmbedBuilder()
+      .setTitle('🗳️ Votación cerrada — ¡empate!')
+      .setDescription(formatPollLines(poll, tally.counts))
+      .addFields({ name: '⚖️ Empatadas', value: tied.map(m => `• ${formatMovieLine(m)}`).join('\n') });
+
+    if (tie === 'admin') {
+      tieEmbed.setFooter({ text: '🔒 Un admin elige la ganadora' });
+      const tieRow = new ActionRowBuilder().addComponents(
+        ...tally.leaders.map(k =>
+          new ButtonBuilder()
+            .setCustomId(`tiebreak:${poll.id}:${k}`)
+            .setLabel(`${k}. ${formatMovieLine(poll.movies[k - 1])}`.slice(0, 80))
+            .setStyle(ButtonStyle.Secondary)
+        )
+      );
+      try { await msg?.edit({ embeds: [tieEmbed], components: [tieRow] }); } catch {}
+      return;
+    }
+
+    tieEmbed.setFooter({ text: '🔁 Segunda votación en marcha' });
+    try { await msg?.edit({ embeds: [tieEmbed], components: disabled }); } catch {}
+
+    const channel = await client.channels.fetch(poll.channel_id).catch(() => null);
+    if (channel?.send) {
+      await startPoll({
+        guildId: poll.guild_id,
+        channelId: poll.channel_id,
+        movies: tied,
+        durationMs: RUNOFF_DURATION_MS,
+        title: '🗳️ Desempate',
+        source: poll.source,
+        createdBy: poll.created_by,
+        historyId: poll.history_id, // misma entrada del historial: ahí queda la ganadora
+        runoffOf: poll.id,
+        mode: 'plurality',
+        tieBreak: 'random', // un desempate no se vuelve a desempatar
+        send: (payload) => channel.send(payload),
+      });
+    }
+  }
+
+  /* ======================
+     NOCHES DE PELI (/noche: RSVP, avisos y votación automática)
+  ====================== */
+  const RSVP = {
+    yes: { emoji: '✅', label: 'Voy', style: ButtonStyle.Success },
+    maybe: { emoji: '🤔', label: 'Quizá', style: ButtonStyle.Secondary },
+    no: { emoji: '❌', label: 'No puedo', style: ButtonStyle.Danger },
+  };
+
+  // Diferencia (ms) entre la hora local de `tz` y UTC en ese instante
+  function tzOffsetMs(ts, tz) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+      }).formatToParts(ts).map(p => [p.type, Number(p.value)])
+    );
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(ts / 1000) * 1000;
+  }
+
+  // "hoy" | "mañana" | "24/10" | "24/10/2026" | "2026-10-24" + "21:30" (hora de `tz`) -> Date o null
+  function parseNightDate(fecha, hora, tz, now = Date.now()) {
+    const todayLocal = new Date(now + tzOffsetMs(now, tz));
+    let y = todayLocal.getUTCFullYear();
+    let mo = todayLocal.getUTCMonth() + 1;
+    let d = todayLocal.getUTCDate();
+
+    const f = normalizeTitle(fecha);
+    let yearGiven = false;
+    let m;
+    if (f === 'mañana' || f === 'manana') {
+      const t = new Date(Date.UTC(y, mo - 1, d + 1));
+      [y, mo, d] = [t.getUTCFullYear(), t.getUTCMonth() + 1, t.getUTCDate()];
+    } else if ((m = String(fecha).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+      [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+      yearGiven = true;
+    } else if ((m = String(fecha).trim().match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?$/))) {
+      [d, mo] = [Number(m[1]), Number(m[2])];
+      if (m[3]) y = Number(m[3].length === 2 ? `20${m[3]}` : m[3]);
+      yearGiven = !!m[3];
+    } else if (f !== 'hoy') {
+      return null;
+    }
+
+    const hm = String(hora).trim().match(/^(\d{1,2})(?:[:.h](\d{2}))?h?$/i);
+    if (!hm) return null;
+    const [h, mi] = [Number(hm[1]), Number(hm[2] ?? 0)];
+    if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59) return null;
+
+    const build = (year) => {
+      const guess = Date.UTC(year, mo - 1, d, h, mi);
+      if (new Date(guess).getUTCDate() !== d) return null; // 31/02 y similares
+      let ts = guess - tzOffsetMs(guess, tz);
+      ts = guess - tzOffsetMs(ts, tz); // cambio de hora
+      return ts;
+    };
+
+    let ts = build(y);
+    // "24/10" ya pasado -> el año que viene
+    if (ts !== null && ts < now && m && !yearGiven) ts = build(y + 1);
+    return ts === null ? null : new Date(ts);
+  }
+
+  function formatNightDate(iso, tz) {
+    return new Intl.DateTimeFormat('es-ES', {
+      timeZone: tz, weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+    }).format(new Date(iso));
+  }
+
+  function buildNightMessage(night) {
+    const ts = Math.floor(Date.parse(night.starts_at) / 1000);
+    const pollHours = getSettings(night.guild_id).night_poll_hours;
+    const film = night.title
+      ? `🎬 **${formatMovieLine(night)}**`
+      : night.poll_id
+        ? '🎬 Peli en votación…'
+        : `🎬 Sin peli todavía${pollHours ? ` (votación ${pollHours}h antes)` : ''}`;
+    const who = (ids) => (ids.length ? ids.map(id => `<@${id}>`).join(' ') : '—').slice(0, 1024);
+
+    const title = { scheduled: '🍿 Noche de peli', done: '🍿 Noche de peli (ya fue)', cancelled: '🍿 Noche de peli (cancelada)' }[night.status];
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(`📅 <t:${ts}:F> (<t:${ts}:R>)\n${film}`)
+      .addFields(Object.entries(RSVP).map(([k, r]) => ({ name: `${r.emoji} ${r.label} (${night.rsvps[k].length})`, value: who(night.rsvps[k]), inline: true })))
+      .setFooter({ text: `Noche #${night.id}` });
+    const poster = night.tmdb_id && posterUrl(getMovieMeta(night.tmdb_id));
+    if (poster) embed.setThumbnail(poster);
+
+    const row = new ActionRowBuilder().addComponents(
+      Object.entries(RSVP).map(([k, r]) =>
+        new ButtonBuilder()
+          .setCustomId(`rsvp:${night.id}:${k}`)
+          .setLabel(`${r.emoji} ${r.label}`)
+          .setStyle(r.style)
+          .setDisabled(night.status !== 'scheduled')
+      )
+    );
+
+    return { embeds: [embed], components: [row] };
+  }
+
+  // Nombre/descr. del evento de Discord (si lo hay)
+  function nightEventFields(night) {
+    return {
+      name: (night.title ? `🍿 ${formatMovieLine(night)}` : '🍿 Noche de peli').slice(0, 100),
+      description: `Noche #${night.id} de Don Pistacho. Apúntate en <#${night.channel_id}>.`,
+    };
+  }
+
+  async function createNightEvent(guild, night) {
+    const runtime = night.tmdb_id ? getMovieMeta(night.tmdb_id)?.runtime : null;
+    const start = Date.parse(night.starts_at);
+    const ev = await guild.scheduledEvents.create({
+      ...nightEventFields(night),
+      scheduledStartTime: new Date(start),
+      scheduledEndTime: new Date(start + (runtime ? (runtime + 30) * 60_000 : NIGHT_DEFAULT_LENGTH_MS)),
+      privacyLevel: GuildScheduledEventPrivacyLevel.GuildOnly,
+      entityType: GuildScheduledEventEntityType.External,
+      entityMetadata: { location: `#${guild.channels.cache.get(night.channel_id)?.name ?? 'cine'}` },
+    });
+    nightService.setEvent(night.id, ev.id);
+    return ev;
+  }
+
+  // Mensaje + evento de Discord al día con la DB
+  async function refreshNight(nightId) {
+    const night = nightService.get(nightId);
+    if (!night) return;
+
+    const msg = await fetchChannelMessage(night.channel_id, night.message_id);
+    try { await msg?.edit(buildNightMessage(night)); } catch {}
+
+    if (night.event_id) {
+      const guild = await client.guilds.fetch(night.guild_id).catch(() => null);
+      try {
+        if (night.status === 'cancelled') await guild?.scheduledEvents.delete(night.event_id);
+        else if (night.status === 'scheduled') await guild?.scheduledEvents.edit(night.event_id, nightEventFields(night));
+      } catch (e) {
+        log.warn('No pude crear/editar el evento de la noche', { night_id: nightId, err: e });
+      }
+    }
+  }
+
+  async function sendToNightChannel(night, payload) {
+    const channel = await client.channels.fetch(night.channel_id).catch(() => null);
+    if (!channel?.send) return null;
+    return channel.send(payload);
+  }
+
+  // Lo que hacen en Discord los timers de nights.js (avisos, votación automática e inicio)
+  async function sendNightReminder(night) {
+    const ts = Math.floor(Date.parse(night.starts_at) / 1000);
+    const going = [...night.rsvps.yes, ...night.rsvps.maybe];
+    await sendToNightChannel(night, {
+      content: [
+        `⏰ Noche de peli <t:${ts}:R> — ${night.title ? `**${formatMovieLine(night)}**` : 'aún sin peli'}`,
+        going.length ? `👥 ${going.map(id => `<@${id}>`).join(' ')}` : '👥 Nadie apuntado todavía: ¡pulsad ✅!',
+      ].join('\n'),
+      allowedMentions: { users: going },
+    });
+  }
+
+  // Sin peli a N horas: /votar con las pendientes (teniendo en cuenta a quien va) -> la votación o null
+  async function launchNightPoll(night) {
+    const settings = getSettings(night.guild_id);
+    const pending = movieService.countPending(night.guild_id);
+    const { picked, historyId } = pollService.pickFromList(night.guild_id, Math.min(settings.vote_options_default, pending), { attendees: night.rsvps.yes });
+    if (picked.length < 2) {
+      await sendToNightChannel(night, { content: `🍿 Noche #${night.id}: no hay pelis pendientes para votar. Usa /add.` });
+      return null;
+    }
+
+    const closesIn = Date.parse(night.starts_at) - NIGHT_POLL_CLOSE_BEFORE_MS - Date.now();
+    return await startPoll({
+      guildId: night.guild_id,
+      channelId: night.channel_id,
+      movies: picked,
+      durationMs: Math.max(settings.vote_duration_s * 1000, closesIn),
+      title: `🗳️ ¿Qué vemos en la noche #${night.id}?`,
+      source: 'db',
+      createdBy: night.created_by,
+      historyId,
+      send: (payload) => sendToNightChannel(night, payload),
+    });
+  }
+
+  async function announceNightStart(night) {
+    const going = night.rsvps.yes;
+    await sendToNightChannel(night, {
+      content: `🎬 ¡Empieza la noche de peli!${night.title ? ` **${formatMovieLine(night)}**` : ''}${going.length ? `\n${going.map(id => `<@${id}>`).join(' ')}` : ''}`,
+      allowedMentions: { users: going },
+    });
+  }
+
+  /* ======================
+     BACKUPS (snapshots SQLite con la API de backup en caliente, rotación y /restore)
+     - las automáticas son del bot; las manuales y las 'prerestore' llevan el servidor en el nombre
+     - cada servidor solo ve (y rota) las suyas más las automáticas
+  ====================== */
+  const BACKUP_DIR = env.BACKUP_DIR || path.join(__dirname, 'backups');
+  const BACKUP_INTERVAL_HOURS = Number(env.BACKUP_INTERVAL_HOURS || 24); // 0 = sin copias automáticas
+  const BACKUP_KEEP = Math.max(1, Number(env.BACKUP_KEEP) || 14);
+  const BACKUP_RE = /^movies-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}-(auto|manual|prerestore)(?:-(\d+))?\.db$/;
+
+  // Más reciente primero. Con guildId: las automáticas y las de ese servidor
+  function listBackups(guildId = null) {
+    let names = [];
+    try { names = fs.readdirSync(BACKUP_DIR); } catch { return []; }
+
+    return names
+      .filter(name => BACKUP_RE.test(name))
+      .map(name => {
+        const [, reason, owner = null] = name.match(BACKUP_RE);
+        const stat = fs.statSync(path.join(BACKUP_DIR, name));
+        return { name, reason, guildId: owner, size: stat.size, createdAt: stat.mtimeMs };
+      })
+      .filter(b => guildId == null || b.guildId == null || b.guildId === guildId)
+      .sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  // Solo nombres de la carpeta de backups (nada de rutas que vengan de fuera) y visibles para ese servidor
+  function backupPath(name, guildId) {
+    const b = listBackups(guildId).find(b => b.name === String(name));
+    return b ? path.join(BACKUP_DIR, b.name) : null;
+  }
+
+  // Rotación por tipo y servidor: las copias de un servidor no echan las de otro ni las automáticas.
+  // keep = nombre que no se borra aunque toque (el snapshot que se está restaurando)
+  function pruneBackups(keep = null) {
+    const seen = new Map();
+    const old = listBackups().filter(b => {
+      const group = `${b.reason}:${b.guildId ?? ''}`;
+      seen.set(group, (seen.get(group) ?? 0) + 1);
+      return seen.get(group) > BACKUP_KEEP && b.name !== keep;
+    });
+    for (const b of old) {
+      try { fs.unlinkSync(path.join(BACKUP_DIR, b.name)); } catch (e) { log.warn('No pude borrar la copia', { backup: b.name, err: e }); }
+    }
+    return old.length;
+  }
+
+  // Copia de toda la DB (todos los servidores, con historial de votaciones) sin parar el bot.
+  // guildId = quién la pidió (manual / prerestore); las automáticas no llevan
+  async function createBackup(reason = 'manual', { guildId = null, keep = null } = {}) {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    const stamp = new Date().toISOString().slice(0, 23).replace(/[:.]/g, '-');
+    const name = `movies-${stamp}-${reason}${guildId ? `-${guildId}` : ''}.db`;
+    await db.backup(path.join(BACKUP_DIR, name));
+    pruneBackups(keep);
+    return listBackups().find(b => b.name === name) ?? { name, reason, guildId, size: 0, createdAt: Date.now() };
+  }
+
+  function formatBackup(b) {
+    const mb = (b.size / 1024 / 1024).toFixed(2);
+    return `\`${b.name}\` · <t:${Math.floor(b.createdAt / 1000)}:R> · ${mb} MB`;
+  }
+
+  // Siguiente copia automática: un intervalo después de la última (o ya, si toca)
+  function armBackups(atMs = null) {
+    if (!(BACKUP_INTERVAL_HOURS > 0)) return;
+    const intervalMs = BACKUP_INTERVAL_HOURS * 3600_000;
+    if (atMs == null) {
+      const last = listBackups().find(b => b.reason === 'auto');
+      atMs = last ? last.createdAt + intervalMs : Date.now();
+    }
+
+    scheduleAt('backup:auto', new Date(Math.max(atMs, Date.now())).toISOString(), async () => {
+      try {
+        const b = await createBackup('auto');
+        log.info('Backup automático', { backup: b.name });
+      } finally {
+        armBackups(Date.now() + intervalMs);
+      }
+    });
+  }
+
+  // /restore: vuelve a dejar los datos de UN servidor como estaban en el snapshot
+  // (los demás servidores no se tocan). Antes hace una copia 'prerestore' y todo queda en la auditoría.
+  async function restoreGuildFromBackup(ctx, name) {
+    const file = backupPath(name, ctx.guildId);
+    if (!file) throw new Error(`No existe el backup ${name}`);
+
+    // Abierto antes de la copia previa: la rotación de esa copia no puede llevarse el snapshot
+    const snap = openSnapshot(file);
+
+    try {
+      await createBackup('prerestore', { guildId: ctx.guildId, keep: name });
+
+      const oldNights = nightService.guildNightIds(ctx.guildId);
+      for (const id of oldNights) nightService.disarm(id);
+
+      const counts = repo.transaction(() => {
+        const changes = GUILD_TABLES.flatMap(([table, where]) => auditDelete(table, where, ctx.guildId));
+        const counts = {};
+
+        for (const [table, where] of [...GUILD_TABLES].reverse()) {
+          const rows = snap.rows(table, where, ctx.guildId);
+          if (!rows) continue; // snapshot antiguo
+
+          // Solo columnas que siguen existiendo (las nuevas toman su valor por defecto)
+          const cols = repo.tableColumns(table);
+          counts[table] = 0;
+          for (const row of rows) {
+            const data = Object.fromEntries(Object.entries(row).filter(([k]) => cols.has(k)));
+            try {
+              const id = insertRow(table, data);
+              changes.push('id' in data ? auditInsert(table, id) : auditInsert(table, null, data));
+              counts[table]++;
+            } catch (e) {
+              if (!String(e?.code).startsWith('SQLITE_CONSTRAINT')) throw e;
+            }
+          }
+        }
+
+        recordAudit(ctx, `Restore ${name}: ${counts.movies ?? 0} pelis, ${counts.poll_history ?? 0} votaciones`, changes);
+        return counts;
+      });
+
+      nightService.sync([...oldNights, ...nightService.guildNightIds(ctx.guildId)]);
+      emitEvent('list.changed', ctx.guildId, { actor: ctx.actor ?? null, source: ctx.source, summary: `Restore ${name}` });
+      return counts;
+    } finally {
+      snap.close();
+    }
+  }
+
+  /* ======================
+     CONFIRMACIONES (botones Sí / Cancelar antes de borrar en bloque)
+  ====================== */
+  const CONFIRM_TTL_MS = 60_000;
+  const pendingConfirms = new Map(); // id -> { userId, run }
+
+  // run() -> texto final del mensaje. Devuelve los botones para adjuntar a la pregunta
+  // (la caducidad va por scheduleAt: stop() la cancela con el resto de timers)
+  function askConfirm(userId, run, label = 'Sí, adelante') {
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    pendingConfirms.set(id, { userId, run });
+    scheduleAt(`confirm:${id}`, new Date(Date.now() + CONFIRM_TTL_MS).toISOString(), () => pendingConfirms.delete(id));
+
+    return [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`confirm:${id}:yes`).setLabel(label).setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`confirm:${id}:no`).setLabel('Cancelar').setStyle(ButtonStyle.Secondary),
+    )];
+  }
+
+  /* ======================
+     SAFE REPLY (evita 40060)
+  ====================== */
+  async function safeReply(interaction, payload) {
+    if (interaction.deferred || interaction.replied) return interaction.followUp(payload);
+    return interaction.reply(payload);
+  }
+  async function safeEdit(interaction, payload) {
+    if (interaction.deferred) return interaction.editReply(payload);
+    return safeReply(interaction, payload);
+  }
+
+  /* ======================
+     INTERACTIONS (commands.js: cada comando / botón / menú / modal se registra una vez)
+  ====================== */
+  const registry = createCommandRegistry({
+    isAdmin,
+    deny: (interaction, content) => safeReply(interaction, { content, ephemeral: true }),
+  });
+
+  // ---- DESEMPATE (admin) ----
+  registry.component('button', 'tiebreak', async (interaction) => {
+    const [, pollId, opt] = interaction.customId.split(':');
+    if (!isAdmin(interaction)) {
+      return await safeReply(interaction, { content: '🔒 Solo un admin puede deshacer el empate', ephemeral: true });
+    }
+
+    const poll = pollService.get(pollId);
+    const result = poll && pollService.resolveTie(poll, Number(opt));
+    if (!result) {
+      return await safeReply(interaction, { content: '⏱️ Este empate ya se resolvió.', ephemeral: true });
+    }
+
+    const embed = buildClosedEmbed(poll, result.tally, result.winner, `⚖️ Decidido por ${interaction.user.username}`);
+    return await interaction.update({ embeds: [embed], components: [] });
+  });
+
+  // ---- CONFIRMACIONES (/reset, /import modo:replace, /restore) ----
+  registry.component('button', 'confirm', async (interaction) => {
+    const [, id, answer] = interaction.customId.split(':');
+    const pending = pendingConfirms.get(id);
+    if (!pending) {
+      return await interaction.update({ content: '⏱️ Esta confirmación caducó. Lanza el comando otra vez.', embeds: [], components: [] });
+    }
+    if (interaction.user.id !== pending.userId) {
+      return await safeReply(interaction, { content: '🙅 Solo quien lanzó el comando puede confirmarlo.', ephemeral: true });
+    }
+
+    pendingConfirms.delete(id);
+    cancelScheduled(`confirm:${id}`);
+    if (answer !== 'yes') {
+      return await interaction.update({ content: '👌 Cancelado. No se ha tocado nada.', embeds: [], components: [] });
+    }
+    await interaction.deferUpdate();
+    return await interaction.editReply({ content: await pending.run(), embeds: [], components: [] });
+  });
+
+  // ---- BOTONES /auditoria (páginas) ----
+  registry.component('button', 'audit', async (interaction) => {
+    if (!isAdmin(interaction)) {
+      return await safeReply(interaction, { content: '🔒 No tienes permiso para /auditoria', ephemeral: true });
+    }
+    const [, page] = interaction.customId.split(':');
+    return await interaction.update({ ...buildAuditPage(interaction.guildId, Number(page) || 0), allowedMentions: { parse: [] } });
+  });
+
+  // ---- BOTONES /list (páginas) ----
+  registry.component('button', 'list', async (interaction) => {
+    const { page, filters } = decodeListState(interaction.customId);
+    if (!LIST_STATUSES[filters.status] || !LIST_SORTS[filters.sort]) return;
+    return await interaction.update(buildListPage(interaction.guildId, filters, page));
+  });
+
+  // ---- BOTONES votación (plurality / approval) ----
+  registry.component('button', 'vote', async (interaction) => {
+    const [, pollId, opt] = interaction.customId.split(':');
+
+    const poll = pollService.get(pollId);
+    if (!pollService.isOpen(poll)) {
+      return await safeReply(interaction, { content: '⏱️ Esta votación ya terminó.', ephemeral: true });
+    }
+
+    const optionIdx = Number(opt);
+    if (!(optionIdx >= 1 && optionIdx <= poll.movies.length)) return;
+
+    pollService.vote(poll, interaction.user.id, optionIdx);
+    return await interaction.update({ embeds: [buildPollEmbed(poll, pollService.tally(poll))] });
+  });
+
+  // ---- ELEGIR peli (/add y /movie con dudas) ----
+  registry.component('button', 'pickcancel', async (interaction) => {
+    const [, ownerId] = interaction.customId.split(':');
+    if (interaction.user.id !== ownerId) {
+      return await safeReply(interaction, { content: '🙅 Solo quien lanzó el comando puede cancelar.', ephemeral: true });
+    }
+    return await interaction.update({ content: '👌 Cancelado.', embeds: [], components: [] });
+  });
+
+  registry.component('select', 'pick', async (interaction) => {
+    const [, action, ownerId] = interaction.customId.split(':');
+    if (interaction.user.id !== ownerId) {
+      return await safeReply(interaction, { content: '🙅 Solo quien lanzó el comando puede elegir.', ephemeral: true });
+    }
+    if (action === 'add' && !isAdmin(interaction)) {
+      return await safeReply(interaction, { content: '🔒 No tienes permiso para /add', ephemeral: true });
+    }
+
+    await interaction.deferUpdate();
+    const tmdbId = Number(interaction.values[0]);
+    const meta = await ensureMovieDetails(tmdbId);
+    if (!meta?.title) {
+      return await interaction.editReply({ content: '❌ TMDB no me da esa peli ahora mismo. Prueba otra vez.', embeds: [], components: [] });
+    }
+
+    if (action === 'movie') {
+      const group = movieService.groupRating(interaction.guildId, tmdbId);
+      const prefs = movieService.prefCounts(interaction.guildId, tmdbId);
+      const { watch_region: region, services } = getSettings(interaction.guildId);
+      const watch = { providers: await ensureWatchProviders(tmdbId, region), region, services };
+      return await interaction.editReply({
+        content: '',
+        embeds: [buildMovieEmbed(meta, { group, prefs, watch })],
+        components: [buildPrefButtons(tmdbId)],
+      });
+    }
+
+    const movie = { tmdb_id: tmdbId, title: meta.title, year: (meta.release_date || '').slice(0, 4) };
+    if (!movieService.add(interaction.guildId, movie, interaction.user.id)) {
+      return await interaction.editReply({ content: `⚠️ Ya estaba en la lista: **${formatMovieLine(movie)}**`, embeds: [], components: [] });
+    }
+    const bits = formatMetaBits(meta);
+    return await interaction.editReply({
+      content: `🎬 Añadida: **${formatMovieLine(movie)}**${bits ? `\n${bits}` : ''}`,
+      embeds: [],
+      components: [],
+    });
+  });
+
+  // ---- MENÚS votación (ranked) ----
+  registry.component('select', 'rank', async (interaction) => {
+    const [, pollId, rank] = interaction.customId.split(':');
+
+    const poll = pollService.get(pollId);
+    if (!pollService.isOpen(poll)) {
+      return await safeReply(interaction, { content: '⏱️ Esta votación ya terminó.', ephemeral: true });
+    }
+
+    const optionIdx = Number(interaction.values[0]);
+    if (!(optionIdx >= 1 && optionIdx <= poll.movies.length)) return;
+
+    pollService.rank(poll, interaction.user.id, Number(rank), optionIdx);
+    return await interaction.update({ embeds: [buildPollEmbed(poll, pollService.tally(poll))] });
+  });
+
+  // ---- RSVP /noche ----
+  registry.component('button', 'rsvp', async (interaction) => {
+    const [, id, answer] = interaction.customId.split(':');
+    if (!nightService.get(Number(id)) || !RSVP[answer]) return;
+
+    const night = nightService.rsvp(Number(id), interaction.user.id, answer);
+    if (!night) return await safeReply(interaction, { content: '⏱️ Esta noche ya pasó o se canceló.', ephemeral: true });
+    return await interaction.update(buildNightMessage(night));
+  });
+
+  // ---- CARRUSEL /descubrir ----
+  registry.component('button', 'disc', async (interaction) => {
+    const [, id, page] = interaction.customId.split(':');
+    const discovery = getDiscovery(id);
+    if (!discovery) return await safeReply(interaction, { content: '⏱️ Esto ya caducó. Lanza /descubrir otra vez.', ephemeral: true });
+    return await interaction.update(buildDiscoverPage(discovery, Number(page)));
+  });
+
+  registry.component('button', 'discadd', async (interaction) => {
+    const [, id, idx] = interaction.customId.split(':');
+    if (!isAdmin(interaction)) {
+      return await safeReply(interaction, { content: '🔒 No tienes permiso para /add', ephemeral: true });
+    }
+    const discovery = getDiscovery(id);
+    const it = discovery?.items[Number(idx)];
+    if (!it) return await safeReply(interaction, { content: '⏱️ Esto ya caducó. Lanza /descubrir otra vez.', ephemeral: true });
+
+    movieService.add(discovery.guild_id, it, interaction.user.id, '/descubrir');
+    await interaction.update(buildDiscoverPage(discovery, Number(idx)));
+    ensureMovieDetails(it.tmdb_id); // ficha completa en segundo plano (no lanza)
+    return;
+  });
+
+  // ---- GUSTOS (botones de /movie y menú de /list) ----
+  registry.component('select', 'listpref', async (interaction) => {
+    const tmdbId = Number(interaction.values[0]);
+    const movie = movieService.byTmdb(interaction.guildId, tmdbId);
+    if (!movie) return await safeReply(interaction, { content: '❌ Esa peli ya no está en la lista.', ephemeral: true });
+
+    const mine = movieService.pref(interaction.guildId, tmdbId, interaction.user.id);
+    return await safeReply(interaction, {
+      content: `**${formatMovieLine(movie)}**${mine ? ` — ahora: ${PREFS[mine].emoji} ${PREFS[mine].label}` : ''}`,
+      components: [buildPrefButtons(tmdbId)],
+      ephemeral: true,
+    });
+  });
+
+  registry.component('button', 'pref', async (interaction) => {
+    const [, id, pref] = interaction.customId.split(':');
+    if (!PREFS[pref]) return;
+
+    const tmdbId = Number(id);
+    const now = movieService.togglePref(interaction.guildId, tmdbId, interaction.user.id, pref);
+    const meta = getMovieMeta(tmdbId);
+    const movie = movieService.byTmdb(interaction.guildId, tmdbId)
+      ?? (meta?.title ? { title: meta.title, year: (meta.release_date || '').slice(0, 4) } : null);
+    const line = movie ? `**${formatMovieLine(movie)}**` : 'esa peli';
+
+    return await safeReply(interaction, {
+      content: now ? `${PREFS[now].emoji} ${PREFS[now].label}: ${line}` : `↩️ Quitado lo que marcaste en ${line}`,
+      ephemeral: true,
+    });
+  });
+
+  // ---- NOTAS tras /visto ----
+  registry.component('select', 'rate', async (interaction) => {
+    const viewingId = Number(interaction.customId.split(':')[1]);
+    const score = Number(interaction.values[0]);
+    if (!movieService.viewing(viewingId) || !(score >= 1 && score <= 10)) return;
+
+    movieService.rate(viewingId, interaction.user.id, score);
+    return await interaction.update(buildViewingMessage(movieService.viewing(viewingId)));
+  });
+
+  registry.component('button', 'review', async (interaction) => {
+    const viewing = movieService.viewing(Number(interaction.customId.split(':')[1]));
+    if (!viewing) return await safeReply(interaction, { content: '❌ Ese visionado ya no existe.', ephemeral: true });
+    return await interaction.showModal(buildReviewModal(viewing, interaction.user.id));
+  });
+
+  registry.component('modal', 'reviewmodal', async (interaction) => {
+    const viewingId = Number(interaction.customId.split(':')[1]);
+    const score = Number(interaction.fields.getTextInputValue('nota').trim());
+    if (!Number.isInteger(score) || score < 1 || score > 10) {
+      return await safeReply(interaction, { content: '❌ La nota tiene que ser un número del 1 al 10.', ephemeral: true });
+    }
+    if (!movieService.viewing(viewingId)) return await safeReply(interaction, { content: '❌ Ese visionado ya no existe.', ephemeral: true });
+
+    const review = interaction.fields.getTextInputValue('resena').trim().slice(0, REVIEW_MAX);
+    movieService.rate(viewingId, interaction.user.id, score, review);
+
+    const payload = buildViewingMessage(movieService.viewing(viewingId));
+    if (interaction.isFromMessage()) return await interaction.update(payload);
+    return await safeReply(interaction, { content: '✅ Reseña guardada.', ephemeral: true });
+  });
+
+  // /help
+  registry.command('help', async (interaction, guildId) => {
+    const adminNote = getSettings(guildId).admin_role_ids.length
+      ? '🔒 Roles admin configurados (solo admin puede /add /remove /visto /import /reset /deshacer /auditoria /backup /restore /apikey /webhook /config /backfill)'
+      : '🔓 Sin roles admin: cualquiera puede usar comandos';
+
+    return await safeReply(interaction, {
+      content:
+        `🐱🎩 **Don Pistacho — comandos**\n` +
+        `• /add titulo|imdb\n` +
+        `• /remove titulo\n` +
+        `• /list\n` +
+        `• /visto titulo\n` +
+        `• /quevemos (con @a @b, disponible)\n` +
+        `• /votar (titulos o opciones, modo, desempate, con, disponible)\n` +
+        `• /descubrir (genero)\n` +
+        `• /noche crear|ver|cancelar (fecha, hora, peli, evento)\n` +
+        `• /stats\n` +
+        `• /export (json/csv)\n` +
+        `• /import archivo (merge/replace, prueba; también Letterboxd e IMDb)\n` +
+        `• /deshacer (cuantos) · /auditoria (pagina)\n` +
+        `• /backup ahora|listar · /restore copia\n` +
+        `• /apikey crear|revocar|listar (claves de la API HTTP)\n` +
+        `• /webhook crear|borrar|probar|listar (avisos de cambios a otras webs)\n` +
+        `• /movie titulo|imdb\n` +
+        `• /config ver|set|reset\n` +
+        `• /backfill (datos TMDB que falten)\n\n` +
+        `${adminNote}`
+    });
+  });
+
+  // /ping
+  registry.command('ping', async (interaction, guildId) => {
+    return await safeReply(interaction, { content: 'pong 🏓' });
+  });
+
+  // /movie (también acepta IMDb)
+  registry.command('movie', async (interaction, guildId) => {
+    const titulo = interaction.options.getString('titulo', true);
+    await interaction.deferReply();
+
+    const { movie: m, candidates, ambiguous } = await tmdbResolveCandidates(titulo);
+    if (!m) return await safeEdit(interaction, { content: '❌ No encontré esa peli (ni por título ni por IMDb)' });
+    if (ambiguous) return await safeEdit(interaction, buildCandidatesMessage('movie', interaction.user.id, titulo, candidates));
+
+    const { watch_region: region, services } = getSettings(guildId);
+    const [meta, providers] = await Promise.all([ensureMovieDetails(m.id), ensureWatchProviders(m.id, region)]);
+    const year = (m.release_date || '').slice(0, 4) || '—';
+    const embed = buildMovieEmbed(meta ?? m, {
+      title: m.title,
+      year,
+      group: movieService.groupRating(guildId, m.id),
+      prefs: movieService.prefCounts(guildId, m.id),
+      watch: { providers, region, services },
+    });
+
+    return await safeEdit(interaction, { embeds: [embed], components: [buildPrefButtons(m.id)] });
+  });
+
+  // /add (título o IMDb)
+  registry.command('add', async (interaction, guildId) => {
+    const titulo = interaction.options.getString('titulo', true);
+    await interaction.deferReply();
+
+    const result = await movieService.addFromInput(guildId, { query: titulo }, interaction.user.id, '/add');
+    if (!result) return await safeEdit(interaction, { content: '❌ No encontré esa peli (ni por título ni por IMDb)' });
+    if (result.candidates) return await safeEdit(interaction, buildCandidatesMessage('add', interaction.user.id, titulo, result.candidates));
+
+    const { movie, added } = result;
+    if (!added) return await safeEdit(interaction, { content: `⚠️ Ya estaba en la lista: **${formatMovieLine(movie)}**` });
+
+    const meta = await ensureMovieDetails(movie.tmdb_id);
+    const imdbId = extractImdbId(titulo);
+    const via = imdbId ? ` (vía IMDb: ${imdbId})` : '';
+    const bits = formatMetaBits(meta);
+    return await safeEdit(interaction, { content: `🎬 Añadida: **${formatMovieLine(movie)}**${via}${bits ? `\n${bits}` : ''}` });
+  }, { admin: true });
+
+  // /remove (seguro: si hay varias coincidencias, no borra)
+  registry.command('remove', async (interaction, guildId) => {
+    const { removed, matches } = movieService.removeByQuery(guildId, interaction.options.getString('titulo', true), interaction.user.id);
+
+    if (removed) {
+      return await safeReply(interaction, { content: `🗑️ Eliminada: **${formatMovieLine(removed)}** (↩️ \`/deshacer\` la recupera)` });
+    }
+    if (matches.length === 0) return await safeReply(interaction, { content: '❌ No encontré ninguna peli que coincida.' });
+
+    const list = matches.map(m => `• ${formatMovieLine(m)} — ${m.status}`).join('\n');
+    return await safeReply(interaction, { content: `⚠️ Encontré **${matches.length}** coincidencias. Escribe algo más específico:\n\n${list}` });
+  }, { admin: true });
+
+  // /list (filtros + páginas con botones)
+  registry.command('list', async (interaction, guildId) => {
+    const filters = {
+      status: interaction.options.getString('estado') || 'pending',
+      addedBy: interaction.options.getUser('de')?.id ?? null,
+      yearFrom: interaction.options.getInteger('desde'),
+      yearTo: interaction.options.getInteger('hasta'),
+      genre: interaction.options.getInteger('genero'),
+      sort: interaction.options.getString('orden') || 'added',
+    };
+
+    return await safeReply(interaction, { ...buildListPage(guildId, filters, 0), allowedMentions: { parse: [] } });
+  });
+
+  // /visto
+  registry.command('visto', async (interaction, guildId) => {
+    const titulo = interaction.options.getString('titulo', true);
+    const attendees = parseUserMentions(interaction.options.getString('asistentes'));
+    const notes = interaction.options.getString('notas')?.trim() || null;
+
+    const seen = movieService.watch(guildId, titulo, interaction.user.id, { attendees, notes });
+    if (!seen) return await safeReply(interaction, { content: '❌ No encontré ninguna peli de la lista que coincida' });
+
+    const { movie: m, viewingId } = seen;
+    const content = seen.rewatch
+      ? `🔁 Vista otra vez: **${formatMovieLine(m)}** (${seen.times}.ª vez)`
+      : `✅ Vista: **${formatMovieLine(m)}**`;
+
+    return await safeReply(interaction, { content, ...buildViewingMessage(movieService.viewing(viewingId)) });
+  }, { admin: true });
+
+  // /quevemos
+  registry.command('quevemos', async (interaction, guildId) => {
+    const attendees = parseUserMentions(interaction.options.getString('con'));
+    const onServices = interaction.options.getBoolean('disponible') ?? false;
+    const { watch_region: region, services } = getSettings(guildId);
+    await interaction.deferReply();
+
+    const { pick, error } = await movieService.suggest(guildId, { attendees, onServices });
+    if (error === 'no_pending') return await safeEdit(interaction, { content: '🍿 No hay pelis pendientes. Usa /add' });
+    if (error === 'no_services') {
+      return await safeEdit(interaction, { content: '📺 Primero dime vuestras plataformas: `/config set services Netflix, Filmin`' });
+    }
+    if (error) {
+      const why = [attendees.length ? 'vetos o ya vistas' : null, onServices ? 'no está en vuestras plataformas' : null].filter(Boolean);
+      return await safeEdit(interaction, {
+        content: why.length ? `🍿 No queda ninguna pendiente que os valga (${why.join(' / ')}).` : '🍿 No encontré opciones',
+      });
+    }
+
+    const [meta, providers] = await Promise.all([ensureMovieDetails(pick.tmdb_id), ensureWatchProviders(pick.tmdb_id, region)]);
+    const where = formatProviders(providers, services);
+    const bits = [formatMetaBits(meta), where ? `📺 ${where}` : null].filter(Boolean).join('\n');
+    const group = attendees.length
+      ? `\n👥 ${attendees.map(id => `<@${id}>`).join(' ')}${pick.interest ? ` • 👍 ${pick.interest}/${attendees.length}` : ''}`
+      : '';
+    const embed = new EmbedBuilder()
+      .setTitle('🎬 Hoy vemos…')
+      .setDescription(`**${formatMovieLine(pick)}**${bits ? `\n${bits}` : ''}${group}${meta?.overview ? `\n\n${meta.overview.slice(0, 300)}` : ''}`)
+      .setFooter({ text: `Anti-repetición ON${attendees.length ? ' • sin vetos ni ya vistas' : ''} • /quevemos para otra opción` });
+    if (posterUrl(meta)) embed.setThumbnail(posterUrl(meta));
+    if (providerLogoUrl(providers, services)) embed.setAuthor(providerLogoUrl(providers, services));
+
+    return await safeEdit(interaction, { embeds: [embed] });
+  });
+
+  // /votar (titulos/IMDb o desde lista)
+  registry.command('votar', async (interaction, guildId) => {
+    await interaction.deferReply(); // evita “la aplicación no ha respondido”
+
+    const rawTitles = interaction.options.getString('titulos', false);
+    const settings = getSettings(guildId);
+    const optsRaw = interaction.options.getInteger('opciones') ?? settings.vote_options_default;
+    const n = Math.max(3, Math.min(5, optsRaw));
+    const mode = interaction.options.getString('modo') || VOTE_MODE_DEFAULT;
+    const tieBreak = interaction.options.getString('desempate') || TIE_BREAK_DEFAULT;
+
+    let picked = [];
+    let source = 'db';
+    let historyId = null;
+
+    if (rawTitles && rawTitles.trim().length > 0) {
+      source = 'manual';
+      const items = parseTitlesList(rawTitles);
+
+      if (items.length < 2) {
+        return await safeEdit(interaction, { content: '🍿 Pon al menos 2 títulos/links separados por comas o ;' });
+      }
+
+      // Resolver todos a la vez (título o IMDb), sin duplicados
+      ({ picked, historyId } = await pollService.pickFromTitles(guildId, items, 'manual'));
+
+      if (picked.length < 2) {
+        return await safeEdit(interaction, { content: '❌ No pude encontrar al menos 2 pelis en TMDB con esos títulos/IMDb.' });
+      }
+    } else {
+      const pendingCount = movieService.countPending(guildId);
+      if (pendingCount < 2) return await safeEdit(interaction, { content: '🍿 Necesito al menos 2 pelis pendientes para votar.' });
+
+      const attendees = parseUserMentions(interaction.options.getString('con'));
+      const onServices = interaction.options.getBoolean('disponible') ?? false;
+      if (onServices && !settings.services.length) {
+        return await safeEdit(interaction, { content: '📺 Primero dime vuestras plataformas: `/config set services Netflix, Filmin`' });
+      }
+
+      const only = onServices ? await movieService.pendingOnServices(guildId) : null;
+      ({ picked, historyId } = pollService.pickFromList(guildId, Math.min(n, pendingCount), { attendees, only }));
+      if (picked.length < 2) {
+        const why = [attendees.length ? 'vetos / ya vistas' : null, onServices ? 'plataformas' : null].filter(Boolean);
+        return await safeEdit(interaction, {
+          content: why.length ? `🍿 Con esos filtros (${why.join(', ')}) no quedan 2 pelis para votar.` : '🍿 No hay pelis pendientes.',
+        });
+      }
+    }
+
+    await startPoll({
+      guildId,
+      channelId: interaction.channelId,
+      movies: picked,
+      durationMs: settings.vote_duration_s * 1000,
+      title: '🗳️ Votación de peli',
+      source,
+      createdBy: interaction.user.id,
+      historyId,
+      mode,
+      tieBreak,
+      send: (payload) => interaction.editReply(payload),
+    });
+
+    return;
+  });
+
+  // /noche crear|ver|cancelar
+  registry.command('noche', async (interaction, guildId) => {
+    const sub = interaction.options.getSubcommand();
+    const tz = getSettings(guildId).timezone;
+
+    if (sub === 'ver') {
+      const nights = nightService.upcoming(guildId, 10);
+      if (!nights.length) return await safeReply(interaction, { content: '🍿 No hay noches programadas. Usa `/noche crear`.' });
+
+      const lines = nights.map(n => {
+        const ts = Math.floor(Date.parse(n.starts_at) / 1000);
+        return `**#${n.id}** <t:${ts}:F> (<t:${ts}:R>) — ${n.title ? `**${formatMovieLine(n)}**` : 'sin peli'} · ✅ ${n.rsvps.yes.length}`;
+      });
+      return await safeReply(interaction, { embeds: [new EmbedBuilder().setTitle('🍿 Próximas noches').setDescription(lines.join('\n'))] });
+    }
+
+    if (sub === 'cancelar') {
+      const night = nightService.cancel(guildId, interaction.options.getInteger('id', true));
+      if (!night) {
+        return await safeReply(interaction, { content: '❌ No hay ninguna noche programada con ese número.', ephemeral: true });
+      }
+      await refreshNight(night.id);
+      return await safeReply(interaction, { content: `🛑 Noche #${night.id} cancelada.` });
+    }
+
+    // crear
+    const startsAt = parseNightDate(interaction.options.getString('fecha', true), interaction.options.getString('hora', true), tz);
+    if (!startsAt) {
+      return await safeReply(interaction, { content: '❌ No entiendo la fecha/hora. Ej: `fecha: 24/10` `hora: 21:30`', ephemeral: true });
+    }
+    if (startsAt.getTime() <= Date.now()) {
+      return await safeReply(interaction, { content: '❌ Esa fecha ya pasó.', ephemeral: true });
+    }
+
+    await interaction.deferReply();
+
+    let film = null;
+    const peli = interaction.options.getString('peli');
+    if (peli) {
+      film = movieService.findToWatch(guildId, peli);
+      if (!film) {
+        const m = await tmdbResolveMovie(peli);
+        if (!m) return await safeEdit(interaction, { content: '❌ No encontré esa peli (ni en la lista ni en TMDB)' });
+        film = { tmdb_id: m.id, title: m.title, year: (m.release_date || '').slice(0, 4) };
+      }
+      await ensureMovieDetails(film.tmdb_id);
+    }
+
+    const { id: nightId } = nightService.create(guildId, {
+      channelId: interaction.channelId, startsAt, movie: film, createdBy: interaction.user.id,
+    });
+
+    let note = '';
+    if (interaction.options.getBoolean('evento')) {
+      try {
+        await createNightEvent(interaction.guild, nightService.get(nightId));
+      } catch (e) {
+        log.warn('No pude crear el evento de Discord', { guild_id: guildId, err: e });
+        note = '\n⚠️ No pude crear el evento de Discord (¿me falta el permiso "Gestionar eventos"?)';
+      }
+    }
+
+    const msg = await safeEdit(interaction, { content: `📅 Noche #${nightId} creada.${note}`, ...buildNightMessage(nightService.get(nightId)) });
+    nightService.setMessage(nightId, msg.id);
+    return;
+  }, { admin: ['crear', 'cancelar'] });
+
+  // /descubrir
+  registry.command('descubrir', async (interaction, guildId) => {
+    await interaction.deferReply();
+
+    const items = await discoverMovies(guildId, { genre: interaction.options.getInteger('genero') });
+    if (!items.length) return await safeEdit(interaction, { content: '🔭 TMDB no me da nada nuevo ahora mismo. Prueba con otro género.' });
+
+    const discovery = getDiscovery(saveDiscovery(guildId, interaction.user.id, items));
+    return await safeEdit(interaction, buildDiscoverPage(discovery, 0));
+  });
+
+  // /stats
+  registry.command('stats', async (interaction, guildId) => {
+    const { total, pending, watched, viewings, next } = movieService.stats(guildId);
+    const { topAdders: topAdd, topWatchers: topWatched, topRated, lastReviews, decidedPolls: polls } = movieService.leaderboard(guildId);
+
+    const fmtTop = (arr) => arr.length
+      ? arr.map((r, i) => `${i + 1}. <@${r.user_id}> — **${r.c}**`).join('\n')
+      : '—';
+    const fmtRated = topRated.length
+      ? topRated.map((r, i) =>
+        `${i + 1}. **${formatMovieLine(r)}** — ⭐ ${r.avg.toFixed(1)} (${r.n})${r.vote_average ? ` • TMDB ${r.vote_average.toFixed(1)}` : ''}`
+      ).join('\n')
+      : '—';
+    const fmtReviews = lastReviews.length
+      ? lastReviews.map(r => `**${formatMovieLine(r)}** · ${formatReview(r, 120)}`).join('\n')
+      : '—';
+
+    const embed = new EmbedBuilder()
+      .setTitle('📊 Stats — Don Pistacho')
+      .addFields(
+        { name: '🎞️ Total', value: String(total), inline: true },
+        { name: '🍿 Pendientes', value: String(pending), inline: true },
+        { name: '✅ Vistas', value: String(watched), inline: true },
+        { name: '📅 Próxima', value: next ? `**${formatMovieLine(next)}**` : '—', inline: true },
+        { name: '🗳️ Votaciones decididas', value: String(polls), inline: true },
+        { name: '🎟️ Sesiones', value: String(viewings), inline: true },
+        { name: '🏆 Top “añade pelis”', value: fmtTop(topAdd), inline: false },
+        { name: '🏅 Top “marca vistas”', value: fmtTop(topWatched), inline: false },
+        { name: '⭐ Mejor valoradas (grupo)', value: fmtRated, inline: false },
+        { name: '🗨️ Últimas reseñas', value: fmtReviews, inline: false },
+      )
+      .setFooter({ text: 'Tip: /add acepta links IMDb' });
+
+    return await safeReply(interaction, { embeds: [embed] });
+  });
+
+  // /export
+  registry.command('export', async (interaction, guildId) => {
+    const fmt = interaction.options.getString('formato') || 'json';
+
+    const data = buildExport(guildId);
+    if (!data.movies.length && !data.polls.length && !data.viewings.length) {
+      return await safeReply(interaction, { content: '📦 No hay datos para exportar.' });
+    }
+
+    // CSV = solo la lista; el historial de votaciones y los visionados van en el JSON
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const body = fmt === 'csv' ? toCsv(data.movies, MOVIE_FIELDS) : JSON.stringify(data, null, 2);
+    const file = new AttachmentBuilder(Buffer.from(body, 'utf8'), { name: `don-pistacho-export-${stamp}.${fmt}` });
+
+    const note = fmt === 'csv' ? ' (solo la lista; el JSON incluye votaciones y visionados)' : '';
+    return await safeReply(interaction, { content: `📦 Backup listo${note}:`, files: [file] });
+  });
+
+  // /import
+  registry.command('import', async (interaction, guildId) => {
+    const att = interaction.options.getAttachment('archivo', true);
+    const mode = interaction.options.getString('modo') || 'merge';
+    const dryRun = interaction.options.getBoolean('prueba') ?? false;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const resp = await axios.get(att.url, { responseType: 'text' });
+    const text = resp.data;
+
+    const file = await readImportFile(att.name, text, interaction.user.id);
+    const { data } = file;
+    if (!data.movies.length && !data.polls.length && !data.viewings.length) {
+      const why = file.errors.slice(0, IMPORT_ERRORS_SHOWN).map(e => `• ${e}`).join('\n');
+      return await safeEdit(interaction, { content: `❌ No hay nada que importar (${IMPORT_KINDS[file.kind] ?? file.kind}).${why ? `\n${why}` : ''}` });
+    }
+
+    const ctx = { guildId, actor: interaction.user.id, source: '/import' };
+    if (dryRun) {
+      return await safeEdit(interaction, { content: formatImportReport(file, importData(ctx, data, { mode, dryRun }), { mode, dryRun }) });
+    }
+
+    const run = () => `${formatImportReport(file, importData(ctx, data, { mode }), { mode })}\n↩️ \`/deshacer\` lo revierte.`;
+    if (mode !== 'replace') return await safeEdit(interaction, { content: run() });
+
+    const preview = formatImportReport(file, importData(ctx, data, { mode, dryRun: true }), { mode, dryRun: true });
+    return await safeEdit(interaction, {
+      content: `⚠️ **modo replace**: así quedaría.\n${preview}\n\n¿Seguro?`,
+      components: askConfirm(interaction.user.id, run, 'Sí, reemplazar'),
+    });
+  }, { admin: true });
+
+  // /backfill (fichas TMDB que falten)
+  registry.command('backfill', async (interaction, guildId) => {
+    await interaction.deferReply({ ephemeral: true });
+
+    const missing = movieService.missingDetails(guildId);
+
+    // En paralelo: el cliente TMDB ya limita cuántas van a la vez
+    const done = await Promise.all(missing.map(tmdbId => ensureMovieDetails(tmdbId)));
+    const filled = done.filter(meta => meta?.details_at).length;
+
+    return await safeEdit(interaction, { content: `🧩 Fichas completadas: ${filled}/${missing.length}` });
+  }, { admin: true });
+
+  // /config ver|set|reset
+  registry.command('config', async (interaction, guildId) => {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'set') {
+      const key = interaction.options.getString('clave', true);
+      const parsed = parseSettingValue(key, interaction.options.getString('valor', true));
+      if (parsed.error) return await safeReply(interaction, { content: `❌ ${parsed.error}`, ephemeral: true });
+
+      setSetting(guildId, key, parsed.value, interaction.user.id);
+      return await safeReply(interaction, {
+        content: `⚙️ **${key}** = ${formatSettingValue(key, parsed.value)}`,
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    if (sub === 'reset') {
+      const key = interaction.options.getString('clave');
+      resetSettings(guildId, key);
+      return await safeReply(interaction, { content: key ? `↩️ **${key}** vuelve a su valor por defecto` : '↩️ Todos los ajustes vuelven a su valor por defecto' });
+    }
+
+    const settings = getSettings(guildId);
+    const embed = new EmbedBuilder()
+      .setTitle('⚙️ Ajustes del servidor')
+      .addFields(Object.entries(SETTINGS).map(([key, d]) => ({
+        name: key,
+        value: `${formatSettingValue(key, settings[key])}\n*${d.desc}*`,
+        inline: true,
+      })))
+      .setFooter({ text: '/config set clave valor • /config reset [clave]' });
+
+    return await safeReply(interaction, { embeds: [embed], ephemeral: true });
+  }, { admin: true });
+
+  // /backup ahora|listar (admin)
+  registry.command('backup', async (interaction, guildId) => {
+    if (interaction.options.getSubcommand() === 'ahora') {
+      await interaction.deferReply({ ephemeral: true });
+      const b = await createBackup('manual', { guildId });
+      return await safeEdit(interaction, { content: `💾 Copia hecha: ${formatBackup(b)}` });
+    }
+
+    const backups = listBackups(guildId);
+    const auto = BACKUP_INTERVAL_HOURS > 0
+      ? `automáticas cada ${BACKUP_INTERVAL_HOURS} h; se guardan las ${BACKUP_KEEP} últimas de cada tipo`
+      : 'copias automáticas desactivadas';
+    return await safeReply(interaction, {
+      content: backups.length
+        ? `💾 **Copias** (${auto}):\n${backups.map(formatBackup).join('\n')}`.slice(0, 1900)
+        : `💾 Todavía no hay copias (${auto}).`,
+      ephemeral: true,
+    });
+  }, { admin: true });
+
+  // /restore (admin, con confirmación)
+  registry.command('restore', async (interaction, guildId) => {
+    const name = interaction.options.getString('copia', true).trim();
+    if (!backupPath(name, guildId)) {
+      return await safeReply(interaction, { content: '❌ No encuentro esa copia. Mira `/backup listar`.', ephemeral: true });
+    }
+
+    const run = async () => {
+      const counts = await restoreGuildFromBackup({ guildId, actor: interaction.user.id, source: '/restore' }, name);
+      return `♻️ Restaurada \`${name}\`: ${counts.movies ?? 0} pelis, ${counts.poll_history ?? 0} votaciones, ${counts.viewings ?? 0} visionados.\n↩️ \`/deshacer\` lo revierte.`;
+    };
+
+    return await safeReply(interaction, {
+      content: `⚠️ La lista, el historial, los visionados, gustos y noches de este servidor volverán a como estaban en \`${name}\`. Antes se hace una copia de ahora. ¿Seguro?`,
+      components: askConfirm(interaction.user.id, run, 'Sí, restaurar'),
+    });
+  }, { admin: true });
+
+  // /apikey crear|revocar|listar (admin)
+  registry.command('apikey', async (interaction, guildId) => {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'crear') {
+      const name = interaction.options.getString('nombre', true).trim();
+      const wanted = {
+        read: interaction.options.getBoolean('lectura') ?? true,
+        write: interaction.options.getBoolean('escritura') ?? false,
+        poll: interaction.options.getBoolean('votaciones') ?? false,
+        say: interaction.options.getBoolean('decir') ?? false,
+      };
+      const scopes = Object.keys(API_SCOPES).filter(sc => wanted[sc]);
+      if (!name || !scopes.length) {
+        return await safeReply(interaction, { content: '❌ Hace falta un nombre y al menos un permiso.', ephemeral: true });
+      }
+
+      const ratePerMin = interaction.options.getInteger('limite') ?? API_RATE_DEFAULT;
+      const { id, key } = createApiKey(guildId, { name, scopes, ratePerMin, createdBy: interaction.user.id });
+      log.info('Clave API creada', { key_id: id, scopes: scopes.join(','), user_id: interaction.user.id, guild_id: guildId });
+      return await safeReply(interaction, {
+        content:
+          `🔑 Clave **#${id}** (${name}) · ${scopes.join(', ')} · ${ratePerMin}/min\n` +
+          `\`\`\`\n${key}\n\`\`\`\n` +
+          `⚠️ Guárdala ahora: no se vuelve a mostrar. Se manda en la cabecera \`x-api-key\`.`,
+        ephemeral: true,
+      });
+    }
+
+    if (sub === 'revocar') {
+      const id = interaction.options.getInteger('id', true);
+      const ok = revokeApiKey(guildId, id, interaction.user.id);
+      if (ok) log.info('Clave API revocada', { key_id: id, user_id: interaction.user.id, guild_id: guildId });
+      return await safeReply(interaction, {
+        content: ok ? `🚫 Clave #${id} revocada.` : '❌ No hay ninguna clave activa con ese id en este servidor.',
+        ephemeral: true,
+      });
+    }
+
+    const keys = listApiKeys(guildId);
+    return await safeReply(interaction, {
+      content: keys.length
+        ? `🔑 **Claves de la API**\n${keys.map(formatApiKey).join('\n')}`.slice(0, 1900)
+        : '🔑 No hay claves. Crea una con `/apikey crear`.',
+      ephemeral: true,
+    });
+  }, { admin: true });
+
+  // /webhook crear|borrar|probar|listar (admin)
+  registry.command('webhook', async (interaction, guildId) => {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'crear') {
+      const url = interaction.options.getString('url', true).trim();
+      const invalid = /\s/.test(url) ? 'no es una URL' : checkWebhookUrl(url);
+      if (invalid) {
+        return await safeReply(interaction, { content: `❌ Esa URL no vale: ${invalid}.`, ephemeral: true });
+      }
+      const types = (interaction.options.getString('eventos') || '').split(',').map(t => t.trim()).filter(Boolean);
+      const unknown = types.filter(t => !EVENT_TYPES[t]);
+      if (unknown.length) {
+        return await safeReply(interaction, {
+          content: `❌ Eventos desconocidos: ${unknown.join(', ')}\nHay: ${Object.keys(EVENT_TYPES).map(t => `\`${t}\``).join(', ')}`,
+          ephemeral: true,
+        });
+      }
+
+      const { id, secret } = webhooks.add(guildId, { url, events: types.length ? types : ['*'], createdBy: interaction.user.id });
+      return await safeReply(interaction, {
+        content:
+          `📡 Webhook **#${id}** → ${url}\nEventos: ${types.length ? types.join(', ') : 'todos'}\n` +
+          `Secreto (HMAC-SHA256 de \`timestamp.cuerpo\`, cabecera \`X-Pistacho-Signature\`):\n\`\`\`\n${secret}\n\`\`\`\n` +
+          `⚠️ Guárdalo ahora: no se vuelve a mostrar.`,
+        ephemeral: true,
+      });
+    }
+
+    if (sub === 'borrar') {
+      const id = interaction.options.getInteger('id', true);
+      return await safeReply(interaction, {
+        content: webhooks.remove(guildId, id) ? `🗑️ Webhook #${id} borrado.` : '❌ No hay ningún webhook con ese id en este servidor.',
+        ephemeral: true,
+      });
+    }
+
+    if (sub === 'probar') {
+      const id = interaction.options.getInteger('id', true);
+      const ping = { id: crypto.randomUUID(), type: 'ping', guild_id: guildId, created_at: new Date().toISOString(), data: { by: interaction.user.id } };
+      return await safeReply(interaction, {
+        content: webhooks.dispatch(ping, { only: id })
+          ? `📨 Ping en cola para #${id}. Mira el resultado con \`/webhook listar\`.`
+          : '❌ No hay ningún webhook con ese id en este servidor.',
+        ephemeral: true,
+      });
+    }
+
+    const hooks = webhooks.list(guildId);
+    return await safeReply(interaction, {
+      content: hooks.length
+        ? `📡 **Webhooks**\n${hooks.map(w =>
+            `**#${w.id}** · ${w.url} · ${w.events === '*' ? 'todos' : w.events.split(',').join(', ')}` +
+            ` · último: ${w.last_status ?? '—'} · ⏳ ${w.pending} pendientes · ❌ ${w.failed} fallidos`
+          ).join('\n')}`.slice(0, 1900)
+        : '📡 No hay webhooks. Añade uno con `/webhook crear`.',
+      ephemeral: true,
+    });
+  }, { admin: true });
+
+  // /deshacer (admin): revierte las últimas N acciones del registro
+  registry.command('deshacer', async (interaction, guildId) => {
+    const n = interaction.options.getInteger('cuantos') ?? 1;
+    const undone = undoLast(guildId, n, interaction.user.id);
+    if (!undone.length) return await safeReply(interaction, { content: '🤷 No hay nada que deshacer.', ephemeral: true });
+
+    const lines = undone.map(({ action, conflicts }) =>
+      `↩️ **#${action.id}** \`${action.source}\` — ${action.summary || '—'}${conflicts ? ` ⚠️ ${conflicts} fila(s) no se pudieron restaurar` : ''}`
+    );
+    return await safeReply(interaction, { content: `Deshecho:\n${lines.join('\n')}` });
+  }, { admin: true });
+
+  // /auditoria (admin)
+  registry.command('auditoria', async (interaction, guildId) => {
+    const page = (interaction.options.getInteger('pagina') ?? 1) - 1;
+    return await safeReply(interaction, { ...buildAuditPage(guildId, page), ephemeral: true, allowedMentions: { parse: [] } });
+  }, { admin: true });
+
+  // /reset
+  registry.command('reset', async (interaction, guildId) => {
+    const { movies, polls, viewings } = repo.guildCounts(guildId);
+    const run = () => {
+      resetGuild({ guildId, actor: interaction.user.id, source: '/reset' });
+      return '🧨 Lista borrada (incluye historial y notas).\n↩️ `/deshacer` la recupera.';
+    };
+
+    return await safeReply(interaction, {
+      content: `⚠️ Esto borra **${movies}** pelis, **${polls}** votaciones del historial, **${viewings}** visionados con sus notas, gustos y noches. ¿Seguro?`,
+      components: askConfirm(interaction.user.id, run, 'Sí, borrar todo'),
+    });
+  }, { admin: true });
+
+  // Nombre para logs y métricas: el comando, o tipo:prefijo del customId (button:vote, select:rank...)
+  function interactionName(interaction) {
+    if (interaction.isChatInputCommand()) return interaction.commandName;
+    const kind = interaction.isButton() ? 'button'
+      : interaction.isStringSelectMenu() ? 'select'
+      : interaction.isModalSubmit() ? 'modal'
+      : 'other';
+    return `${kind}:${String(interaction.customId ?? '').split(':')[0]}`;
+  }
+
+  client.on('interactionCreate', async (interaction) => {
+    // Autocompletado: responde siempre (aunque sea vacío), sin pasar por el manejo de errores de abajo
+    if (interaction.isAutocomplete()) {
+      try {
+        await handleAutocomplete(interaction);
+      } catch (e) {
+        log.warn('Autocompletado falló', { interaction_id: interaction.id, command: interaction.commandName, err: e });
+        try { await interaction.respond([]); } catch {}
+      }
+      return;
+    }
+
+    // request_id = la "ref" que ve el usuario si algo falla: con ella se encuentra en los logs
+    const command = interactionName(interaction);
+    const requestId = shortId();
+    const ilog = log.child({
+      request_id: requestId,
+      interaction_id: interaction.id,
+      guild_id: interaction.guildId ?? undefined,
+      user_id: interaction.user?.id,
+      command,
+    });
+    const started = Date.now();
+    let outcome = 'ok';
+
+    try {
+      // Cada servidor tiene su lista: sin servidor no hay nada que hacer
+      if (interaction.isChatInputCommand() && !interaction.guildId) {
+        return await safeReply(interaction, { content: '🏠 Úsame dentro de un servidor.', ephemeral: true });
+      }
+
+      await registry.dispatch(interaction);
+    } catch (err) {
+      outcome = 'error';
+      ilog.error('La interacción falló', { err });
+
+      // Evita 40060 SIEMPRE
+      const content = `❌ Algo falló (ref \`${requestId}\`). Si se repite, pásale ese código a quien lleve el bot.`;
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.followUp({ content, ephemeral: true });
+        } else {
+          await interaction.reply({ content, ephemeral: true });
+        }
+      } catch {}
+    } finally {
+      const ms = Date.now() - started;
+      commandsRun.inc({ command, outcome });
+      commandSeconds.observe({ command }, ms / 1000);
+      ilog.info('Interacción atendida', { outcome, ms });
+    }
+  });
+
+  // ======================
+  // HTTP SERVER (GPT + Railway)
+  // ======================
+  const app = express();
+
+  // Cada petición lleva su id (el x-request-id que venga o uno nuevo) y un logger con él; al acabar, log + métricas
+  const QUIET_PATHS = ['/health', '/metrics']; // Railway / Prometheus preguntan a menudo: sin línea de log
+  app.use((req, res, next) => {
+    const incoming = String(req.headers['x-request-id'] ?? '');
+    req.id = /^[\w.-]{1,64}$/.test(incoming) ? incoming : shortId();
+    req.log = log.child({ request_id: req.id });
+    res.setHeader('x-request-id', req.id);
+
+    const started = Date.now();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'otra';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      if (QUIET_PATHS.includes(req.path)) return;
+      req.log.info('Petición HTTP', { method: req.method, path: req.path, route, status: res.statusCode, ms: Date.now() - started });
+    });
+    next();
+  });
+
+  // Toda petición a la API queda registrada con la clave que usó (ver /apikey listar)
+  app.use(['/gpt', '/api/v1'], (req, res, next) => {
+    const started = Date.now();
+    res.on('finish', () => {
+      try {
+        logApiRequest(req, res.statusCode, Date.now() - started);
+      } catch (e) {
+        req.log.warn('No pude guardar el registro de API', { err: e });
+      }
+    });
+    next();
+  });
+
+  app.use(express.json());
+
+  // Siempre hace falta clave (x-api-key): las de /apikey o GPT_API_KEY (todos los permisos)
+  const { GPT_API_KEY, GPT_CHANNEL_ID, GPT_GUILD_ID } = env;
+
+  function requireKey(req, res, scope) {
+    const denied = authenticateApi(req, scope);
+    if (!denied) return true;
+    res.status(denied.status).json({ ok: false, error: denied.message });
+    return false;
+  }
+
+  // Servidor sobre el que actúa /gpt/*: el de la clave; con GPT_API_KEY header x-guild-id, ?guild_id=
+  // o body.guild_id (si no, GPT_GUILD_ID; sin ninguno checkApiAccess ya respondió 400)
+  function gptGuildId(req) {
+    if (req.apiKey?.guild_id) return req.apiKey.guild_id;
+    return String(req.headers['x-guild-id'] || req.query.guild_id || req.body?.guild_id || GPT_GUILD_ID);
+  }
+
+  // Home
+  app.get('/', (req, res) => res.status(200).send('Don Pistacho OK ✅'));
+
+  // ======================
+  // SALUD Y MÉTRICAS
+  // ======================
+  const HEALTH_TMDB_TTL_MS = 60_000; // TMDB se prueba como mucho una vez por minuto
+  const HEALTH_DB_BUSY_MS = 200;     // esperando el candado de escritura (no bloquear más el bot)
+  const STARTED_AT = Date.now();
+  const { METRICS_TOKEN } = env;
+  let tmdbHealth = null;
+
+  function checkDiscord() {
+    const status = client.ws?.status;
+    const ping = client.ws?.ping ?? -1; // -1 hasta el primer heartbeat
+    return { ok: status === Status.Ready, status: Status[status] ?? 'Unknown', ping_ms: ping >= 0 ? ping : null };
+  }
+
+  function checkDb() {
+    return repo.checkWritable(HEALTH_DB_BUSY_MS);
+  }
+
+  async function checkTmdb() {
+    if (tmdbHealth && Date.now() - tmdbHealth.checked_at < HEALTH_TMDB_TTL_MS) return tmdbHealth;
+    try {
+      tmdbHealth = { ok: true, ms: await tmdb.ping(), checked_at: Date.now() };
+    } catch (e) {
+      const status = e?.response?.status;
+      tmdbHealth = { ok: false, error: status ? `HTTP ${status}` : e?.code || e?.message || String(e), checked_at: Date.now() };
+    }
+    return tmdbHealth;
+  }
+
+  // 503 si Discord no está conectado o la DB no admite escrituras; TMDB caído = "degraded" (el bot sigue, sin fichas nuevas)
+  app.get('/health', async (req, res) => {
+    const checks = { discord: checkDiscord(), db: checkDb(), tmdb: await checkTmdb() };
+    const ok = checks.discord.ok && checks.db.ok;
+    const status = !ok ? 'down' : checks.tmdb.ok ? 'online' : 'degraded';
+    if (!ok) req.log.warn('Health: el bot no está bien', { checks });
+
+    return res.status(ok ? 200 : 503).json({
+      ok,
+      bot: 'Don Pistacho',
+      status,
+      uptime_s: Math.round((Date.now() - STARTED_AT) / 1000),
+      checks: {
+        ...checks,
+        tmdb: { ok: checks.tmdb.ok, ...(checks.tmdb.ok ? { ms: checks.tmdb.ms } : { error: checks.tmdb.error }), checked_at: new Date(checks.tmdb.checked_at).toISOString() },
+      },
+    });
+  });
+
+  // Lo que se calcula al pedir /metrics
+  metrics.gauge('discord_gateway_up', 'Conexión con Discord (1 = Ready)', () => (checkDiscord().ok ? 1 : 0));
+  metrics.gauge('discord_gateway_ping_ms', 'Latencia del gateway de Discord', () => checkDiscord().ping_ms ?? []);
+  metrics.gauge('open_polls', 'Votaciones abiertas ahora', () => pollService.countOpen());
+  metrics.gauge('tmdb_cache_hits_total', 'Respuestas de TMDB servidas desde la caché', () => tmdb.stats.cacheHits, 'counter');
+  metrics.gauge('webhook_deliveries_pending', 'Envíos de webhooks en cola', () => webhooks.pendingCount());
+  metrics.gauge('uptime_seconds', 'Segundos desde que arrancó el bot', () => Math.round((Date.now() - STARTED_AT) / 1000));
+
+  // Con METRICS_TOKEN hace falta "Authorization: Bearer <token>" (comparado por hash, como las claves)
+  function metricsAllowed(req) {
+    if (!METRICS_TOKEN) return true;
+    const given = Buffer.from(hashApiKey(String(req.headers.authorization ?? '')), 'hex');
+    const want = Buffer.from(hashApiKey(`Bearer ${METRICS_TOKEN}`), 'hex');
+    return crypto.timingSafeEqual(given, want);
+  }
+
+  // Formato Prometheus
+  app.get('/metrics', (req, res) => {
+    if (!metricsAllowed(req)) {
+      return res.status(401).type('text/plain').send('unauthorized\n');
+    }
+    return res.status(200).type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // ======================
+  // PANEL WEB (/dashboard: login con Discord OAuth2, usa /api/v1 con la sesión)
+  // ======================
+  const { DISCORD_CLIENT_SECRET } = env;
+  const DASHBOARD_URL = String(env.DASHBOARD_URL || '').replace(/\/+$/, ''); // URL pública (para el redirect de OAuth2)
+  const DASHBOARD_DIR = path.join(__dirname, 'dashboard');
+  const DISCORD_API = 'https://discord.com/api/v10';
+  const WEB_SESSION_COOKIE = 'dp_session';
+  const WEB_STATE_COOKIE = 'dp_oauth_state';
+  const WEB_SESSION_DAYS = 7;
+  const WEB_SCOPES_ADMIN = ['read', 'write', 'poll'];
+  const WEB_SCOPES_MEMBER = ['read', 'poll'];
+
+  const dashboardEnabled = () => !!(DISCORD_CLIENT_SECRET && DASHBOARD_URL);
+  const oauthRedirectUri = () => `${DASHBOARD_URL}/dashboard/callback`;
+
+  const webCookie = (maxAgeMs) => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: DASHBOARD_URL.startsWith('https://'),
+    path: '/',
+    maxAge: maxAgeMs,
+  });
+
+  function readCookie(req, name) {
+    for (const part of String(req.headers.cookie || '').split(';')) {
+      const i = part.indexOf('=');
+      if (i > 0 && part.slice(0, i).trim() === name) {
+        try { return decodeURIComponent(part.slice(i + 1).trim()); } catch { return null; }
+      }
+    }
+    return null;
+  }
+
+  function getWebSession(req) {
+    const token = readCookie(req, WEB_SESSION_COOKIE);
+    if (!token) return null;
+    return repo.getWebSession(hashApiKey(token));
+  }
+
+  // -> token para la cookie
+  function createWebSession(user, guildIds) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    repo.insertWebSession(hashApiKey(token), user, guildIds, WEB_SESSION_DAYS);
+    return token;
+  }
+
+  // ¿Sigue en el servidor? (se pregunta a Discord, no a la sesión) -> { guild, admin } | null
+  async function webGuildAccess(userId, guildId) {
+    const guild = client.guilds.cache.get(String(guildId));
+    if (!guild) return null;
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return null;
+    return { guild, admin: isAdminMember(guild.id, member) };
+  }
+
+  // Sesión del panel -> req.apiKey "de mentira" con el usuario y sus permisos en ese servidor
+  async function authenticateWeb(req, scope) {
+    if (req.apiKey === undefined) {
+      req.apiKey = null;
+      const session = getWebSession(req);
+      if (!session) return { status: 401, code: 'unauthorized', message: 'Sesión caducada: vuelve a entrar' };
+
+      // Cookie sola no basta para cambiar nada: la cabecera obliga a pasar por CORS (sin CORS abierto = solo el panel)
+      const guildId = String(req.headers['x-guild-id'] || (req.method === 'GET' ? req.query.guild_id : '') || '');
+      if (!guildId) return { status: 400, code: 'invalid_request', message: 'Falta la cabecera x-guild-id' };
+
+      const access = await webGuildAccess(session.user_id, guildId);
+      if (!access) return { status: 403, code: 'wrong_guild', message: 'No estás en ese servidor (o el bot no está)' };
+
+      req.apiKey = {
+        id: null,
+        name: `web:${session.username}`,
+        user_id: session.user_id,
+        guild_id: access.guild.id,
+        scopes: access.admin ? WEB_SCOPES_ADMIN : WEB_SCOPES_MEMBER,
+        rate_per_min: API_RATE_DEFAULT,
+      };
+      admitApiRequest(req, `user:${session.user_id}`);
+    }
+    return checkApiAccess(req, scope);
+  }
+
+  async function discordOAuth(code) {
+    const { data: token } = await axios.post(`${DISCORD_API}/oauth2/token`, new URLSearchParams({
+      client_id: DISCORD_APP_ID,
+      client_secret: DISCORD_CLIENT_SECRET,
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: oauthRedirectUri(),
+    }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 8000 });
+
+    const auth = { headers: { Authorization: `Bearer ${token.access_token}` }, timeout: 8000 };
+    const [{ data: user }, { data: guilds }] = await Promise.all([
+      axios.get(`${DISCORD_API}/users/@me`, auth),
+      axios.get(`${DISCORD_API}/users/@me/guilds`, auth),
+    ]);
+    return { user, guildIds: guilds.map(g => g.id).filter(id => client.guilds.cache.has(id)) };
+  }
+
+  app.get('/dashboard/login', (req, res) => {
+    if (!dashboardEnabled()) return res.status(503).send('Panel desactivado: faltan DISCORD_CLIENT_SECRET y DASHBOARD_URL');
+
+    const state = crypto.randomBytes(16).toString('base64url');
+    res.cookie(WEB_STATE_COOKIE, state, webCookie(10 * 60_000));
+    const q = new URLSearchParams({
+      client_id: DISCORD_APP_ID,
+      response_type: 'code',
+      scope: 'identify guilds',
+      redirect_uri: oauthRedirectUri(),
+      state,
+      prompt: 'none',
+    });
+    return res.redirect(`https://discord.com/oauth2/authorize?${q}`);
+  });
+
+  app.get('/dashboard/callback', async (req, res) => {
+    const state = readCookie(req, WEB_STATE_COOKIE);
+    res.clearCookie(WEB_STATE_COOKIE, { path: '/' });
+    if (!dashboardEnabled() || !req.query.code || !state || req.query.state !== state) {
+      return res.redirect('/dashboard/?error=login');
+    }
+
+    try {
+      const { user, guildIds } = await discordOAuth(String(req.query.code));
+      res.cookie(WEB_SESSION_COOKIE, createWebSession(user, guildIds), webCookie(WEB_SESSION_DAYS * 24 * 3600_000));
+      return res.redirect('/dashboard/');
+    } catch (e) {
+      req.log.error('OAuth2 de Discord falló', { err: e, discord: e?.response?.data });
+      return res.redirect('/dashboard/?error=login');
+    }
+  });
+
+  // Quién soy y en qué servidores (con el bot) puedo entrar
+  app.get('/dashboard/me', async (req, res) => {
+    const session = getWebSession(req);
+    if (!session) {
+      return res.status(401).json({ error: { code: 'unauthorized', message: 'No has entrado' }, login: dashboardEnabled() });
+    }
+
+    try {
+      const guilds = [];
+      for (const id of session.guild_ids) {
+        const access = await webGuildAccess(session.user_id, id);
+        if (access) guilds.push({ id, name: access.guild.name, icon: access.guild.iconURL({ size: 64 }), admin: access.admin });
+      }
+      const avatar = session.avatar ? `https://cdn.discordapp.com/avatars/${session.user_id}/${session.avatar}.png?size=64` : null;
+      return res.status(200).json({ user: { id: session.user_id, username: session.username, avatar }, guilds });
+    } catch (e) {
+      req.log.error('GET /dashboard/me falló', { err: e });
+      return res.status(500).json({ error: { code: 'server_error', message: 'Error interno', request_id: req.id } });
+    }
+  });
+
+  app.post('/dashboard/logout', (req, res) => {
+    const token = readCookie(req, WEB_SESSION_COOKIE);
+    if (token) repo.deleteWebSession(hashApiKey(token));
+    res.clearCookie(WEB_SESSION_COOKIE, { path: '/' });
+    return res.status(204).end();
+  });
+
+  app.use('/dashboard', express.static(DASHBOARD_DIR));
+
+  // Votación lanzada desde fuera de Discord (en GPT_CHANNEL_ID)
+  // -> { picked, poll } | { picked, poll: null } (sin canal: solo la selección) | { error }
+  async function launchRemotePoll(guildId, inputs, { durationMs, mode, tieBreak, title, source, createdBy }) {
+    const { picked } = await pollService.pickFromTitles(guildId, inputs, source, { save: false });
+    if (picked.length < 2) return { error: 'tmdb_not_enough_results' };
+    if (!GPT_CHANNEL_ID) return { picked, poll: null };
+
+    const channel = await client.channels.fetch(GPT_CHANNEL_ID).catch(() => null);
+    if (!channel) return { error: 'invalid_GPT_CHANNEL_ID' };
+    if (channel.guildId !== guildId) return { error: 'channel_other_guild' };
+
+    const poll = await startPoll({
+      guildId,
+      channelId: GPT_CHANNEL_ID,
+      movies: picked,
+      durationMs,
+      title,
+      source,
+      createdBy,
+      historyId: pollService.saveHistory(guildId, picked, source),
+      mode,
+      tieBreak,
+      send: (payload) => channel.send(payload),
+    });
+    return { picked, poll };
+  }
+
+  // ======================
+  // API v1 (REST + OpenAPI en /api/v1/openapi.json)
+  // ======================
+  const API_PAGE_MAX = 100;
+
+  const api = createApi({
+    log,
+    title: 'Don Pistacho API',
+    version: '1.0.0',
+    basePath: '/api/v1',
+    parameters: [{
+      name: 'x-guild-id', in: 'header', required: false,
+      description: 'Servidor de Discord (si falta: ?guild_id= o GPT_GUILD_ID)',
+      schema: { type: 'string' },
+    }],
+    securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'Clave de /apikey crear' } },
+    auth: async (req, spec) => {
+      const denied = !req.headers['x-api-key'] && readCookie(req, WEB_SESSION_COOKIE)
+        ? await authenticateWeb(req, spec.scope)
+        : authenticateApi(req, spec.scope);
+      if (denied) throw new ApiError(denied.status, denied.code, denied.message);
+      return req.apiKey;
+    },
+  });
+
+  const apiPage = {
+    limit: { type: 'integer', minimum: 1, maximum: API_PAGE_MAX, default: 20 },
+    offset: { type: 'integer', minimum: 0, default: 0 },
+  };
+  const apiId = { type: 'object', properties: { id: { type: 'integer', minimum: 1 } }, required: ['id'] };
+  const paginated = (item) => ({
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: item },
+      pagination: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          next_offset: { type: 'integer', nullable: true },
+        },
+      },
+    },
+  });
+  // Quién firma los cambios: el usuario de Discord del panel web o "api" (clave)
+  const apiActor = (req) => req.apiKey?.user_id ?? 'api';
+
+  const pageOf = (data, total, { limit, offset }) => ({
+    data,
+    pagination: { total, limit, offset, next_offset: offset + data.length < total ? offset + data.length : null },
+  });
+
+  const MovieSchema = api.schema('Movie', {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      tmdb_id: { type: 'integer' },
+      title: { type: 'string' },
+      year: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'watched'] },
+      added_at: { type: 'string' },
+      added_by: { type: 'string', nullable: true },
+      watched_at: { type: 'string', nullable: true },
+      watched_by: { type: 'string', nullable: true },
+      suggested_count: { type: 'integer' },
+      last_suggested_at: { type: 'string', nullable: true },
+      scheduled_at: { type: 'string', nullable: true },
+      tmdb: {
+        type: 'object',
+        properties: {
+          rating: { type: 'number', nullable: true },
+          runtime: { type: 'integer', nullable: true },
+          poster: { type: 'string', nullable: true },
+          genres: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+  });
+
+  const PollSchema = api.schema('Poll', {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      created_at: { type: 'string' },
+      source: { type: 'string', nullable: true },
+      open: { type: 'boolean' },
+      closes_at: { type: 'string', nullable: true },
+      mode: { type: 'string', nullable: true },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            tmdb_id: { type: 'integer' },
+            title: { type: 'string' },
+            year: { type: 'string' },
+            votes: { type: 'integer', nullable: true, description: 'Con la votación abierta, el recuento en directo' },
+            winner: { type: 'boolean' },
+            poster: { type: 'string', nullable: true },
+          },
+        },
+      },
+    },
+  });
+
+  function movieResource(row) {
+    return {
+      id: row.id,
+      tmdb_id: row.tmdb_id,
+      title: row.title,
+      year: row.year || '',
+      status: row.status,
+      added_at: row.added_at,
+      added_by: row.added_by ?? null,
+      watched_at: row.watched_at ?? null,
+      watched_by: row.watched_by ?? null,
+      suggested_count: row.suggested_count ?? 0,
+      last_suggested_at: row.last_suggested_at ?? null,
+      scheduled_at: row.scheduled_at ?? null,
+      tmdb: {
+        rating: row.vote_average ?? null,
+        runtime: row.runtime ?? null,
+        poster: posterUrl(row),
+        genres: genreNames(row),
+      },
+    };
+  }
+
+  // entry = pollService.history() / historyEntry() (con sus items)
+  function pollResource(entry) {
+    const { items } = entry;
+    const live = pollService.byHistory(entry.id);
+    const open = pollService.isOpen(live);
+
+    // Abierta: recuento en directo (poll_history_items.votes solo se rellena al cerrar)
+    const liveVotes = {};
+    if (open) {
+      const poll = pollService.get(live.id);
+      const { counts } = pollService.tally(poll);
+      poll.movies.forEach((m, i) => { liveVotes[m.tmdb_id] = counts[String(i + 1)] ?? 0; });
+    }
+
+    return {
+      id: entry.id,
+      created_at: entry.created_at,
+      source: items[0]?.source ?? null,
+      open,
+      closes_at: live?.closes_at ?? null,
+      mode: live?.mode ?? null,
+      items: items.map(it => ({
+        tmdb_id: it.tmdb_id,
+        title: it.title,
+        year: it.year || '',
+        votes: open ? liveVotes[it.tmdb_id] ?? 0 : it.votes,
+        winner: !!it.winner,
+        poster: posterUrl(getMovieMeta(it.tmdb_id)),
+      })),
+    };
+  }
+
+  function requireMovie(guildId, id) {
+    const row = movieService.get(guildId, id);
+    if (!row) throw new ApiError(404, 'not_found', `No hay ninguna peli con id ${id} en este servidor`);
+    return row;
+  }
+
+  api.route('get', '/openapi.json', { summary: 'Este documento', tags: ['meta'], public: true }, () => api.openapi());
+
+  api.route('get', '/movies', {
+    summary: 'Lista de pelis (filtros + paginación)',
+    tags: ['movies'],
+    scope: 'read',
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: Object.keys(LIST_STATUSES), default: 'all' },
+        sort: { type: 'string', enum: Object.keys(LIST_SORTS), default: 'added' },
+        added_by: { type: 'string', description: 'ID de Discord de quien la añadió' },
+        year_from: { type: 'integer', minimum: 1870 },
+        year_to: { type: 'integer', minimum: 1870 },
+        genre: { type: 'integer', enum: Object.keys(TMDB_GENRES).map(Number), description: 'Género TMDB' },
+        ...apiPage,
+      },
+    },
+    response: paginated(MovieSchema),
+  }, ({ req, query }) => {
+    const { rows, total } = movieService.list(gptGuildId(req), {
+      status: query.status,
+      addedBy: query.added_by ?? null,
+      yearFrom: query.year_from ?? null,
+      yearTo: query.year_to ?? null,
+      genre: query.genre ?? null,
+      sort: query.sort,
+    }, query);
+    return pageOf(rows.map(movieResource), total, query);
+  });
+
+  api.route('post', '/movies', {
+    summary: 'Añade una peli (por tmdb_id, o por título / enlace IMDb en query)',
+    tags: ['movies'],
+    scope: 'write',
+    body: {
+      type: 'object',
+      properties: {
+        tmdb_id: { type: 'integer', minimum: 1 },
+        query: { type: 'string', minLength: 1, maxLength: 200 },
+      },
+      additionalProperties: false,
+    },
+    response: MovieSchema,
+    description: 'Añadida. 409 already_exists si ya estaba; 422 ambiguous con candidatos si el título no basta.',
+  }, async ({ req, body }) => {
+    if (!body.tmdb_id && !body.query) throw new ApiError(400, 'invalid_request', 'Hace falta tmdb_id o query');
+    const guildId = gptGuildId(req);
+
+    const result = await movieService.addFromInput(guildId, { tmdbId: body.tmdb_id, query: body.query }, apiActor(req), 'POST /api/v1/movies');
+    if (!result) throw new ApiError(404, 'tmdb_not_found', 'No está en TMDB');
+    if (result.candidates) {
+      throw new ApiError(422, 'ambiguous', 'Hay varias pelis posibles: repite con tmdb_id', result.candidates.map(c => ({
+        tmdb_id: c.id, title: c.title, year: (c.release_date || '').slice(0, 4), poster: posterUrl(c),
+      })));
+    }
+
+    const movie = movieResource(movieService.get(guildId, result.movie.id));
+    if (!result.added) throw new ApiError(409, 'already_exists', 'Ya está en la lista', movie);
+    return movie;
+  });
+
+  api.route('get', '/movies/:id', {
+    summary: 'Una peli de la lista',
+    tags: ['movies'],
+    scope: 'read',
+    params: apiId,
+    response: MovieSchema,
+  }, ({ req, params }) => movieResource(requireMovie(gptGuildId(req), params.id)));
+
+  api.route('patch', '/movies/:id', {
+    summary: 'Marca una peli como vista (crea un visionado) o la devuelve a pendientes',
+    tags: ['movies'],
+    scope: 'write',
+    params: apiId,
+    body: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['pending', 'watched'] },
+        attendees: { type: 'array', items: { type: 'string', pattern: '^\\d{17,20}$' }, maxItems: 50 },
+        notes: { type: 'string', maxLength: 200 },
+      },
+      required: ['status'],
+      additionalProperties: false,
+    },
+    response: MovieSchema,
+  }, ({ req, params, body }) => {
+    const guildId = gptGuildId(req);
+    const row = requireMovie(guildId, params.id);
+    const source = 'PATCH /api/v1/movies';
+
+    if (body.status === 'watched' && row.status !== 'watched') {
+      movieService.logViewing(guildId, row, apiActor(req), { attendees: body.attendees ?? [], notes: body.notes?.trim() || null, source });
+    } else if (body.status === 'pending' && row.status !== 'pending') {
+      movieService.unwatch(guildId, row, apiActor(req), source);
+    }
+    return movieResource(movieService.get(guildId, row.id));
+  });
+
+  api.route('delete', '/movies/:id', {
+    summary: 'Quita una peli de la lista (se puede deshacer con /deshacer)',
+    tags: ['movies'],
+    scope: 'write',
+    params: apiId,
+  }, ({ req, params }) => {
+    const guildId = gptGuildId(req);
+    movieService.remove(guildId, requireMovie(guildId, params.id), apiActor(req), 'DELETE /api/v1/movies');
+  });
+
+  api.route('get', '/polls', {
+    summary: 'Historial de votaciones (la más reciente primero)',
+    tags: ['polls'],
+    scope: 'read',
+    query: { type: 'object', properties: { ...apiPage } },
+    response: paginated(PollSchema),
+  }, ({ req, query }) => {
+    const { rows, total } = pollService.history(gptGuildId(req), { limit: query.limit, offset: query.offset });
+    return pageOf(rows.map(pollResource), total, query);
+  });
+
+  api.route('get', '/polls/:id', {
+    summary: 'Una votación',
+    tags: ['polls'],
+    scope: 'read',
+    params: apiId,
+    response: PollSchema,
+  }, ({ req, params }) => {
+    const row = pollService.historyEntry(params.id, gptGuildId(req));
+    if (!row) throw new ApiError(404, 'not_found', `No hay ninguna votación con id ${params.id}`);
+    return pollResource(row);
+  });
+
+  api.route('get', '/viewings', {
+    summary: 'Visionados (lo más reciente primero) con su nota media',
+    tags: ['viewings'],
+    scope: 'read',
+    query: { type: 'object', properties: { ...apiPage } },
+    response: paginated(api.schema('Viewing', {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        tmdb_id: { type: 'integer', nullable: true },
+        title: { type: 'string' },
+        year: { type: 'string' },
+        watched_at: { type: 'string' },
+        logged_by: { type: 'string', nullable: true },
+        attendees: { type: 'array', items: { type: 'string' } },
+        notes: { type: 'string', nullable: true },
+        rating: { type: 'number', nullable: true },
+        ratings: { type: 'integer' },
+        poster: { type: 'string', nullable: true },
+      },
+    })),
+  }, ({ req, query }) => {
+    const { rows, total } = movieService.viewings(gptGuildId(req), { limit: query.limit, offset: query.offset });
+
+    return pageOf(rows.map(v => ({
+      id: v.id,
+      tmdb_id: v.tmdb_id ?? null,
+      title: v.title,
+      year: v.year || '',
+      watched_at: v.watched_at,
+      logged_by: v.logged_by ?? null,
+      attendees: v.attendees,
+      notes: v.notes ?? null,
+      rating: v.rating == null ? null : Math.round(v.rating * 10) / 10,
+      ratings: v.ratings,
+      poster: posterUrl(v),
+    })), total, query);
+  });
+
+  api.route('post', '/polls', {
+    summary: 'Lanza una votación en el canal GPT_CHANNEL_ID',
+    tags: ['polls'],
+    scope: 'poll',
+    body: {
+      type: 'object',
+      properties: {
+        movies: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 2, maxItems: 5, description: 'Títulos, enlaces IMDb o tmdb:<id>' },
+        duration_s: { type: 'integer', minimum: 30, maximum: 7 * 24 * 3600 },
+        mode: { type: 'string', enum: Object.keys(POLL_MODES) },
+        tie_break: { type: 'string', enum: Object.keys(TIE_BREAKS) },
+      },
+      required: ['movies'],
+      additionalProperties: false,
+    },
+    response: PollSchema,
+  }, async ({ req, body }) => {
+    const guildId = gptGuildId(req);
+    if (!GPT_CHANNEL_ID) throw new ApiError(503, 'channel_not_configured', 'Falta GPT_CHANNEL_ID: no hay dónde publicar la votación');
+
+    const result = await launchRemotePoll(guildId, body.movies, {
+      durationMs: (body.duration_s ?? getSettings(guildId).vote_duration_s) * 1000,
+      mode: body.mode ?? VOTE_MODE_DEFAULT,
+      tieBreak: body.tie_break ?? TIE_BREAK_DEFAULT,
+      title: '🗳️ Votación de peli (API)',
+      source: 'api',
+      createdBy: apiActor(req),
+    });
+    if (result.error === 'tmdb_not_enough_results') throw new ApiError(422, result.error, 'Menos de 2 pelis encontradas en TMDB');
+    if (result.error) throw new ApiError(503, result.error, 'El canal configurado no sirve para este servidor');
+
+    return pollResource(pollService.historyEntry(result.poll.history_id));
+  });
+
+  api.route('get', '/stats', {
+    summary: 'Resumen de la lista',
+    tags: ['stats'],
+    scope: 'read',
+    response: api.schema('Stats', {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        pending: { type: 'integer' },
+        watched: { type: 'integer' },
+        viewings: { type: 'integer' },
+        polls: { type: 'integer' },
+        next: {
+          type: 'object',
+          nullable: true,
+          properties: { tmdb_id: { type: 'integer' }, title: { type: 'string' }, year: { type: 'string' }, scheduled_at: { type: 'string' } },
+        },
+      },
+    }),
+  }, ({ req }) => {
+    const stats = movieService.stats(gptGuildId(req));
+    return { ...stats, next: stats.next && { ...stats.next, year: stats.next.year || '' } };
+  });
+
+  api.route('get', '/events', {
+    summary: 'Eventos en directo (Server-Sent Events)',
+    tags: ['events'],
+    scope: 'read',
+    query: {
+      type: 'object',
+      properties: {
+        types: { type: 'string', description: `Tipos separados por comas (vacío = todos): ${Object.keys(EVENT_TYPES).join(', ')}` },
+      },
+    },
+    contentType: 'text/event-stream',
+    response: api.schema('Event', {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: Object.keys(EVENT_TYPES) },
+        guild_id: { type: 'string' },
+        created_at: { type: 'string' },
+        data: { type: 'object' },
+      },
+    }),
+    description: 'Cada evento llega como `id:` + `event: <tipo>` + `data: <Event en JSON>`. Con la cabecera Last-Event-ID se reenvían los que se perdieron (los últimos 200).',
+  }, ({ req, res, query }) => {
+    const guildId = gptGuildId(req);
+    const types = query.types ? query.types.split(',').map(t => t.trim()).filter(Boolean) : null;
+    const unknown = (types ?? []).filter(t => !EVENT_TYPES[t]);
+    if (unknown.length) throw new ApiError(400, 'invalid_request', `Tipos de evento desconocidos: ${unknown.join(', ')}`);
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (event) => {
+      if (event.guild_id !== guildId || (types && !types.includes(event.type))) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const lastId = req.headers['last-event-id'];
+    const from = lastId ? recentEvents.findIndex(e => e.id === lastId) : -1;
+    if (from >= 0) recentEvents.slice(from + 1).forEach(send);
+
+    events.on('event', send);
+    const ping = setInterval(() => res.write(': ping\n\n'), SSE_PING_MS);
+    req.on('close', () => {
+      clearInterval(ping);
+      events.off('event', send);
+    });
+  });
+
+  api.mount(app);
+
+  // ======================
+  // GPT ENDPOINTS (compatibilidad: encima de la misma lógica que /api/v1)
+  // ======================
+
+  // LIST: GET /gpt/list?limit=&offset=&status=pending|watched|all&added_by=&year_from=&year_to=&genre=&sort=added|rating|suggested
+  app.get('/gpt/list', (req, res) => {
+    if (!requireKey(req, res, 'read')) return;
+    const guildId = gptGuildId(req);
+
+    const q = req.query;
+    const status = String(q.status ?? 'pending');
+    const sort = String(q.sort ?? 'added');
+    if (!LIST_STATUSES[status]) return res.status(400).json({ ok: false, error: `Invalid "status" (${Object.keys(LIST_STATUSES).join('|')})` });
+    if (!LIST_SORTS[sort]) return res.status(400).json({ ok: false, error: `Invalid "sort" (${Object.keys(LIST_SORTS).join('|')})` });
+
+    // genre: id TMDB o nombre ("Terror")
+    let genre = null;
+    if (q.genre) {
+      genre = Number(q.genre) || Number(Object.keys(TMDB_GENRES).find(id => normalizeTitle(TMDB_GENRES[id]) === normalizeTitle(String(q.genre))));
+      if (!TMDB_GENRES[genre]) return res.status(400).json({ ok: false, error: 'Invalid "genre"' });
+    }
+
+    const limit = Math.max(1, Math.min(300, Number(q.limit ?? getSettings(guildId).list_limit) || 1));
+    const offset = Math.max(0, Number(q.offset ?? 0) || 0);
+    const filters = {
+      status,
+      addedBy: q.added_by ? String(q.added_by) : null,
+      yearFrom: Number(q.year_from) || null,
+      yearTo: Number(q.year_to) || null,
+      genre,
+      sort,
+    };
+
+    const { rows, total } = movieService.list(guildId, filters, { limit, offset });
+
+    res.status(200).json({
+      ok: true,
+      count: rows.length,
+      total,
+      limit,
+      offset,
+      next_offset: offset + rows.length < total ? offset + rows.length : null,
+      movies: rows.map(r => ({
+        tmdb_id: r.tmdb_id,
+        title: r.title,
+        year: r.year || '',
+        status: r.status,
+        added_by: r.added_by,
+        tmdb_rating: r.vote_average,
+        runtime: r.runtime ?? null,
+        poster: posterUrl(r),
+        genres: String(r.genre_ids || '').split(',').filter(Boolean).map(id => TMDB_GENRES[id] ?? id),
+        suggested_count: r.suggested_count,
+      })),
+    });
+  });
+
+  // ADD: POST /gpt/add  { titulo: "..." } o { tmdb_id: 438631 } (para elegir tras "ambiguous")
+  app.post('/gpt/add', async (req, res) => {
+    if (!requireKey(req, res, 'write')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const titulo = String(req.body?.titulo ?? '').trim();
+      const tmdbId = Number(req.body?.tmdb_id) || null;
+      if (!titulo && !tmdbId) return res.status(400).json({ ok: false, error: 'Missing "titulo" or "tmdb_id"' });
+
+      const result = await movieService.addFromInput(guildId, { tmdbId, query: titulo }, 'gpt', '/gpt/add');
+      if (!result) return res.status(404).json({ ok: false, error: 'TMDB: not found' });
+
+      // No adivinamos: que elija quien llama (repitiendo con tmdb_id)
+      if (result.candidates) {
+        return res.status(200).json({
+          ok: false,
+          error: 'ambiguous',
+          ambiguous: true,
+          candidates: result.candidates.map(c => ({
+            tmdb_id: c.id,
+            title: c.title,
+            year: (c.release_date || '').slice(0, 4),
+            overview: c.overview || '',
+            poster: posterUrl(c),
+          })),
+        });
+      }
+
+      const { movie } = result;
+      if (!result.added) {
+        return res.status(200).json({
+          ok: true,
+          existing: movie,
+          info: 'already_in_list',
+        });
+      }
+
+      const meta = getMovieMeta(movie.tmdb_id);
+      const imdbId = extractImdbId(titulo);
+      return res.status(200).json({
+        ok: true,
+        added: { ...movie, runtime: meta?.runtime ?? null, poster: posterUrl(meta) },
+        info: imdbId ? `via IMDb: ${imdbId}` : 'added',
+      });
+    } catch (e) {
+      req.log.error('POST /gpt/add falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // REMOVE: POST /gpt/remove  { titulo: "..." }
+  app.post('/gpt/remove', (req, res) => {
+    if (!requireKey(req, res, 'write')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const titulo = String(req.body?.titulo ?? '').trim();
+      if (!titulo) return res.status(400).json({ ok: false, error: 'Missing "titulo"' });
+
+      const { removed: one, matches } = movieService.removeByQuery(guildId, titulo, 'gpt', '/gpt/remove');
+      if (one) {
+        return res.status(200).json({
+          ok: true,
+          removed: { id: one.id, title: one.title, year: one.year || '', status: one.status },
+        });
+      }
+
+      if (matches.length === 0) return res.status(200).json({ ok: false, error: 'not_found' });
+
+      return res.status(200).json({
+        ok: false,
+        error: 'multiple_matches',
+        matches: matches.map(m => ({
+          id: m.id,
+          title: m.title,
+          year: m.year || '',
+          status: m.status,
+        })),
+      });
+    } catch (e) {
+      req.log.error('POST /gpt/remove falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // VISTO: POST /gpt/visto  { titulo: "...", asistentes?: ["id", ...], notas?: "..." }
+  app.post('/gpt/visto', (req, res) => {
+    if (!requireKey(req, res, 'write')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const titulo = String(req.body?.titulo ?? '').trim();
+      if (!titulo) return res.status(400).json({ ok: false, error: 'Missing "titulo"' });
+
+      const attendees = Array.isArray(req.body?.asistentes) ? req.body.asistentes.map(String).filter(id => /^\d{17,20}$/.test(id)) : [];
+      const notes = String(req.body?.notas ?? '').trim().slice(0, 200) || null;
+
+      const seen = movieService.watch(guildId, titulo, 'gpt', { attendees, notes, source: '/gpt/visto' });
+      if (!seen) return res.status(200).json({ ok: false, error: 'not_found' });
+
+      const { movie: m } = seen;
+      return res.status(200).json({
+        ok: true,
+        watched: { id: m.id, title: m.title, year: m.year || '' },
+        viewing_id: seen.viewingId,
+        rewatch: seen.rewatch,
+      });
+    } catch (e) {
+      req.log.error('POST /gpt/visto falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // QUEVEMOS: POST /gpt/quevemos  { con?: ["id", ...], disponible?: true }
+  app.post('/gpt/quevemos', async (req, res) => {
+    if (!requireKey(req, res, 'read')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const attendees = Array.isArray(req.body?.con) ? parseUserMentions(req.body.con.join(' ')) : [];
+      const { watch_region: region, services } = getSettings(guildId);
+
+      const { pick, error } = await movieService.suggest(guildId, { attendees, onServices: !!req.body?.disponible });
+      if (error) return res.status(200).json({ ok: false, error });
+
+      const [meta, providers] = await Promise.all([ensureMovieDetails(pick.tmdb_id), ensureWatchProviders(pick.tmdb_id, region)]);
+
+      return res.status(200).json({
+        ok: true,
+        pick: {
+          tmdb_id: pick.tmdb_id,
+          title: pick.title,
+          year: pick.year || '',
+          interest: pick.interest,
+          runtime: meta?.runtime ?? null,
+          genres: formatGenres(meta),
+          poster: posterUrl(meta),
+          providers: streamProviders(providers).map(p => ({ ...p, subscribed: isSubscribed(p, services) })),
+          region,
+        },
+      });
+    } catch (e) {
+      req.log.error('POST /gpt/quevemos falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // VOTAR: POST /gpt/votar  { titulos: ["...","..."], duration_ms?: 600000, mode?: "ranked", tie_break?: "runoff" }
+  app.post('/gpt/votar', async (req, res) => {
+    if (!requireKey(req, res, 'poll')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const titulos = Array.isArray(req.body?.titulos) ? req.body.titulos : [];
+      if (titulos.length < 2) return res.status(400).json({ ok: false, error: 'Need at least 2 titles' });
+
+      // Mismos límites que /api/v1/polls (30 s a 7 días)
+      const durationMs = Number(req.body?.duration_ms ?? getSettings(guildId).vote_duration_s * 1000);
+      if (!Number.isFinite(durationMs)) return res.status(400).json({ ok: false, error: 'Invalid "duration_ms"' });
+      const mode = String(req.body?.mode ?? VOTE_MODE_DEFAULT);
+      const tieBreak = String(req.body?.tie_break ?? TIE_BREAK_DEFAULT);
+      if (!POLL_MODES[mode]) {
+        return res.status(400).json({ ok: false, error: `Invalid "mode" (${Object.keys(POLL_MODES).join('|')})` });
+      }
+      if (!TIE_BREAKS[tieBreak]) {
+        return res.status(400).json({ ok: false, error: `Invalid "tie_break" (${Object.keys(TIE_BREAKS).join('|')})` });
+      }
+      const result = await launchRemotePoll(guildId, titulos, {
+        durationMs: Math.min(7 * 24 * 3600_000, Math.max(30_000, durationMs)),
+        mode,
+        tieBreak,
+        title: '🗳️ Votación de peli (lanzada por GPT)',
+        source: 'gpt',
+        createdBy: 'gpt',
+      });
+
+      if (result.error === 'channel_other_guild') {
+        return res.status(400).json({ ok: false, error: 'GPT_CHANNEL_ID belongs to another guild' });
+      }
+      if (result.error) return res.status(200).json({ ok: false, error: result.error });
+
+      // Sin canal configurado solo se devuelve la selección (igual sirve para GPT)
+      return res.status(200).json({
+        ok: true,
+        poll: { count: result.picked.length, titles: result.picked.map(m => formatMovieLine(m)) },
+      });
+    } catch (e) {
+      req.log.error('POST /gpt/votar falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // CONFIG: GET /gpt/config
+  app.get('/gpt/config', (req, res) => {
+    if (!requireKey(req, res, 'read')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      return res.status(200).json({ ok: true, guild_id: guildId, settings: getSettings(guildId) });
+    } catch (e) {
+      req.log.error('GET /gpt/config falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // CONFIG: PUT /gpt/config  { cooldown_hours: 12, list_limit: 50, ... }  (null = valor por defecto)
+  app.put('/gpt/config', (req, res) => {
+    if (!requireKey(req, res, 'write')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const body = req.body && typeof req.body === 'object' ? req.body : {};
+      const entries = Object.entries(body).filter(([key]) => key !== 'guild_id');
+      if (!entries.length) return res.status(400).json({ ok: false, error: 'Empty body' });
+
+      // Valida todo antes de tocar nada
+      const changes = [];
+      const errors = [];
+      for (const [key, raw] of entries) {
+        if (!(key in SETTINGS)) { errors.push(`Ajuste desconocido: ${key}`); continue; }
+        if (raw === null) { changes.push([key, null]); continue; }
+        const parsed = parseSettingValue(key, Array.isArray(raw) ? raw.join(',') : raw);
+        if (parsed.error) errors.push(parsed.error);
+        else changes.push([key, parsed.value]);
+      }
+      if (errors.length) return res.status(400).json({ ok: false, error: 'invalid_settings', details: errors });
+
+      repo.transaction(() => {
+        for (const [key, value] of changes) {
+          if (value === null) resetSettings(guildId, key);
+          else setSetting(guildId, key, value, 'gpt');
+        }
+      });
+
+      return res.status(200).json({ ok: true, guild_id: guildId, settings: getSettings(guildId) });
+    } catch (e) {
+      req.log.error('PUT /gpt/config falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // NOCHES: GET /gpt/noches (próximas)
+  app.get('/gpt/noches', (req, res) => {
+    if (!requireKey(req, res, 'read')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const nights = nightService.upcoming(guildId, 20);
+
+      return res.status(200).json({
+        ok: true,
+        nights: nights.map(n => ({
+          id: n.id,
+          starts_at: n.starts_at,
+          movie: n.title ? { tmdb_id: n.tmdb_id, title: n.title, year: n.year || '' } : null,
+          poll_id: n.poll_id,
+          rsvps: n.rsvps,
+        })),
+      });
+    } catch (e) {
+      req.log.error('GET /gpt/noches falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // DESCUBRIR: GET /gpt/descubrir?genre=28
+  app.get('/gpt/descubrir', async (req, res) => {
+    if (!requireKey(req, res, 'read')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const genre = req.query.genre ? Number(req.query.genre) : null;
+      if (genre !== null && !TMDB_GENRES[genre]) return res.status(400).json({ ok: false, error: 'Invalid "genre"' });
+
+      const items = await discoverMovies(guildId, { genre });
+      return res.status(200).json({
+        ok: true,
+        count: items.length,
+        items: items.map(it => ({ ...it, poster: posterUrl(it), poster_path: undefined })),
+      });
+    } catch (e) {
+      req.log.error('GET /gpt/descubrir falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // STATS: GET /gpt/stats
+  app.get('/gpt/stats', (req, res) => {
+    if (!requireKey(req, res, 'read')) return;
+    const guildId = gptGuildId(req);
+
+    try {
+      const { total, pending, watched, next } = movieService.stats(guildId);
+
+      return res.status(200).json({
+        ok: true,
+        total,
+        pending,
+        watched,
+        next: next ? { tmdb_id: next.tmdb_id, title: next.title, year: next.year || '' } : null,
+      });
+    } catch (e) {
+      req.log.error('GET /gpt/stats falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // DECIR: POST /gpt/decir  { mensaje: "..." }
+  app.post('/gpt/decir', async (req, res) => {
+    if (!requireKey(req, res, 'say')) return;
+
+    try {
+      const mensaje = String(req.body?.mensaje ?? '').trim();
+      if (!mensaje) return res.status(400).json({ ok: false, error: 'Missing "mensaje"' });
+
+      if (!GPT_CHANNEL_ID) {
+        return res.status(400).json({ ok: false, error: 'GPT_CHANNEL_ID not set' });
+      }
+
+      const canal = await client.channels.fetch(GPT_CHANNEL_ID).catch(() => null);
+      if (!canal || !canal.send) {
+        return res.status(500).json({ ok: false, error: 'Channel fetch/send failed' });
+      }
+
+      await canal.send(mensaje);
+
+      return res.status(200).json({ ok: true, sent: true });
+    } catch (e) {
+      req.log.error('POST /gpt/decir falló', { err: e });
+      return res.status(500).json({ ok: false, error: 'server_error', request_id: req.id });
+    }
+  });
+
+  // =======================
+  // ARRANQUE
+  // =======================
+  let server = null;
+
+  // Registra los comandos, abre el HTTP y conecta con Discord (lo único que toca la red)
+  // Railway: escucha el PORT que te da Railway (si no, 8080)
+  async function start({ port = Number(env.PORT || 8080), host = '0.0.0.0' } = {}) {
+    await registerCommands();
+    server = await new Promise((resolve, reject) => {
+      const s = app.listen(port, host, (err) => (err ? reject(err) : resolve(s)));
+    });
+    log.info('HTTP escuchando', { port: server.address().port });
+    await client.login(DISCORD_TOKEN);
+    return server;
+  }
+
+  // Para timers, webhooks, HTTP y Discord; la DB solo si la abrimos aquí
+  async function stop() {
+    for (const key of [...timers.keys()]) cancelScheduled(key);
+    pendingConfirms.clear();
+    webhooks.stop();
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(() => resolve()));
+      server = null;
+    }
+    await client.destroy();
+    if (!deps.db) db.close();
+  }
+
+  return {
+    client,
+    rest,
+    app,
+    db,
+    tmdb,
+    commands,
+    registry,
+    events,
+    webhooks,
+    movieService,
+    pollService,
+    searchMovie: tmdbSearchMovie,
+    start,
+    stop,
+  };
+}
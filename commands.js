@@ -0,0 +1,66 @@
+/* ======================
+   REGISTRO DE COMANDOS (slash, botones, menús y modales)
+   - cada comando se registra una vez con su manejador; el permiso de admin va en la definición
+   - los componentes se enrutan por el prefijo del customId ("vote:<poll>:<opción>" -> vote)
+====================== */
+const COMPONENT_KINDS = {
+  button: (i) => i.isButton(),
+  select: (i) => i.isStringSelectMenu(),
+  modal: (i) => i.isModalSubmit(),
+};
+
+// isAdmin(interaction) -> bool • deny(interaction, content) responde sin permiso
+export function createCommandRegistry({ isAdmin, deny }) {
+  const commands = new Map();   // nombre -> { run, admin }
+  const components = new Map(); // "tipo:prefijo" -> run
+
+  // admin: true = todo el comando • admin: ['crear', ...] = solo esos subcomandos
+  function command(name, run, { admin = false } = {}) {
+    if (commands.has(name)) throw new Error(`Comando repetido: /${name}`);
+    commands.set(name, { run, admin });
+  }
+
+  function component(kind, prefix, run) {
+    if (!COMPONENT_KINDS[kind]) throw new Error(`Tipo de componente desconocido: ${kind}`);
+    const key = `${kind}:${prefix}`;
+    if (components.has(key)) throw new Error(`Componente repetido: ${key}`);
+    components.set(key, run);
+  }
+
+  function needsAdmin(def, interaction) {
+    if (Array.isArray(def.admin)) return def.admin.includes(interaction.options.getSubcommand(false));
+    return def.admin;
+  }
+
+  // -> true si había manejador para la interacción
+  async function dispatch(interaction) {
+    if (interaction.isChatInputCommand()) {
+      const def = commands.get(interaction.commandName);
+      if (!def) return false;
+      if (needsAdmin(def, interaction) && !isAdmin(interaction)) {
+        await deny(interaction, `🔒 No tienes permiso para /${interaction.commandName}`);
+        return true;
+      }
+      await def.run(interaction, interaction.guildId);
+      return true;
+    }
+
+    const prefix = String(interaction.customId ?? '').split(':')[0];
+    for (const [kind, is] of Object.entries(COMPONENT_KINDS)) {
+      const run = is(interaction) && components.get(`${kind}:${prefix}`);
+      if (run) {
+        await run(interaction);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  return {
+    command,
+    component,
+    dispatch,
+    has: (name) => commands.has(name),
+    names: () => [...commands.keys()],
+  };
+}
@@ -0,0 +1,283 @@
+// Panel web de Don Pistacho: todo pasa por /api/v1 con la cookie de sesión (login con Discord)
+const PAGE = 24;
+const LIST_EVENTS = ['movie.added', 'movie.removed', 'movie.watched', 'list.changed'];
+const POLL_EVENTS = ['poll.opened', 'poll.vote', 'poll.tie', 'poll.closed'];
+
+const $ = (sel) => document.querySelector(sel);
+const state = { me: null, guild: null, admin: false, pendingOffset: 0, watchedOffset: 0, stream: null };
+
+// Nada de innerHTML con datos: títulos y notas vienen de fuera
+function el(tag, props = {}, ...children) {
+  const node = Object.assign(document.createElement(tag), props);
+  for (const c of children.flat()) if (c != null) node.append(c);
+  return node;
+}
+
+class ApiError extends Error {
+  constructor(status, body) {
+    super(body?.error?.message || `HTTP ${status}`);
+    this.status = status;
+    this.code = body?.error?.code;
+    this.details = body?.error?.details;
+  }
+}
+
+async function api(method, path, body) {
+  const res = await fetch(`/api/v1${path}`, {
+    method,
+    credentials: 'same-origin',
+    headers: { 'x-guild-id': state.guild, ...(body ? { 'content-type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) throw new ApiError(res.status, data);
+  return data;
+}
+
+const say = (text, isError = false) => {
+  const m = $('#message');
+  m.textContent = text;
+  m.classList.toggle('error', isError);
+};
+
+const movieLine = (m) => `${m.title}${m.year ? ` (${m.year})` : ''}`;
+const when = (s) => (s ? new Date(`${s.replace(' ', 'T')}${/Z|[+-]\d\d:?\d\d$/.test(s) ? '' : 'Z'}`).toLocaleString() : '');
+
+function poster(url, alt) {
+  return url ? el('img', { src: url, alt, loading: 'lazy' }) : el('div', { className: 'noposter', textContent: '🎬' });
+}
+
+/* ---- Pendientes ---- */
+
+function movieCard(m) {
+  const meta = [
+    m.tmdb?.runtime ? `${m.tmdb.runtime} min` : null,
+    m.tmdb?.rating ? `⭐ ${m.tmdb.rating.toFixed(1)}` : null,
+    m.tmdb?.genres?.slice(0, 2).join(', '),
+  ].filter(Boolean).join(' · ');
+
+  const actions = state.admin
+    ? el('div', { className: 'actions' },
+      el('button', { type: 'button', textContent: '✅ Vista', onclick: () => markWatched(m) }),
+      el('button', { type: 'button', className: 'danger', textContent: '🗑️', title: 'Quitar', onclick: () => removeMovie(m) }))
+    : null;
+
+  return el('div', { className: 'card' },
+    poster(m.tmdb?.poster, m.title),
+    el('div', { className: 'body' },
+      el('span', { className: 'title', textContent: movieLine(m) }),
+      el('span', { className: 'meta', textContent: meta }),
+      m.scheduled_at ? el('span', { className: 'meta', textContent: '📅 Próxima' }) : null,
+      actions));
+}
+
+async function loadPending(append = false) {
+  if (!append) state.pendingOffset = 0;
+  const { data, pagination } = await api('GET', `/movies?status=pending&sort=added&limit=${PAGE}&offset=${state.pendingOffset}`);
+  const grid = $('#pending');
+  if (!append) grid.replaceChildren();
+  grid.append(...data.map(movieCard));
+  if (!append && !data.length) grid.append(el('p', { textContent: 'La lista está vacía. ¡Añade algo!' }));
+  state.pendingOffset = pagination.next_offset ?? pagination.total;
+  $('#pending-more').hidden = pagination.next_offset == null;
+}
+
+async function addMovie(body) {
+  $('#candidates').hidden = true;
+  try {
+    const m = await api('POST', '/movies', body);
+    say(`✅ Añadida: ${movieLine(m)}`);
+    $('#add-query').value = '';
+    await loadPending();
+  } catch (e) {
+    if (e.code === 'ambiguous') return showCandidates(e.details);
+    say(e.code === 'already_exists' ? `Ya estaba en la lista: ${movieLine(e.details)}` : `❌ ${e.message}`, e.code !== 'already_exists');
+  }
+}
+
+function showCandidates(candidates) {
+  say('Hay varias, ¿cuál es?');
+  const box = $('#candidates');
+  box.replaceChildren(...candidates.map(c => el('div', { className: 'card' },
+    poster(c.poster, c.title),
+    el('div', { className: 'body' },
+      el('span', { className: 'title', textContent: movieLine(c) }),
+      el('div', { className: 'actions' },
+        el('button', { type: 'button', textContent: 'Esta', onclick: () => addMovie({ tmdb_id: c.tmdb_id }) }))))));
+  box.hidden = false;
+}
+
+async function markWatched(m) {
+  try {
+    await api('PATCH', `/movies/${m.id}`, { status: 'watched' });
+    say(`👀 Vista: ${movieLine(m)}`);
+    await Promise.all([loadPending(), loadWatched()]);
+  } catch (e) {
+    say(`❌ ${e.message}`, true);
+  }
+}
+
+async function removeMovie(m) {
+  if (!confirm(`¿Quitar ${movieLine(m)} de la lista?`)) return;
+  try {
+    await api('DELETE', `/movies/${m.id}`);
+    say(`🗑️ Quitada: ${movieLine(m)} (se puede deshacer con /deshacer)`);
+    await loadPending();
+  } catch (e) {
+    say(`❌ ${e.message}`, true);
+  }
+}
+
+/* ---- Vistas ---- */
+
+async function loadWatched(append = false) {
+  if (!append) state.watchedOffset = 0;
+  const { data, pagination } = await api('GET', `/viewings?limit=${PAGE}&offset=${state.watchedOffset}`);
+  const list = $('#watched');
+  if (!append) list.replaceChildren();
+  list.append(...data.map(v => el('li', {},
+    poster(v.poster, v.title),
+    el('div', {},
+      el('div', { textContent: movieLine(v) }),
+      el('div', {
+        className: 'meta',
+        textContent: [
+          when(v.watched_at),
+          v.rating != null ? `⭐ ${v.rating}/10 (${v.ratings})` : null,
+          v.attendees.length ? `${v.attendees.length} personas` : null,
+          v.notes,
+        ].filter(Boolean).join(' · '),
+      })))));
+  if (!append && !data.length) list.append(el('li', { textContent: 'Todavía no hay nada visto.' }));
+  state.watchedOffset = pagination.next_offset ?? pagination.total;
+  $('#watched-more').hidden = pagination.next_offset == null;
+}
+
+/* ---- Votaciones ---- */
+
+function pollBox(p) {
+  const total = p.items.reduce((n, it) => n + (it.votes ?? 0), 0);
+  return el('div', { className: 'poll' },
+    el('h3', { textContent: p.open ? `🟢 En marcha · cierra ${when(p.closes_at)}` : `🗳️ ${when(p.created_at)}` }),
+    p.items.map(it => {
+      const pct = total ? Math.round(((it.votes ?? 0) / total) * 100) : 0;
+      return el('div', { className: `bar${it.winner ? ' winner' : ''}` },
+        el('span', { textContent: `${it.winner ? '🏆 ' : ''}${movieLine(it)}` }),
+        el('div', { className: 'track' }, el('div', { className: 'fill', style: `width:${pct}%` })),
+        el('span', { textContent: it.votes == null ? '—' : String(it.votes) }));
+    }));
+}
+
+async function loadPolls() {
+  const { data } = await api('GET', '/polls?limit=10');
+  const box = $('#polls');
+  box.replaceChildren(...data.map(pollBox));
+  if (!data.length) box.append(el('p', { textContent: 'Todavía no hay votaciones.' }));
+}
+
+/* ---- Stats ---- */
+
+async function loadStats() {
+  const s = await api('GET', '/stats');
+  const rows = [
+    ['Pendientes', s.pending],
+    ['Vistas', s.watched],
+    ['Total', s.total],
+    ['Visionados', s.viewings],
+    ['Votaciones', s.polls],
+    ['Próxima', s.next ? movieLine(s.next) : '—'],
+  ];
+  $('#stats').replaceChildren(...rows.flatMap(([k, v]) => [el('dt', { textContent: k }), el('dd', { textContent: String(v) })]));
+}
+
+/* ---- En directo (SSE) ---- */
+
+function debounce(fn, ms = 300) {
+  let t;
+  return () => { clearTimeout(t); t = setTimeout(fn, ms); };
+}
+
+const refreshLists = debounce(() => Promise.all([loadPending(), loadWatched(), loadStats()]).catch(() => {}));
+const refreshPolls = debounce(() => Promise.all([loadPolls(), loadStats()]).catch(() => {}));
+
+function connectStream() {
+  state.stream?.close();
+  const stream = new EventSource(`/api/v1/events?guild_id=${encodeURIComponent(state.guild)}`);
+  stream.onopen = () => $('#live').classList.add('on');
+  stream.onerror = () => $('#live').classList.remove('on');
+  for (const t of LIST_EVENTS) stream.addEventListener(t, refreshLists);
+  for (const t of POLL_EVENTS) stream.addEventListener(t, refreshPolls);
+  state.stream = stream;
+}
+
+/* ---- Arranque ---- */
+
+function showTab(name) {
+  for (const b of document.querySelectorAll('nav button')) b.classList.toggle('active', b.dataset.tab === name);
+  for (const t of document.querySelectorAll('.tab')) t.hidden = t.id !== `tab-${name}`;
+}
+
+async function selectGuild(id) {
+  const g = state.me.guilds.find(x => x.id === id) ?? state.me.guilds[0];
+  state.guild = g.id;
+  state.admin = g.admin;
+  localStorage.setItem('guild', g.id);
+  $('#add-form').hidden = !g.admin;
+  say('');
+  connectStream();
+  try {
+    await Promise.all([loadPending(), loadWatched(), loadPolls(), loadStats()]);
+  } catch (e) {
+    say(`❌ ${e.message}`, true);
+  }
+}
+
+async function init() {
+  const res = await fetch('me', { credentials: 'same-origin' });
+  const body = await res.json().catch(() => null);
+
+  if (res.status === 401) {
+    $('#login').hidden = false;
+    $('#login-error').hidden = !new URLSearchParams(location.search).has('error');
+    $('#login-disabled').hidden = body?.login !== false;
+    return;
+  }
+  if (!res.ok) throw new Error(body?.error?.message || `HTTP ${res.status}`);
+
+  state.me = body;
+  $('#session').hidden = false;
+  $('#username').textContent = body.user.username;
+  if (body.user.avatar) $('#avatar').src = body.user.avatar;
+  else $('#avatar').hidden = true;
+
+  if (!body.guilds.length) {
+    $('#login').hidden = false;
+    $('#login').replaceChildren(el('p', { textContent: 'No compartes ningún servidor con Don Pistacho.' }));
+    return;
+  }
+
+  const select = $('#guild');
+  select.replaceChildren(...body.guilds.map(g => el('option', { value: g.id, textContent: `${g.name}${g.admin ? ' (admin)' : ''}` })));
+  select.value = body.guilds.some(g => g.id === localStorage.getItem('guild')) ? localStorage.getItem('guild') : body.guilds[0].id;
+  select.onchange = () => selectGuild(select.value);
+
+  $('#app').hidden = false;
+  await selectGuild(select.value);
+}
+
+for (const b of document.querySelectorAll('nav button')) b.onclick = () => showTab(b.dataset.tab);
+$('#add-form').onsubmit = (e) => {
+  e.preventDefault();
+  const query = $('#add-query').value.trim();
+  if (query) addMovie({ query });
+};
+$('#pending-more').onclick = () => loadPending(true).catch(e => say(`❌ ${e.message}`, true));
+$('#watched-more').onclick = () => loadWatched(true).catch(e => say(`❌ ${e.message}`, true));
+$('#logout').onclick = async () => {
+  await fetch('logout', { method: 'POST', credentials: 'same-origin' });
+  location.href = './';
+};
+
+init().catch(e => {
+  document.querySelector('main').replaceChildren(el('p', { className: 'error', textContent: `❌ ${e.message}` }));
+});
@@ -0,0 +1,381 @@
+import Database from 'better-sqlite3';
+
+/* ======================
+   DB (esquema + migraciones)
+   - openDatabase(':memory:') da una base vacía con todo el esquema (pruebas)
+   - las migraciones se pueden repetir en cada arranque: solo tocan lo que falte
+   - log: el logger del bot (por defecto console)
+====================== */
+
+// Tabla principal (una lista por servidor)
+const MOVIES_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS movies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    tmdb_id INTEGER,
+    title TEXT NOT NULL,
+    year TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    added_at TEXT NOT NULL DEFAULT (datetime('now')),
+    added_by TEXT,
+    watched_at TEXT,
+    watched_by TEXT,
+    last_suggested_at TEXT,
+    suggested_count INTEGER NOT NULL DEFAULT 0,
+    scheduled_at TEXT,
+    UNIQUE (guild_id, tmdb_id)
+  )
+`;
+
+/* ---- migración suave: si falta una columna, la añadimos ---- */
+function ensureColumn(db, table, column, typeSql, log = console) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  const has = cols.some(c => c.name === column);
+  if (!has) {
+    try {
+      db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${typeSql}`).run();
+      log.info('Migración: columna añadida', { table, column });
+    } catch (e) {
+      log.warn('Migración: no pude añadir la columna', { table, column, err: e });
+    }
+  }
+}
+
+// legacyGuildId = servidor al que pasan los datos de antes del multi-servidor (sin él no se migran)
+export function openDatabase(file, { legacyGuildId = null, log = console } = {}) {
+  const db = new Database(file);
+
+  /* ---- migración: tmdb_id era UNIQUE global -> UNIQUE por servidor (hay que rehacer la tabla) ---- */
+  const oldMoviesSql = db.prepare(`SELECT sql FROM sqlite_master WHERE type='table' AND name='movies'`).get()?.sql;
+  if (oldMoviesSql && /tmdb_id INTEGER UNIQUE/i.test(oldMoviesSql)) {
+    if (!legacyGuildId) {
+      db.close();
+      throw new Error('La lista es de antes del multi-servidor: pon en LEGACY_GUILD_ID el servidor al que pertenece');
+    }
+    db.transaction(() => {
+      const oldCols = db.prepare(`PRAGMA table_info(movies)`).all().map(c => c.name);
+      db.prepare(`ALTER TABLE movies RENAME TO movies_old`).run();
+      db.prepare(MOVIES_SCHEMA).run();
+      const newCols = db.prepare(`PRAGMA table_info(movies)`).all().map(c => c.name);
+      const shared = oldCols.filter(c => newCols.includes(c) && c !== 'guild_id').join(', ');
+      db.prepare(`
+        INSERT INTO movies (guild_id, ${shared})
+        SELECT ?, ${shared} FROM movies_old
+      `).run(legacyGuildId);
+      db.prepare(`DROP TABLE movies_old`).run();
+    })();
+    log.info('Migración: movies ahora es por servidor', { legacy_guild_id: legacyGuildId });
+  }
+  db.prepare(MOVIES_SCHEMA).run();
+
+  // Historial votaciones
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS poll_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS poll_history_items (
+      poll_id INTEGER NOT NULL,
+      tmdb_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      year TEXT,
+      source TEXT,
+      FOREIGN KEY (poll_id) REFERENCES poll_history(id)
+    )
+  `).run();
+
+  // Votaciones (persisten entre reinicios)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS polls (
+      id TEXT PRIMARY KEY,
+      channel_id TEXT NOT NULL,
+      message_id TEXT,
+      title TEXT NOT NULL,
+      source TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      closes_at TEXT NOT NULL,
+      closed INTEGER NOT NULL DEFAULT 0
+    )
+  `).run();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS poll_options (
+      poll_id TEXT NOT NULL,
+      idx INTEGER NOT NULL,
+      tmdb_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      year TEXT,
+      PRIMARY KEY (poll_id, idx),
+      FOREIGN KEY (poll_id) REFERENCES polls(id)
+    )
+  `).run();
+
+  // Papeletas: 1 fila por (usuario, opción). rank solo importa en modo ranked.
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS poll_ballots (
+      poll_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      option_idx INTEGER NOT NULL,
+      rank INTEGER NOT NULL DEFAULT 1,
+      voted_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (poll_id, user_id, option_idx),
+      FOREIGN KEY (poll_id) REFERENCES polls(id)
+    )
+  `).run();
+
+  // Caché de datos TMDB por peli (compartida entre servidores). genre_ids = ",28,12,"
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS movie_meta (
+      tmdb_id INTEGER PRIMARY KEY,
+      genre_ids TEXT,
+      vote_average REAL,
+      vote_count INTEGER,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  // Sesiones vistas (una fila por visionado, también los re-visionados). attendees = ",id1,id2,"
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS viewings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      tmdb_id INTEGER,
+      title TEXT NOT NULL,
+      year TEXT,
+      watched_at TEXT NOT NULL DEFAULT (datetime('now')),
+      logged_by TEXT,
+      attendees TEXT,
+      notes TEXT
+    )
+  `).run();
+
+  // Notas 1-10 (y reseña opcional) de cada miembro por visionado
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS ratings (
+      viewing_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      score INTEGER NOT NULL,
+      review TEXT,
+      rated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (viewing_id, user_id),
+      FOREIGN KEY (viewing_id) REFERENCES viewings(id)
+    )
+  `).run();
+
+  // Gustos por miembro: interest (me apetece), veto (no la veo) o seen (ya la vi por mi cuenta)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS movie_prefs (
+      guild_id TEXT NOT NULL,
+      tmdb_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      pref TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (guild_id, tmdb_id, user_id)
+    )
+  `).run();
+
+  // Caché de plataformas por país (TMDB /movie/{id}/watch/providers). data = JSON ({} = en ninguna)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS watch_providers (
+      tmdb_id INTEGER NOT NULL,
+      region TEXT NOT NULL,
+      data TEXT NOT NULL,
+      fetched_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (tmdb_id, region)
+    )
+  `).run();
+
+  // Noches de peli (/noche). reminders_sent = ",1440,60," (avisos ya enviados)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS nights (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_id TEXT,
+      starts_at TEXT NOT NULL,
+      tmdb_id INTEGER,
+      title TEXT,
+      year TEXT,
+      status TEXT NOT NULL DEFAULT 'scheduled',
+      created_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      event_id TEXT,
+      poll_id TEXT,
+      reminders_sent TEXT
+    )
+  `).run();
+
+  // RSVP: yes | maybe | no
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS night_rsvps (
+      night_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (night_id, user_id),
+      FOREIGN KEY (night_id) REFERENCES nights(id)
+    )
+  `).run();
+
+  // Resultados de /descubrir (el carrusel pagina sobre esto). items = JSON
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS discoveries (
+      id TEXT PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      user_id TEXT,
+      items TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  // Auditoría: cada acción (comando o ruta /gpt) y las filas que tocó (before/after = JSON)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS audit_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      actor TEXT,
+      source TEXT NOT NULL,
+      summary TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      undone_at TEXT,
+      undone_by TEXT
+    )
+  `).run();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS audit_changes (
+      action_id INTEGER NOT NULL,
+      seq INTEGER NOT NULL,
+      table_name TEXT NOT NULL,
+      op TEXT NOT NULL,
+      row_id INTEGER,
+      before TEXT,
+      after TEXT,
+      PRIMARY KEY (action_id, seq),
+      FOREIGN KEY (action_id) REFERENCES audit_actions(id)
+    )
+  `).run();
+
+  // Claves de la API HTTP (/apikey). Solo se guarda el hash
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_hint TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      rate_per_min INTEGER NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_used_at TEXT,
+      revoked_at TEXT,
+      revoked_by TEXT
+    )
+  `).run();
+
+  // Registro de peticiones a /gpt/* y /api/v1/* (key_id NULL = GPT_API_KEY, panel web (user_id) o sin clave válida)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS api_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key_id INTEGER,
+      user_id TEXT,
+      guild_id TEXT,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      status INTEGER NOT NULL,
+      duration_ms INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  // Sesiones del panel web (cookie con un token; aquí solo su hash)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS web_sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      username TEXT,
+      avatar TEXT,
+      guild_ids TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL
+    )
+  `).run();
+
+  // Ajustes por servidor (/config). value = JSON
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS settings (
+      guild_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_by TEXT,
+      PRIMARY KEY (guild_id, key)
+    )
+  `).run();
+
+  ensureColumn(db, 'poll_history_items', 'source', 'TEXT', log);
+  ensureColumn(db, 'poll_history_items', 'votes', 'INTEGER', log);
+  ensureColumn(db, 'poll_history_items', 'winner', 'INTEGER NOT NULL DEFAULT 0', log);
+  ensureColumn(db, 'polls', 'history_id', 'INTEGER', log);
+  ensureColumn(db, 'polls', 'created_by', 'TEXT', log);
+  ensureColumn(db, 'movies', 'scheduled_at', 'TEXT', log);
+  ensureColumn(db, 'polls', 'mode', "TEXT NOT NULL DEFAULT 'plurality'", log);
+  ensureColumn(db, 'polls', 'tie_break', "TEXT NOT NULL DEFAULT 'random'", log);
+  ensureColumn(db, 'polls', 'tie_options', 'TEXT', log);
+  ensureColumn(db, 'polls', 'runoff_of', 'TEXT', log); // desempate: id de la votación empatada
+  ensureColumn(db, 'polls', 'guild_id', 'TEXT', log);
+  ensureColumn(db, 'poll_history', 'guild_id', 'TEXT', log);
+  ensureColumn(db, 'poll_history_items', 'guild_id', 'TEXT', log);
+
+  // Ficha completa TMDB (/movie/{id}); details_at = cuándo se pidió
+  ensureColumn(db, 'movie_meta', 'title', 'TEXT', log);
+  ensureColumn(db, 'movie_meta', 'original_title', 'TEXT', log);
+  ensureColumn(db, 'movie_meta', 'original_language', 'TEXT', log);
+  ensureColumn(db, 'movie_meta', 'overview', 'TEXT', log);
+  ensureColumn(db, 'movie_meta', 'poster_path', 'TEXT', log);
+  ensureColumn(db, 'movie_meta', 'runtime', 'INTEGER', log);
+  ensureColumn(db, 'movie_meta', 'release_date', 'TEXT', log);
+  ensureColumn(db, 'movie_meta', 'imdb_id', 'TEXT', log);
+  ensureColumn(db, 'movie_meta', 'details_at', 'TEXT', log);
+  ensureColumn(db, 'api_requests', 'user_id', 'TEXT', log);
+
+  // Filas de antes del multi-servidor -> servidor legado (sin LEGACY_GUILD_ID se quedan sin servidor y no salen en ninguno)
+  for (const table of ['polls', 'poll_history', 'poll_history_items']) {
+    if (legacyGuildId) {
+      db.prepare(`UPDATE ${table} SET guild_id=? WHERE guild_id IS NULL`).run(legacyGuildId);
+      continue;
+    }
+    const orphans = db.prepare(`SELECT COUNT(*) AS c FROM ${table} WHERE guild_id IS NULL`).get().c;
+    if (orphans) log.warn('Migración: filas sin servidor y sin LEGACY_GUILD_ID, se quedan como están', { table, rows: orphans });
+  }
+
+  // Pelis vistas antes de existir "viewings" -> un visionado con lo que sabemos
+  {
+    const { changes } = db.prepare(`
+      INSERT INTO viewings (guild_id, tmdb_id, title, year, watched_at, logged_by)
+      SELECT m.guild_id, m.tmdb_id, m.title, m.year, COALESCE(m.watched_at, m.added_at), m.watched_by
+      FROM movies m
+      WHERE m.status='watched'
+        AND NOT EXISTS (SELECT 1 FROM viewings v WHERE v.guild_id=m.guild_id AND v.tmdb_id IS m.tmdb_id AND v.title=m.title)
+    `).run();
+    if (changes) log.info('Migración: pelis vistas -> viewings', { movies: changes });
+  }
+
+  /* ---- migración: poll_votes (1 voto por usuario) -> poll_ballots ---- */
+  if (db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='poll_votes'`).get()) {
+    db.transaction(() => {
+      db.prepare(`
+        INSERT OR IGNORE INTO poll_ballots (poll_id, user_id, option_idx, voted_at)
+        SELECT poll_id, user_id, option_idx, voted_at FROM poll_votes
+      `).run();
+      db.prepare(`DROP TABLE poll_votes`).run();
+    })();
+    log.info('Migración: poll_votes -> poll_ballots');
+  }
+
+  return db;
+}
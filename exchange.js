@@ -0,0 +1,310 @@
+/* ======================
+   EXPORT / IMPORT
+   - formato propio versionado (JSON: pelis + historial de votaciones + visionados y notas)
+   - CSV de verdad (comillas, comas y saltos de línea dentro de un campo, BOM)
+   - adaptadores: Letterboxd (watchlist / watched / diary / ratings) e IMDb (listas y valoraciones)
+   Todo sin DB ni red: bot.js resuelve en TMDB y escribe.
+====================== */
+export const EXPORT_FORMAT = 'don-pistacho';
+export const EXPORT_VERSION = 2;
+
+// Columnas de una peli en el export (y cabecera del CSV)
+export const MOVIE_FIELDS = [
+  'tmdb_id', 'title', 'year', 'status', 'added_at', 'added_by',
+  'watched_at', 'watched_by', 'suggested_count', 'last_suggested_at',
+];
+
+const STATUSES = ['pending', 'watched'];
+
+/* ---- CSV ---- */
+
+// RFC 4180 -> filas de celdas (las líneas vacías se ignoran)
+export function parseCsv(text) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQ = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQ) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQ = false;
+      else cell += ch;
+      continue;
+    }
+
+    if (ch === '"') inQ = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(c => c !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+
+  row.push(cell);
+  if (row.some(c => c !== '')) rows.push(row);
+  return rows;
+}
+
+// Primera fila = cabecera -> { header, records: [{ columna: valor }] }
+export function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(h => h.trim());
+  return {
+    header: keys,
+    records: rows.map(cells => Object.fromEntries(keys.map((k, i) => [k, cells[i] ?? '']))),
+  };
+}
+
+export function toCsv(rows, fields) {
+  const esc = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+  return [fields.join(','), ...rows.map(r => fields.map(f => esc(r[f])).join(','))].join('\n');
+}
+
+/* ---- Qué nos han subido ---- */
+
+// -> { kind, records?, json? }
+// kind: pistacho-json | pistacho-csv | letterboxd-watchlist | letterboxd-watched | letterboxd-diary
+//       | letterboxd-ratings | imdb | unknown
+export function detectImportFormat(fileName, text) {
+  const name = String(fileName || '').toLowerCase();
+  const trimmed = String(text ?? '').replace(/^\uFEFF/, '').trimStart();
+
+  if (name.endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return { kind: 'pistacho-json', json: JSON.parse(trimmed) };
+    } catch {
+      return { kind: 'unknown', error: 'JSON inválido' };
+    }
+  }
+
+  const { header, records } = csvRecords(trimmed);
+  const cols = new Set(header.map(h => h.toLowerCase()));
+
+  if (cols.has('letterboxd uri')) {
+    if (cols.has('watched date')) return { kind: 'letterboxd-diary', records };
+    if (cols.has('rating')) return { kind: 'letterboxd-ratings', records };
+    if (name.includes('watched')) return { kind: 'letterboxd-watched', records };
+    return { kind: 'letterboxd-watchlist', records };
+  }
+  if (cols.has('const')) return { kind: 'imdb', records };
+  if (cols.has('tmdb_id') && cols.has('title')) return { kind: 'pistacho-csv', records };
+  return { kind: 'unknown', error: 'No reconozco las columnas del CSV' };
+}
+
+/* ---- Validación del formato propio ---- */
+
+function optText(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s || null;
+}
+
+// Fechas: texto que Date entienda (las de SQLite y las ISO valen tal cual)
+function optDate(v, where, errors) {
+  const s = optText(v);
+  if (s == null) return null;
+  if (Number.isNaN(Date.parse(s))) {
+    errors.push(`${where}: fecha no válida "${s}"`);
+    return undefined;
+  }
+  return s;
+}
+
+function checkTmdbId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function checkMovie(m, where, errors) {
+  const tmdbId = checkTmdbId(m?.tmdb_id);
+  const title = optText(m?.title);
+  if (!tmdbId) return void errors.push(`${where}: tmdb_id no válido`);
+  if (!title) return void errors.push(`${where}: falta el título`);
+
+  const status = optText(m.status) ?? 'pending';
+  if (!STATUSES.includes(status)) return void errors.push(`${where}: estado "${status}" no válido`);
+
+  const suggested = m.suggested_count == null || m.suggested_count === '' ? 0 : Number(m.suggested_count);
+  if (!Number.isInteger(suggested) || suggested < 0) return void errors.push(`${where}: suggested_count no válido`);
+
+  const dates = {};
+  for (const k of ['added_at', 'watched_at', 'last_suggested_at']) {
+    dates[k] = optDate(m[k], `${where}.${k}`, errors);
+    if (dates[k] === undefined) return;
+  }
+
+  return {
+    tmdb_id: tmdbId,
+    title,
+    year: optText(m.year) ?? '',
+    status,
+    added_at: dates.added_at,
+    added_by: optText(m.added_by),
+    watched_at: dates.watched_at,
+    watched_by: optText(m.watched_by),
+    suggested_count: suggested,
+    last_suggested_at: dates.last_suggested_at,
+  };
+}
+
+function checkPoll(p, where, errors) {
+  const createdAt = optDate(p?.created_at, `${where}.created_at`, errors);
+  if (createdAt === undefined) return;
+  if (!Array.isArray(p?.items) || !p.items.length) return void errors.push(`${where}: sin opciones`);
+
+  const items = [];
+  for (const [i, it] of p.items.entries()) {
+    const tmdbId = checkTmdbId(it?.tmdb_id);
+    const title = optText(it?.title);
+    if (!tmdbId || !title) return void errors.push(`${where}.items[${i}]: falta tmdb_id o título`);
+    const votes = it.votes == null || it.votes === '' ? null : Number(it.votes);
+    if (votes != null && !(Number.isInteger(votes) && votes >= 0)) return void errors.push(`${where}.items[${i}]: votos no válidos`);
+    items.push({ tmdb_id: tmdbId, title, year: optText(it.year) ?? '', source: optText(it.source), votes, winner: it.winner ? 1 : 0 });
+  }
+  return { created_at: createdAt, items };
+}
+
+function checkViewing(v, where, errors) {
+  const title = optText(v?.title);
+  if (!title) return void errors.push(`${where}: falta el título`);
+  const tmdbId = v.tmdb_id == null || v.tmdb_id === '' ? null : checkTmdbId(v.tmdb_id);
+  if (v.tmdb_id != null && v.tmdb_id !== '' && !tmdbId) return void errors.push(`${where}: tmdb_id no válido`);
+
+  const watchedAt = optDate(v.watched_at, `${where}.watched_at`, errors);
+  if (watchedAt === undefined) return;
+
+  const attendees = Array.isArray(v.attendees) ? v.attendees.map(String).filter(Boolean) : [];
+  const ratings = [];
+  for (const [i, r] of (Array.isArray(v.ratings) ? v.ratings : []).entries()) {
+    const score = Number(r?.score);
+    const userId = optText(r?.user_id);
+    if (!userId || !Number.isInteger(score) || score < 1 || score > 10) {
+      return void errors.push(`${where}.ratings[${i}]: hace falta user_id y nota 1-10`);
+    }
+    const ratedAt = optDate(r.rated_at, `${where}.ratings[${i}].rated_at`, errors);
+    if (ratedAt === undefined) return;
+    ratings.push({ user_id: userId, score, review: optText(r.review), rated_at: ratedAt });
+  }
+
+  return {
+    tmdb_id: tmdbId,
+    title,
+    year: optText(v.year) ?? '',
+    watched_at: watchedAt,
+    logged_by: optText(v.logged_by),
+    attendees,
+    notes: optText(v.notes),
+    ratings,
+  };
+}
+
+// JSON subido -> { version, data: { movies, polls, viewings }, errors }
+// v1 = lo que exportaba antes (/export: { exported_at, movies } o una lista de pelis a secas)
+export function validateExport(obj) {
+  const errors = [];
+  const data = { movies: [], polls: [], viewings: [] };
+
+  let version = 1;
+  if (obj && !Array.isArray(obj) && obj.format != null) {
+    if (obj.format !== EXPORT_FORMAT) return { version: null, data, errors: [`Formato "${obj.format}" desconocido`] };
+    version = Number(obj.version);
+    if (!Number.isInteger(version) || version < 1 || version > EXPORT_VERSION) {
+      return { version: null, data, errors: [`Versión ${obj.version} no soportada (hasta ${EXPORT_VERSION})`] };
+    }
+  }
+
+  const movies = Array.isArray(obj) ? obj : obj?.movies;
+  if (!Array.isArray(movies)) return { version, data, errors: ['No hay una lista "movies"'] };
+
+  movies.forEach((m, i) => {
+    const ok = checkMovie(m, `movies[${i}]`, errors);
+    if (ok) data.movies.push(ok);
+  });
+
+  if (version >= 2) {
+    for (const [key, check, out] of [['polls', checkPoll, data.polls], ['viewings', checkViewing, data.viewings]]) {
+      if (obj[key] == null) continue;
+      if (!Array.isArray(obj[key])) {
+        errors.push(`"${key}" no es una lista`);
+        continue;
+      }
+      obj[key].forEach((it, i) => {
+        const ok = check(it, `${key}[${i}]`, errors);
+        if (ok) out.push(ok);
+      });
+    }
+  }
+
+  return { version, data, errors };
+}
+
+// CSV propio (cabecera con nombres de columna; vale el de antes, con menos columnas)
+export function fromPistachoCsv(records) {
+  return validateExport({ format: EXPORT_FORMAT, version: 1, movies: records });
+}
+
+/* ---- Adaptadores: filas de otras webs -> entradas sin resolver ----
+   entrada = { title, year, imdb_id, status, added_at, watched_at, score (1-10) } */
+
+function pick(record, ...names) {
+  for (const n of names) {
+    const key = Object.keys(record).find(k => k.toLowerCase() === n);
+    if (key && String(record[key]).trim()) return String(record[key]).trim();
+  }
+  return null;
+}
+
+// Letterboxd: estrellas 0.5-5 -> nota 1-10
+export function fromLetterboxd(records, kind) {
+  return records.map(r => {
+    const stars = Number(pick(r, 'rating'));
+    const watched = kind !== 'letterboxd-watchlist';
+    return {
+      title: pick(r, 'name'),
+      year: pick(r, 'year') ?? '',
+      imdb_id: null,
+      status: watched ? 'watched' : 'pending',
+      added_at: pick(r, 'date'),
+      watched_at: watched ? pick(r, 'watched date', 'date') : null,
+      score: stars > 0 ? Math.min(10, Math.max(1, Math.round(stars * 2))) : null,
+    };
+  }).filter(e => e.title);
+}
+
+// IMDb: exports de listas / watchlist ("Const", "Title Type"...) y de valoraciones ("Your Rating")
+export function fromImdb(records) {
+  const entries = [];
+  const skipped = [];
+
+  for (const r of records) {
+    const imdbId = (pick(r, 'const') || '').match(/tt\d{7,8}/i)?.[0]?.toLowerCase() ?? null;
+    const title = pick(r, 'title', 'original title');
+    const type = pick(r, 'title type') || '';
+    if (/series|episode|mini|game|podcast/i.test(type)) {
+      skipped.push(`${title || imdbId}: es "${type}", no una peli`);
+      continue;
+    }
+    if (!imdbId && !title) continue;
+
+    const score = Number(pick(r, 'your rating'));
+    const rated = Number.isInteger(score) && score >= 1 && score <= 10;
+    entries.push({
+      title,
+      year: pick(r, 'year') ?? '',
+      imdb_id: imdbId,
+      status: rated ? 'watched' : 'pending',
+      added_at: pick(r, 'created'),
+      watched_at: rated ? pick(r, 'date rated') : null,
+      score: rated ? score : null,
+    });
+  }
+
+  return { entries, skipped };
+}
@@ -0,0 +1,55 @@
+import crypto from 'node:crypto';
+
+/* ======================
+   LOGS (una línea JSON por evento)
+   - { time, level, msg, ...campos }: request_id / interaction_id / guild_id para seguir una petición
+   - child(campos) -> mismo logger con esos campos en cada línea
+   - err: Error -> { name, message, stack } (+ status/code de axios o Discord)
+   - mismos métodos que console (info, warn, error): los módulos aceptan `log = console`
+====================== */
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Id corto para buscar en los logs: sale en las respuestas de error ("ref a1b2c3d4")
+export const shortId = () => crypto.randomBytes(4).toString('hex');
+
+export function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err?.message ?? err) };
+  const out = { name: err.name, message: err.message };
+  const status = err.response?.status ?? err.status;
+  if (status) out.status = status;
+  if (err.code) out.code = err.code;
+  if (err.stack) out.stack = err.stack;
+  return out;
+}
+
+export function createLogger({
+  level = 'info',
+  stream = process.stdout,
+  fields = {},
+  now = () => new Date(),
+} = {}) {
+  const min = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  function write(lvl, msg, extra = {}) {
+    if (LOG_LEVELS[lvl] < min) return;
+    const line = { time: now().toISOString(), level: lvl, msg, ...fields };
+    for (const [k, v] of Object.entries(extra)) {
+      if (v === undefined) continue;
+      line[k] = k === 'err' ? serializeError(v) : v;
+    }
+    try {
+      stream.write(`${JSON.stringify(line)}\n`);
+    } catch {
+      stream.write(`${JSON.stringify({ time: line.time, level: lvl, msg, log_error: 'campos no serializables' })}\n`);
+    }
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    child: (more) => createLogger({ level, stream, now, fields: { ...fields, ...more } }),
+  };
+}
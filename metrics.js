@@ -0,0 +1,89 @@
+/* ======================
+   MÉTRICAS (formato de texto de Prometheus, para GET /metrics)
+   - counter: inc(labels, n) · histogram: observe(labels, valor)
+   - gauge: se calcula al pedir /metrics (con type 'counter', totales que ya lleva otro módulo)
+   - sin dependencias: lo justo para lo que expone el bot
+====================== */
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// labels -> clave estable (mismo orden siempre)
+const keyOf = (labels) => JSON.stringify(Object.keys(labels).sort().map(k => [k, labels[k]]));
+
+const formatValue = (v) => (Number.isFinite(v) ? String(v) : v > 0 ? '+Inf' : v < 0 ? '-Inf' : 'NaN');
+
+export function createMetrics({ prefix = '' } = {}) {
+  const metrics = new Map();
+
+  function register(name, type, help, render) {
+    const full = `${prefix}${name}`;
+    if (metrics.has(full)) throw new Error(`Métrica repetida: ${full}`);
+    metrics.set(full, { type, help, render: () => render(full) });
+  }
+
+  function counter(name, help) {
+    const values = new Map();
+    register(name, 'counter', help, (full) =>
+      [...values.values()].map(({ labels, value }) => `${full}${formatLabels(labels)} ${formatValue(value)}`)
+    );
+    return {
+      inc(labels = {}, n = 1) {
+        const key = keyOf(labels);
+        const cur = values.get(key) ?? { labels, value: 0 };
+        cur.value += n;
+        values.set(key, cur);
+      },
+      get: (labels = {}) => values.get(keyOf(labels))?.value ?? 0,
+    };
+  }
+
+  // collect() -> número, o [[labels, número], ...]; si falla, la métrica no sale (y /metrics sigue)
+  function gauge(name, help, collect, type = 'gauge') {
+    register(name, type, help, (full) => {
+      let v;
+      try { v = collect(); } catch { return []; }
+      const rows = Array.isArray(v) ? v : [[{}, v]];
+      return rows.map(([labels, value]) => `${full}${formatLabels(labels)} ${formatValue(Number(value))}`);
+    });
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const values = new Map();
+    register(name, 'histogram', help, (full) =>
+      [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map((le, i) => `${full}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+        `${full}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${full}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+        `${full}_count${formatLabels(labels)} ${count}`,
+      ])
+    );
+    return {
+      observe(labels = {}, value) {
+        const key = keyOf(labels);
+        const cur = values.get(key) ?? { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((le, i) => { if (value <= le) cur.counts[i]++; });
+        cur.sum += value;
+        cur.count++;
+        values.set(key, cur);
+      },
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const [name, m] of metrics) {
+      out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`, ...m.render());
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,250 @@
+/* ======================
+   MOVIE SERVICE (lista de un servidor: añadir, quitar, vistas, qué vemos)
+   - lo llaman igual los comandos de Discord, /gpt/* y /api/v1
+   - catalog = lo que viene de TMDB (búsqueda, fichas, plataformas), inyectado
+   - cada cambio queda en la auditoría y sale como evento al terminar la transacción
+====================== */
+export function formatMovieLine(m) {
+  return `${m.title}${m.year ? ` (${m.year})` : ''}`;
+}
+
+// "tmdb:<id>" (opción elegida en el autocompletado) -> id
+export function parseTmdbRef(input) {
+  const m = String(input || '').trim().match(/^tmdb:(\d+)$/i);
+  return m ? Number(m[1]) : null;
+}
+
+export const eventMovie = (m) => ({ id: m.id ?? null, tmdb_id: m.tmdb_id, title: m.title, year: m.year || '' });
+
+export function createMovieService({
+  repo,
+  audit,
+  catalog,
+  getSettings,
+  emit = () => {},
+  random = Math.random,
+  now = () => Date.now(),
+}) {
+  const { recordAudit, auditInsert, auditUpdate, auditDelete } = audit;
+
+  // -> true si se añadió, false si ya estaba en la lista de ese servidor
+  function add(guildId, movie, actor, source = '/add') {
+    try {
+      const id = repo.transaction(() => {
+        const id = repo.insertMovie(guildId, movie, actor);
+        recordAudit({ guildId, actor, source }, `Añadida ${formatMovieLine(movie)}`, [auditInsert('movies', id)]);
+        return id;
+      });
+      emit('movie.added', guildId, { movie: eventMovie({ ...movie, id }), actor, source });
+      return true;
+    } catch (e) {
+      if (e?.code === 'SQLITE_CONSTRAINT_UNIQUE') return false;
+      throw e;
+    }
+  }
+
+  // Alta desde título / IMDb / tmdb_id
+  // -> { movie, added: true } | { movie, added: false } (ya estaba) | { candidates } (dudas) | null (no está en TMDB)
+  async function addFromInput(guildId, { tmdbId = null, query = '' }, actor, source) {
+    let movie;
+    if (tmdbId) {
+      const meta = await catalog.details(tmdbId);
+      if (!meta?.title) return null;
+      movie = { tmdb_id: tmdbId, title: meta.title, year: (meta.release_date || '').slice(0, 4) };
+    } else {
+      const { movie: m, candidates, ambiguous } = await catalog.resolveCandidates(query);
+      if (!m) return null;
+      if (ambiguous) return { candidates };
+      movie = { tmdb_id: m.id, title: m.title, year: (m.release_date || '').slice(0, 4) };
+    }
+
+    const added = add(guildId, movie, actor, source);
+    await catalog.details(movie.tmdb_id);
+    return { movie: { ...movie, id: repo.movieIdByTmdb(guildId, movie.tmdb_id) }, added };
+  }
+
+  // Borra una peli de la lista (queda en la auditoría para /deshacer)
+  function remove(guildId, movie, actor, source = '/remove') {
+    repo.transaction(() => {
+      recordAudit({ guildId, actor, source }, `Eliminada ${formatMovieLine(movie)}`, auditDelete('movies', 'id=?', movie.id));
+    });
+    emit('movie.removed', guildId, { movie: eventMovie(movie), actor, source });
+  }
+
+  // Seguro: si hay varias coincidencias no borra nada
+  // -> { removed } | { matches } (ninguna o varias)
+  function removeByQuery(guildId, query, actor, source = '/remove') {
+    const q = String(query ?? '').trim();
+    const matches = repo.findMovies(guildId, { tmdbId: parseTmdbRef(q), title: q });
+    if (matches.length !== 1) return { matches };
+    remove(guildId, matches[0], actor, source);
+    return { removed: matches[0] };
+  }
+
+  // Pendiente primero; si ya estaba vista, es un re-visionado
+  function findToWatch(guildId, input) {
+    const ref = { tmdbId: parseTmdbRef(input), title: String(input ?? '').trim() };
+    return repo.findMovieByStatus(guildId, 'pending', ref) || repo.findMovieByStatus(guildId, 'watched', ref) || null;
+  }
+
+  // Marca vista y apunta el visionado -> id del visionado
+  function logViewing(guildId, movie, actor, { attendees = [], notes = null, source = '/visto' } = {}) {
+    const viewingId = repo.transaction(() => {
+      const moved = auditUpdate('movies', movie.id, () => repo.setWatched(movie.id, actor));
+      const viewingId = repo.insertViewing(guildId, movie, actor, { attendees, notes });
+      recordAudit({ guildId, actor, source }, `Vista ${formatMovieLine(movie)}`, [moved, auditInsert('viewings', viewingId)]);
+      return viewingId;
+    });
+
+    emit('movie.watched', guildId, { movie: eventMovie(movie), viewing_id: viewingId, attendees, actor, source });
+    return viewingId;
+  }
+
+  // /visto y /gpt/visto -> { movie, viewingId, rewatch, times } | null (no está en la lista)
+  function watch(guildId, input, actor, opts = {}) {
+    const movie = findToWatch(guildId, input);
+    if (!movie) return null;
+    const viewingId = logViewing(guildId, movie, actor, opts);
+    return { movie, viewingId, rewatch: movie.status === 'watched', times: repo.countViewings(guildId, movie.tmdb_id) };
+  }
+
+  // Vista -> pendiente otra vez (el visionado se queda)
+  function unwatch(guildId, movie, actor, source) {
+    const summary = `Vuelve a pendientes ${formatMovieLine(movie)}`;
+    const actionId = recordAudit({ guildId, actor, source }, summary, [
+      auditUpdate('movies', movie.id, () => repo.setPending(movie.id)),
+    ]);
+    if (actionId) emit('list.changed', guildId, { actor, source, summary });
+  }
+
+  // attendees = quién va a verla: fuera vetadas / ya vistas por alguno, y pesa el interés
+  // only = Set de tmdb_id permitidos (p.ej. los que están en nuestras plataformas)
+  function pick(guildId, n, { attendees = [], only = null } = {}) {
+    const settings = getSettings(guildId);
+    const cooldownIso = new Date(now() - settings.cooldown_hours * 3600_000).toISOString();
+    const recent = repo.recentPollTmdbIds(guildId, settings.avoid_last_polls);
+    const taste = attendees.length ? repo.groupTaste(guildId, attendees) : null;
+    const allowed = (list) => list.filter(r =>
+      (!taste || !taste.blocked.has(r.tmdb_id)) && (!only || only.has(r.tmdb_id))
+    );
+
+    // Cada vez menos exigente si no llegan: sin repetir ni la próxima -> sin cooldown -> cualquiera pendiente
+    let rows = allowed(repo.pendingCandidates(guildId, { cooldownIso, exclude: recent, unscheduled: true }));
+    if (rows.length < n) rows = allowed(repo.pendingCandidates(guildId, { cooldownIso }));
+    if (rows.length < n) rows = allowed(repo.pendingCandidates(guildId));
+
+    for (const r of rows) r.interest = taste?.interest.get(r.tmdb_id) ?? 0;
+
+    rows.sort((a, b) => {
+      if (a.interest !== b.interest) return b.interest - a.interest;
+      const sc = (a.suggested_count ?? 0) - (b.suggested_count ?? 0);
+      if (sc !== 0) return sc;
+      return String(a.added_at).localeCompare(String(b.added_at));
+    });
+
+    // Sorteo entre las mejores; cada interesado suma una papeleta más
+    const candidates = rows.slice(0, Math.max(n * 4, n));
+    const picked = [];
+    const copy = [...candidates];
+    while (copy.length && picked.length < Math.min(n, rows.length)) {
+      const weights = copy.map(r => 1 + r.interest);
+      let x = random() * weights.reduce((a, w) => a + w, 0);
+      let i = 0;
+      while (i < copy.length - 1 && (x -= weights[i]) >= 0) i++;
+      picked.push(copy.splice(i, 1)[0]);
+    }
+    return picked;
+  }
+
+  // Cuenta para el cooldown y el orden de pick()
+  function markSuggested(guildId, tmdbIds) {
+    repo.markSuggested(guildId, tmdbIds, new Date(now()).toISOString());
+  }
+
+  // Pendientes que se pueden ver en las plataformas del servidor (null si no hay plataformas configuradas)
+  async function pendingOnServices(guildId) {
+    const { watch_region: region, services } = getSettings(guildId);
+    if (!services.length) return null;
+    return await catalog.available(repo.pendingTmdbIds(guildId), region, services);
+  }
+
+  // /quevemos y /gpt/quevemos -> { pick } | { error: no_pending | no_services | no_pick }
+  async function suggest(guildId, { attendees = [], onServices = false } = {}) {
+    if (!repo.countPending(guildId)) return { error: 'no_pending' };
+    if (onServices && !getSettings(guildId).services.length) return { error: 'no_services' };
+
+    const only = onServices ? await pendingOnServices(guildId) : null;
+    const [choice] = pick(guildId, 1, { attendees, only });
+    if (!choice) return { error: 'no_pick' };
+
+    markSuggested(guildId, [choice.tmdb_id]);
+    return { pick: choice };
+  }
+
+  // Mismo botón dos veces = se quita -> pref nueva (o null)
+  function togglePref(guildId, tmdbId, userId, pref) {
+    const next = repo.getPref(guildId, tmdbId, userId) === pref ? null : pref;
+    repo.setPref(guildId, tmdbId, userId, next);
+    return next;
+  }
+
+  // -> { interest, veto, seen }
+  function prefCounts(guildId, tmdbId) {
+    const counts = { interest: 0, veto: 0, seen: 0 };
+    for (const r of repo.prefCounts(guildId, tmdbId)) counts[r.pref] = r.c;
+    return counts;
+  }
+
+  // Nota media del grupo para una peli (todos sus visionados en el servidor)
+  function groupRating(guildId, tmdbId) {
+    return { ...repo.groupRating(guildId, tmdbId), viewings: repo.countViewings(guildId, tmdbId) };
+  }
+
+  // /stats: lo de stats() más rankings y notas
+  function leaderboard(guildId) {
+    return {
+      topAdders: repo.topAdders(guildId),
+      topWatchers: repo.topWatchers(guildId),
+      topRated: repo.topRated(guildId),
+      lastReviews: repo.lastReviews(guildId),
+      decidedPolls: repo.countDecidedPolls(guildId),
+    };
+  }
+
+  return {
+    add,
+    addFromInput,
+    remove,
+    removeByQuery,
+    findToWatch,
+    logViewing,
+    watch,
+    unwatch,
+    pick,
+    pendingOnServices,
+    suggest,
+    markSuggested,
+    get: (guildId, id) => repo.getMovie(guildId, id),
+    countPending: (guildId) => repo.countPending(guildId),
+    countViewings: (guildId, tmdbId) => repo.countViewings(guildId, tmdbId),
+    // La "próxima peli" (una por servidor)
+    schedule: (guildId, tmdbId) => repo.scheduleMovie(guildId, tmdbId),
+    scheduled: (guildId) => repo.getScheduledMovie(guildId),
+    stats: (guildId) => repo.listStats(guildId),
+    leaderboard,
+    // /list, /gpt/list y /api/v1/movies -> { rows, total }
+    list: (guildId, filters, page) => repo.listMovies(guildId, filters, page),
+    byTmdb: (guildId, tmdbId) => repo.movieByTmdb(guildId, tmdbId),
+    suggestTitles: (guildId, query, status, limit) => repo.suggestTitles(guildId, query, status, limit),
+    missingDetails: (guildId) => repo.tmdbIdsMissingDetails(guildId),
+    // Visionados y notas (/visto, /api/v1/viewings)
+    viewing: (viewingId) => repo.getViewing(viewingId),
+    viewings: (guildId, page) => repo.listViewings(guildId, page),
+    rate: (viewingId, userId, score, review) => repo.upsertRating(viewingId, userId, score, review),
+    groupRating,
+    // Gustos (👍 🚫 👁️)
+    pref: (guildId, tmdbId, userId) => repo.getPref(guildId, tmdbId, userId),
+    togglePref,
+    prefCounts,
+  };
+}
@@ -0,0 +1,141 @@
+/* ======================
+   NIGHT SERVICE (noches de peli: /noche, /gpt/noches y sus avisos)
+   - la noche vive en la DB; avisos, votación automática e inicio se arman con timers.at y sobreviven a reinicios (restore)
+   - avisar, votar y pintar es cosa del adaptador: onReminder(night, minutes), onPollDue(night) -> poll | null,
+     onStart(night) y onChanged(nightId) cuando hay que repintar el mensaje
+====================== */
+export function createNightService({
+  repo,
+  movies,
+  getSettings,
+  timers,
+  onReminder = async () => {},
+  onPollDue = async () => null,
+  onStart = async () => {},
+  onChanged = async () => {},
+  pollCloseBeforeMs = 0,
+  staleAfterMs = 60 * 60_000,
+  now = () => Date.now(),
+}) {
+  const armed = new Map(); // id de noche -> Set de claves de timers.at
+
+  const get = (nightId) => repo.getNight(nightId);
+  const isScheduled = (night) => night?.status === 'scheduled';
+
+  // Las próximas del servidor (la más cercana primero)
+  function upcoming(guildId, limit = 10) {
+    return repo.scheduledNightIds(guildId, limit).map(get);
+  }
+
+  // movie = { tmdb_id, title, year } o null (sin peli: se vota antes) -> noche ya armada
+  function create(guildId, { channelId, startsAt, movie = null, createdBy }) {
+    const nightId = repo.insertNight(guildId, { channelId, startsAt: new Date(startsAt).toISOString(), movie, createdBy });
+    if (movie) movies.schedule(guildId, movie.tmdb_id);
+    const night = get(nightId);
+    arm(night);
+    return night;
+  }
+
+  // -> la noche ya cancelada, o null si no es de ese servidor o ya no está programada
+  function cancel(guildId, nightId) {
+    const night = get(nightId);
+    if (!night || night.guild_id !== guildId || !repo.setNightStatus(nightId, 'cancelled')) return null;
+    disarm(nightId);
+    return get(nightId);
+  }
+
+  // answer: yes | maybe | no -> la noche con la respuesta, o null si ya pasó o se canceló
+  function rsvp(nightId, userId, answer) {
+    if (!isScheduled(get(nightId))) return null;
+    repo.upsertRsvp(nightId, userId, answer);
+    return get(nightId);
+  }
+
+  async function remind(nightId, minutes) {
+    const night = get(nightId);
+    if (!isScheduled(night) || night.reminders_sent.includes(minutes)) return;
+    repo.setRemindersSent(nightId, [...night.reminders_sent, minutes]);
+    await onReminder(night, minutes);
+  }
+
+  // Sin peli a N horas: la votación la lanza el adaptador; aquí solo se ata a la noche
+  async function launchPoll(nightId) {
+    const night = get(nightId);
+    if (!isScheduled(night) || night.tmdb_id || night.poll_id) return;
+    const poll = await onPollDue(night);
+    if (!poll) return;
+    repo.setNightRef(nightId, 'poll_id', poll.id);
+    await onChanged(nightId);
+  }
+
+  async function start(nightId) {
+    const night = get(nightId);
+    if (!isScheduled(night) || !repo.setNightStatus(nightId, 'done')) return;
+    armed.delete(nightId);
+    await onStart(night);
+    await onChanged(nightId);
+  }
+
+  function at(night, key, ms, fn) {
+    const full = `night:${night.id}:${key}`;
+    timers.at(full, new Date(ms).toISOString(), fn);
+    armed.get(night.id).add(full);
+  }
+
+  // Avisos, votación automática e inicio (al crear y tras reinicios)
+  function arm(night) {
+    disarm(night.id);
+    armed.set(night.id, new Set());
+    const startMs = Date.parse(night.starts_at);
+    const nowMs = now();
+    const { night_reminders: reminders, night_poll_hours: pollHours } = getSettings(night.guild_id);
+
+    for (const min of reminders) {
+      const ms = startMs - min * 60_000;
+      if (ms > nowMs && !night.reminders_sent.includes(min)) at(night, `remind:${min}`, ms, () => remind(night.id, min));
+    }
+
+    if (!night.tmdb_id && !night.poll_id && pollHours > 0) {
+      const ms = Math.max(nowMs, startMs - pollHours * 3600_000);
+      if (startMs - ms > pollCloseBeforeMs) at(night, 'poll', ms, () => launchPoll(night.id));
+    }
+
+    at(night, 'start', startMs, () => start(night.id));
+  }
+
+  function disarm(nightId) {
+    for (const key of armed.get(nightId) ?? []) timers.cancel(key);
+    armed.delete(nightId);
+  }
+
+  // Tras /deshacer o /restore: cada noche con los avisos que le tocan (o ninguno si ya no está)
+  function sync(nightIds) {
+    for (const id of new Set(nightIds)) {
+      const night = get(id);
+      if (isScheduled(night)) arm(night);
+      else disarm(id);
+    }
+  }
+
+  // Lo que acabó con el bot apagado se da por hecho (sin avisos a destiempo) -> { open, stale }
+  function restore() {
+    const stale = repo.finishStaleNights(new Date(now() - staleAfterMs).toISOString());
+    const open = repo.scheduledNightIds();
+    for (const id of open) arm(get(id));
+    return { open: open.length, stale };
+  }
+
+  return {
+    get,
+    upcoming,
+    create,
+    cancel,
+    rsvp,
+    sync,
+    disarm,
+    restore,
+    guildNightIds: (guildId) => repo.guildNightIds(guildId),
+    setMessage: (nightId, messageId) => repo.setNightRef(nightId, 'message_id', messageId),
+    setEvent: (nightId, eventId) => repo.setNightRef(nightId, 'event_id', eventId),
+  };
+}
@@ -0,0 +1,324 @@
+import { formatMovieLine, eventMovie } from './movies.js';
+
+/* ======================
+   POLL SERVICE (motor de votaciones: /votar, /gpt/votar, /api/v1/polls y /noche)
+   - la votación vive en la DB; el cierre se arma con timers.at y sobrevive a reinicios (restore)
+   - publicar y pintar es cosa del adaptador: publish(poll) al abrir, onClosed(result) al cerrar
+====================== */
+// Última de una ronda entre las empatadas abajo: la que menos votos tuvo en las rondas anteriores
+// (de la más reciente hacia atrás) y, si aún empatan, la que menos papeletas incluyen. null si ni así.
+function lastPlace(tied, rounds, ballots) {
+  let left = tied;
+  for (let r = rounds.length - 2; r >= 0 && left.length > 1; r--) {
+    const low = Math.min(...left.map(k => rounds[r][k]));
+    left = left.filter(k => rounds[r][k] === low);
+  }
+  if (left.length > 1) {
+    const support = (k) => ballots.filter(b => b.includes(k)).length;
+    const low = Math.min(...left.map(support));
+    left = left.filter(k => support(k) === low);
+  }
+  return left.length === 1 ? left[0] : null;
+}
+
+// Segunda vuelta instantánea: elimina a la última (una por ronda) hasta que alguien tenga mayoría.
+export function instantRunoff(ballots, n) {
+  let active = Array.from({ length: n }, (_, i) => i + 1);
+  const rounds = [];
+
+  while (active.length) {
+    const tally = Object.fromEntries(active.map(k => [k, 0]));
+    let total = 0;
+    for (const b of ballots) {
+      const pref = b.find(k => k in tally);
+      if (pref !== undefined) { tally[pref]++; total++; }
+    }
+    rounds.push(tally);
+    if (!total) return { leaders: [], rounds };
+
+    const values = Object.values(tally);
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    if (max * 2 > total) return { leaders: active.filter(k => tally[k] === max), rounds };
+
+    const bottom = active.filter(k => tally[k] === min);
+    let loser = bottom.length === 1 ? bottom[0] : lastPlace(bottom, rounds, ballots);
+    if (loser === null || (min === max && active.length === 2)) {
+      // empate entre todas las que quedan: lo decide el tie_break de la votación
+      if (min === max) return { leaders: active, rounds };
+      loser = bottom.at(-1); // indistinguibles abajo: cae la última de la lista
+    }
+    active = active.filter(k => k !== loser);
+  }
+  return { leaders: [], rounds };
+}
+
+export function createPollService({
+  repo,
+  audit,
+  movies,
+  resolveMany,
+  timers,
+  emit = () => {},
+  onClosed = async () => {},
+  onNightResult = () => {},
+  scheduleWinner = true,
+  random = Math.random,
+  now = () => Date.now(),
+}) {
+  const { recordAudit, auditInsert } = audit;
+
+  function isOpen(poll) {
+    return !!poll && !poll.closed && Date.parse(poll.closes_at) > now();
+  }
+
+  // counts: votos por opción ("1".."n"; en ranked = 1ª preferencia) • leaders: opciones empatadas arriba
+  function tally(poll) {
+    const n = poll.movies.length;
+    const counts = {};
+    for (let i = 1; i <= n; i++) counts[String(i)] = 0;
+
+    const rows = repo.ballots(poll.id);
+
+    if (poll.mode === 'ranked') {
+      const ballots = new Map();
+      for (const r of rows) {
+        if (!ballots.has(r.user_id)) ballots.set(r.user_id, []);
+        ballots.get(r.user_id).push(r.option_idx);
+      }
+      for (const b of ballots.values()) counts[String(b[0])]++;
+      const { leaders, rounds } = instantRunoff([...ballots.values()], n);
+      return { counts, leaders, rounds, voters: ballots.size };
+    }
+
+    for (const r of rows) counts[String(r.option_idx)]++;
+    const max = Math.max(...Object.values(counts));
+    const leaders = max > 0
+      ? Object.keys(counts).filter(k => counts[k] === max).map(Number)
+      : [];
+    return { counts, leaders, voters: new Set(rows.map(r => r.user_id)).size };
+  }
+
+  // Sin quién ha votado qué: solo el recuento
+  function emitVote(poll) {
+    emit('poll.vote', poll.guild_id, { poll_id: poll.id, counts: tally(poll).counts });
+  }
+
+  // plurality: un voto (reemplaza) • approval: alterna la opción
+  function vote(poll, userId, optionIdx) {
+    if (poll.mode === 'approval') repo.toggleBallot(poll.id, userId, optionIdx);
+    else repo.replaceBallot(poll.id, userId, optionIdx);
+    emitVote(poll);
+  }
+
+  // ranked: coloca la opción en la posición `rank`
+  function rank(poll, userId, position, optionIdx) {
+    repo.rankBallot(poll.id, userId, position, optionIdx);
+    emitVote(poll);
+  }
+
+  /* ---- de dónde salen las opciones ---- */
+
+  // De la lista (anti-repetición, gustos de quien va) -> { picked, historyId } (historyId null si no llegan a 2)
+  function pickFromList(guildId, n, opts = {}) {
+    const picked = movies.pick(guildId, n, opts);
+    if (picked.length < 2) return { picked, historyId: null };
+    const historyId = repo.insertPollHistory(guildId, picked, 'db');
+    movies.markSuggested(guildId, picked.map(m => m.tmdb_id));
+    return { picked, historyId };
+  }
+
+  // Títulos sueltos / IMDb / tmdb:<id> (máx. 5) -> { picked, historyId } (historyId null si no llegan a 2)
+  // save: false = solo resolver; el historial se guarda luego con saveHistory() si la votación sale
+  async function pickFromTitles(guildId, inputs, source = 'manual', { save = true } = {}) {
+    const picked = (await resolveMany(inputs.slice(0, 5))).slice(0, 5);
+    if (picked.length < 2 || !save) return { picked, historyId: null };
+    return { picked, historyId: saveHistory(guildId, picked, source) };
+  }
+
+  function saveHistory(guildId, picked, source) {
+    return repo.insertPollHistory(guildId, picked, source);
+  }
+
+  /* ---- abrir / cerrar ---- */
+
+  // Crea la votación, la publica (publish(poll) -> mensaje con id) y arma el cierre.
+  // runoffOf: desempate de esa votación (mismo historial; su /noche, si la tiene, pasa a esperar a esta)
+  async function open({
+    guildId, channelId, movies: options, durationMs, title, source, createdBy, historyId,
+    mode = 'plurality', tieBreak = 'random', runoffOf = null, publish,
+  }) {
+    const pollId = `${channelId}-${now()}`;
+    const closesAt = new Date(now() + durationMs).toISOString();
+
+    repo.insertPoll({
+      id: pollId,
+      guild_id: guildId,
+      channel_id: channelId,
+      title,
+      source,
+      closes_at: closesAt,
+      created_by: createdBy ?? null,
+      history_id: historyId ?? null,
+      mode,
+      tie_break: tieBreak,
+      runoff_of: runoffOf,
+    }, options);
+
+    const poll = repo.getPoll(pollId);
+    let msg;
+    try {
+      msg = await publish(poll);
+    } catch (e) {
+      repo.markPollClosed(pollId);
+      throw e;
+    }
+
+    repo.setPollMessage(pollId, msg.id);
+    poll.message_id = msg.id;
+    if (runoffOf) repo.moveNightPoll(runoffOf, pollId);
+    timers.at(`poll:${pollId}`, closesAt, () => close(pollId));
+    emit('poll.opened', guildId, {
+      poll_id: pollId,
+      history_id: poll.history_id ?? null,
+      channel_id: channelId,
+      title,
+      mode,
+      closes_at: closesAt,
+      source,
+      runoff_of: runoffOf,
+      options: poll.movies.map((m, i) => ({ idx: i + 1, ...eventMovie(m) })),
+    });
+    return poll;
+  }
+
+  // Cierre de votación -> votos por opción, ganadora y (si toca) alta en la lista.
+  // tied: empate pendiente (admin / runoff): se guardan los votos y sale poll.tie; poll.closed, con la ganadora
+  function recordResult(poll, counts, winner, tied = null) {
+    let winnerId = null;
+    let nightId = null;
+    repo.transaction(() => {
+      if (!poll.history_id || !repo.hasPollHistory(poll.history_id)) {
+        poll.history_id = repo.insertPollHistory(poll.guild_id, poll.movies, poll.source);
+        repo.setPollHistoryId(poll.id, poll.history_id);
+      }
+      if (poll.runoff_of) {
+        if (winner) repo.setPollHistoryWinner(poll.history_id, winner.tmdb_id);
+      } else {
+        repo.setPollHistoryResult(poll.history_id, poll.movies, counts, winner);
+      }
+
+      if (!winner) return;
+
+      // Votaciones con títulos sueltos (manual / GPT / API): la ganadora entra en la lista
+      if (poll.source !== 'db') {
+        winnerId = repo.insertMovieIfMissing(poll.guild_id, winner, poll.created_by);
+        if (winnerId) {
+          recordAudit(
+            { guildId: poll.guild_id, actor: poll.created_by ?? null, source: 'votación' },
+            `Ganadora añadida: ${formatMovieLine(winner)}`,
+            [auditInsert('movies', winnerId)]
+          );
+        }
+        movies.markSuggested(poll.guild_id, [winner.tmdb_id]);
+      }
+
+      if (scheduleWinner) repo.scheduleMovie(poll.guild_id, winner.tmdb_id);
+      nightId = repo.setNightMovieFromPoll(poll.id, winner);
+    });
+
+    if (winnerId) {
+      emit('movie.added', poll.guild_id, { movie: eventMovie({ ...winner, id: winnerId }), actor: poll.created_by ?? null, source: 'votación' });
+    }
+    if (tied) {
+      emit('poll.tie', poll.guild_id, {
+        poll_id: poll.id,
+        history_id: poll.history_id ?? null,
+        counts,
+        tie_break: poll.tie_break,
+        tied: tied.map(eventMovie),
+      });
+      return;
+    }
+    emit('poll.closed', poll.guild_id, {
+      poll_id: poll.id,
+      history_id: poll.history_id ?? null,
+      counts,
+      winner: winner ? eventMovie(winner) : null,
+    });
+    if (nightId) onNightResult(nightId);
+  }
+
+  // -> { poll, tally, winner, tie, tied } (tie: null | random | runoff | admin) o null si ya estaba cerrada
+  async function close(pollId) {
+    timers.cancel(`poll:${pollId}`);
+    if (!repo.markPollClosed(pollId)) return null;
+
+    const poll = repo.getPoll(pollId);
+    const t = tally(poll);
+    // Un desempate sin votos también decide: todas empatadas (y un desempate se resuelve al azar)
+    const leaders = !t.leaders.length && poll.runoff_of ? poll.movies.map((_, i) => i + 1) : t.leaders;
+    let result;
+
+    if (leaders.length <= 1) {
+      const winner = leaders.length ? poll.movies[leaders[0] - 1] : null;
+      recordResult(poll, t.counts, winner);
+      result = { poll, tally: t, winner, tie: null, tied: [] };
+    } else {
+      const tied = leaders.map(k => poll.movies[k - 1]);
+      if (poll.tie_break === 'random') {
+        const winner = tied[Math.floor(random() * tied.length)];
+        recordResult(poll, t.counts, winner);
+        result = { poll, tally: t, winner, tie: 'random', tied };
+      } else {
+        // runoff / admin: se guardan los votos, la ganadora llega después
+        recordResult(poll, t.counts, null, tied);
+        if (poll.tie_break === 'admin') repo.setTieOptions(poll.id, leaders);
+        result = { poll, tally: t, winner: null, tie: poll.tie_break, tied };
+      }
+    }
+
+    await onClosed(result);
+    return result;
+  }
+
+  // Un admin resuelve un empate (tie_break = admin) -> { tally, winner } | null (ya resuelto / no empatada)
+  function resolveTie(poll, optionIdx) {
+    const tied = String(poll.tie_options || '').split(',').filter(Boolean).map(Number);
+    if (!tied.includes(optionIdx)) return null;
+    if (!repo.takeTieOptions(poll.id)) return null;
+
+    const t = tally(poll);
+    const winner = poll.movies[optionIdx - 1];
+    recordResult(poll, t.counts, winner);
+    return { tally: t, winner };
+  }
+
+  // Al arrancar: re-arma las abiertas; las vencidas durante la caída se cierran ya. -> cuántas
+  function restore() {
+    const open = repo.openPolls();
+    for (const p of open) timers.at(`poll:${p.id}`, p.closes_at, () => close(p.id));
+    return open.length;
+  }
+
+  return {
+    get: (pollId) => repo.getPoll(pollId),
+    byHistory: (historyId) => repo.pollByHistory(historyId),
+    // Historial (lo que sale en /api/v1/polls y en /export): cada entrada con sus pelis en items
+    history: (guildId, page) => repo.listPollHistory(guildId, page),
+    historyEntry: (historyId, guildId = null) => repo.getPollHistory(historyId, guildId),
+    countOpen: () => repo.countOpenPolls(),
+    isOpen,
+    tally,
+    vote,
+    rank,
+    pickFromList,
+    pickFromTitles,
+    saveHistory,
+    open,
+    close,
+    recordResult,
+    resolveTie,
+    restore,
+  };
+}
@@ -0,0 +1,1059 @@
+import Database from 'better-sqlite3';
+
+/* ======================
+   REPOSITORIO (todo el SQL del bot: lista, visionados, votaciones, noches, claves, sesiones...)
+   - lo usan los servicios (movies.js, polls.js, nights.js) y bot.js; no sabe nada de Discord ni de HTTP
+   - la auditoría (audit.js) y los webhooks (webhooks.js) llevan sus propias tablas
+   - funciona igual con el archivo de verdad que con openDatabase(':memory:')
+====================== */
+// Orden de /list (las claves son las de LIST_SORTS en bot.js)
+const LIST_ORDER = {
+  added: 'm.added_at DESC, m.id DESC',
+  rating: 'mm.vote_average IS NULL, mm.vote_average DESC, m.added_at DESC',
+  suggested: 'm.suggested_count DESC, m.added_at DESC',
+};
+
+// Datos de un servidor, en orden de borrado (hijas antes que padres; para insertar, al revés)
+// Lo usan /reset, /import (modo replace) y /restore
+export const GUILD_TABLES = [
+  ['poll_history_items', 'guild_id=?'],
+  ['poll_history', 'guild_id=?'],
+  ['movies', 'guild_id=?'],
+  ['ratings', 'viewing_id IN (SELECT id FROM viewings WHERE guild_id=?)'],
+  ['viewings', 'guild_id=?'],
+  ['movie_prefs', 'guild_id=?'],
+  ['night_rsvps', 'night_id IN (SELECT id FROM nights WHERE guild_id=?)'],
+  ['nights', 'guild_id=?'],
+];
+
+// Un backup (solo lectura) para sacar de él las filas de un servidor
+export function openSnapshot(file) {
+  const snap = new Database(file, { readonly: true, fileMustExist: true });
+  const tables = new Set(snap.prepare(`SELECT name FROM sqlite_master WHERE type='table'`).all().map(r => r.name));
+  return {
+    // -> filas, o null si el snapshot es antiguo y no tiene la tabla (o la columna del where)
+    rows(table, where, guildId) {
+      if (!tables.has(table)) return null;
+      try { return snap.prepare(`SELECT * FROM ${table} WHERE ${where}`).all(guildId); } catch { return null; }
+    },
+    close: () => snap.close(),
+  };
+}
+
+export function createRepository(db) {
+  const count = (sql, ...params) => db.prepare(sql).get(...params).c;
+
+  /* ---- pelis ---- */
+
+  // -> id (lanza SQLITE_CONSTRAINT_UNIQUE si ya estaba)
+  function insertMovie(guildId, movie, addedBy) {
+    return db.prepare(`
+      INSERT INTO movies (guild_id, tmdb_id, title, year, status, added_by)
+      VALUES (?, ?, ?, ?, 'pending', ?)
+    `).run(guildId, movie.tmdb_id, movie.title, movie.year ?? '', addedBy ?? null).lastInsertRowid;
+  }
+
+  // -> id nuevo, o null si ya estaba
+  function insertMovieIfMissing(guildId, movie, addedBy) {
+    const { changes, lastInsertRowid } = db.prepare(`
+      INSERT OR IGNORE INTO movies (guild_id, tmdb_id, title, year, status, added_by)
+      VALUES (?, ?, ?, ?, 'pending', ?)
+    `).run(guildId, movie.tmdb_id, movie.title, movie.year ?? '', addedBy ?? null);
+    return changes ? lastInsertRowid : null;
+  }
+
+  // Fila completa con lo que haya de TMDB en caché
+  function getMovie(guildId, movieId) {
+    return db.prepare(`
+      SELECT m.*, mm.vote_average, mm.genre_ids, mm.runtime, mm.poster_path
+      FROM movies m
+      LEFT JOIN movie_meta mm ON mm.tmdb_id = m.tmdb_id
+      WHERE m.guild_id=? AND m.id=?
+    `).get(guildId, movieId) || null;
+  }
+
+  function movieIdByTmdb(guildId, tmdbId) {
+    return db.prepare(`SELECT id FROM movies WHERE guild_id=? AND tmdb_id=?`).get(guildId, tmdbId)?.id ?? null;
+  }
+
+  // Para quitar: por tmdb_id exacto o por trozo del título (pendientes primero)
+  function findMovies(guildId, { tmdbId = null, title = '' }, limit = 10) {
+    if (tmdbId) {
+      return db.prepare(`SELECT id, tmdb_id, title, year, status FROM movies WHERE guild_id=? AND tmdb_id=?`).all(guildId, tmdbId);
+    }
+    return db.prepare(`
+      SELECT id, tmdb_id, title, year, status
+      FROM movies
+      WHERE guild_id=? AND title LIKE ?
+      ORDER BY status ASC, id DESC
+      LIMIT ?
+    `).all(guildId, `%${title}%`, limit);
+  }
+
+  // La más reciente con ese estado que case (tmdb_id exacto o trozo del título)
+  function findMovieByStatus(guildId, status, { tmdbId = null, title = '' }) {
+    if (tmdbId) {
+      return db.prepare(`SELECT id, tmdb_id, title, year, status FROM movies WHERE guild_id=? AND status=? AND tmdb_id=?`)
+        .get(guildId, status, tmdbId) || null;
+    }
+    return db.prepare(`
+      SELECT id, tmdb_id, title, year, status FROM movies
+      WHERE guild_id=? AND status=? AND title LIKE ?
+      ORDER BY added_at DESC
+      LIMIT 1
+    `).get(guildId, status, `%${title}%`) || null;
+  }
+
+  function setWatched(movieId, userId) {
+    db.prepare(`
+      UPDATE movies
+      SET status='watched', watched_at=datetime('now'), watched_by=?
+      WHERE id=?
+    `).run(userId ?? null, movieId);
+  }
+
+  function setPending(movieId) {
+    db.prepare(`UPDATE movies SET status='pending', watched_at=NULL, watched_by=NULL WHERE id=?`).run(movieId);
+  }
+
+  function countPending(guildId) {
+    return count(`SELECT COUNT(*) AS c FROM movies WHERE guild_id=? AND status='pending'`, guildId);
+  }
+
+  function pendingTmdbIds(guildId) {
+    return db.prepare(`SELECT tmdb_id FROM movies WHERE guild_id=? AND status='pending' AND tmdb_id IS NOT NULL`)
+      .all(guildId).map(r => r.tmdb_id);
+  }
+
+  // Pendientes candidatas para sugerir. Sin opciones = todas las pendientes.
+  // cooldownIso: sugeridas antes de esa fecha • exclude: tmdb_ids fuera • unscheduled: sin la "próxima peli"
+  function pendingCandidates(guildId, { cooldownIso = null, exclude = null, unscheduled = false } = {}) {
+    const where = [`guild_id=?`, `status='pending'`];
+    const params = [guildId];
+    if (unscheduled) where.push('scheduled_at IS NULL');
+    if (cooldownIso) {
+      where.push('(last_suggested_at IS NULL OR last_suggested_at < ?)');
+      params.push(cooldownIso);
+    }
+    if (exclude) where.push(`tmdb_id NOT IN (${[...exclude].length ? [...exclude].map(Number).join(',') : -1})`);
+
+    return db.prepare(`
+      SELECT tmdb_id, title, year, suggested_count, last_suggested_at, added_at
+      FROM movies
+      WHERE ${where.join(' AND ')}
+    `).all(...params);
+  }
+
+  function markSuggested(guildId, tmdbIds, atIso = new Date().toISOString()) {
+    const stmt = db.prepare(`
+      UPDATE movies
+      SET last_suggested_at = ?, suggested_count = suggested_count + 1
+      WHERE guild_id = ? AND tmdb_id = ?
+    `);
+    db.transaction(() => { for (const id of tmdbIds) stmt.run(atIso, guildId, id); })();
+  }
+
+  // La ganadora (o la peli de una /noche) pasa a ser la "próxima peli"
+  function scheduleMovie(guildId, tmdbId) {
+    db.prepare(`UPDATE movies SET scheduled_at=NULL WHERE guild_id=? AND scheduled_at IS NOT NULL`).run(guildId);
+    db.prepare(`
+      UPDATE movies SET scheduled_at=datetime('now')
+      WHERE guild_id=? AND tmdb_id=? AND status='pending'
+    `).run(guildId, tmdbId);
+  }
+
+  function getScheduledMovie(guildId) {
+    return db.prepare(`
+      SELECT tmdb_id, title, year, scheduled_at FROM movies
+      WHERE guild_id=? AND status='pending' AND scheduled_at IS NOT NULL
+      ORDER BY scheduled_at DESC
+      LIMIT 1
+    `).get(guildId) || null;
+  }
+
+  function listStats(guildId) {
+    return {
+      total: count(`SELECT COUNT(*) AS c FROM movies WHERE guild_id=?`, guildId),
+      pending: countPending(guildId),
+      watched: count(`SELECT COUNT(*) AS c FROM movies WHERE guild_id=? AND status='watched'`, guildId),
+      viewings: count(`SELECT COUNT(*) AS c FROM viewings WHERE guild_id=?`, guildId),
+      polls: count(`SELECT COUNT(*) AS c FROM poll_history WHERE guild_id=?`, guildId),
+      next: getScheduledMovie(guildId),
+    };
+  }
+
+  function movieByTmdb(guildId, tmdbId) {
+    return db.prepare(`SELECT id, tmdb_id, title, year, status FROM movies WHERE guild_id=? AND tmdb_id=?`).get(guildId, tmdbId) || null;
+  }
+
+  function listTmdbIds(guildId) {
+    return db.prepare(`SELECT tmdb_id FROM movies WHERE guild_id=? AND tmdb_id IS NOT NULL`).all(guildId).map(r => r.tmdb_id);
+  }
+
+  // /list, /gpt/list y /api/v1/movies. filters: { status, addedBy, yearFrom, yearTo, genre, sort }
+  function listMovies(guildId, filters, { limit, offset = 0 }) {
+    const where = ['m.guild_id=?'];
+    const params = [guildId];
+
+    if (filters.status && filters.status !== 'all') { where.push('m.status=?'); params.push(filters.status); }
+    if (filters.addedBy) { where.push('m.added_by=?'); params.push(filters.addedBy); }
+    if (filters.yearFrom) { where.push(`m.year <> '' AND CAST(m.year AS INTEGER) >= ?`); params.push(filters.yearFrom); }
+    if (filters.yearTo) { where.push(`m.year <> '' AND CAST(m.year AS INTEGER) <= ?`); params.push(filters.yearTo); }
+    if (filters.genre) { where.push('mm.genre_ids LIKE ?'); params.push(`%,${filters.genre},%`); }
+
+    const from = `
+      FROM movies m
+      LEFT JOIN movie_meta mm ON mm.tmdb_id = m.tmdb_id
+      WHERE ${where.join(' AND ')}
+    `;
+    const total = count(`SELECT COUNT(*) AS c ${from}`, ...params);
+    const rows = db.prepare(`
+      SELECT m.id, m.tmdb_id, m.title, m.year, m.status, m.added_at, m.added_by, m.suggested_count,
+             m.watched_at, m.watched_by, m.last_suggested_at, m.scheduled_at,
+             mm.vote_average, mm.genre_ids, mm.runtime, mm.poster_path,
+             (SELECT COUNT(*) FROM movie_prefs p WHERE p.guild_id = m.guild_id AND p.tmdb_id = m.tmdb_id AND p.pref='interest') AS interest_count,
+             (SELECT COUNT(*) FROM movie_prefs p WHERE p.guild_id = m.guild_id AND p.tmdb_id = m.tmdb_id AND p.pref='veto') AS veto_count
+      ${from}
+      ORDER BY ${LIST_ORDER[filters.sort] ?? LIST_ORDER.added}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { rows, total };
+  }
+
+  // Autocompletado: títulos de la lista que casen (status null = todas), los que empiezan así primero
+  function suggestTitles(guildId, query, status, limit) {
+    return db.prepare(`
+      SELECT tmdb_id, title, year, status FROM movies
+      WHERE guild_id=? AND (? IS NULL OR status=?) AND title LIKE ?
+      ORDER BY (title LIKE ?) DESC, (status='pending') DESC, added_at DESC
+      LIMIT ?
+    `).all(guildId, status, status, `%${query}%`, `${query}%`, limit);
+  }
+
+  // Quién añade más pelis / quién marca más vistas -> [{ user_id, c }]
+  function topAdders(guildId, limit = 5) {
+    return db.prepare(`
+      SELECT added_by AS user_id, COUNT(*) AS c
+      FROM movies
+      WHERE guild_id=? AND added_by IS NOT NULL AND added_by <> ''
+      GROUP BY added_by
+      ORDER BY c DESC
+      LIMIT ?
+    `).all(guildId, limit);
+  }
+
+  function topWatchers(guildId, limit = 5) {
+    return db.prepare(`
+      SELECT watched_by AS user_id, COUNT(*) AS c
+      FROM movies
+      WHERE guild_id=? AND watched_by IS NOT NULL AND watched_by <> ''
+      GROUP BY watched_by
+      ORDER BY c DESC
+      LIMIT ?
+    `).all(guildId, limit);
+  }
+
+  // Pelis de la lista sin ficha completa de TMDB (/backfill)
+  function tmdbIdsMissingDetails(guildId) {
+    return db.prepare(`
+      SELECT DISTINCT m.tmdb_id FROM movies m
+      LEFT JOIN movie_meta mm ON mm.tmdb_id = m.tmdb_id
+      WHERE m.guild_id=? AND mm.details_at IS NULL
+    `).all(guildId).map(r => r.tmdb_id);
+  }
+
+  /* ---- visionados y gustos ---- */
+
+  // attendees = [ids] -> ",id1,id2," (así se busca con LIKE)
+  function insertViewing(guildId, movie, userId, { attendees = [], notes = null } = {}) {
+    return db.prepare(`
+      INSERT INTO viewings (guild_id, tmdb_id, title, year, logged_by, attendees, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      guildId, movie.tmdb_id, movie.title, movie.year || '', userId ?? null,
+      attendees.length ? `,${attendees.join(',')},` : null,
+      notes || null
+    ).lastInsertRowid;
+  }
+
+  function countViewings(guildId, tmdbId) {
+    return count(`SELECT COUNT(*) AS c FROM viewings WHERE guild_id=? AND tmdb_id=?`, guildId, tmdbId);
+  }
+
+  // Para un grupo: interés por peli y pelis bloqueadas (veto, "ya la vi" o asistió a un visionado)
+  function groupTaste(guildId, userIds) {
+    const marks = userIds.map(() => '?').join(',');
+    const interest = new Map();
+    const blocked = new Set();
+
+    const prefs = db.prepare(`
+      SELECT tmdb_id, pref, COUNT(*) AS c FROM movie_prefs
+      WHERE guild_id=? AND user_id IN (${marks})
+      GROUP BY tmdb_id, pref
+    `).all(guildId, ...userIds);
+    for (const r of prefs) {
+      if (r.pref === 'interest') interest.set(r.tmdb_id, r.c);
+      else blocked.add(r.tmdb_id);
+    }
+
+    const watched = db.prepare(`
+      SELECT DISTINCT v.tmdb_id FROM viewings v
+      WHERE v.guild_id=? AND v.tmdb_id IS NOT NULL AND (
+        ${userIds.map(() => 'v.attendees LIKE ?').join(' OR ')}
+        OR EXISTS (SELECT 1 FROM ratings r WHERE r.viewing_id = v.id AND r.user_id IN (${marks}))
+      )
+    `).all(guildId, ...userIds.map(id => `%,${id},%`), ...userIds);
+    for (const r of watched) blocked.add(r.tmdb_id);
+
+    return { interest, blocked };
+  }
+
+  function getViewing(viewingId) {
+    const v = db.prepare(`SELECT * FROM viewings WHERE id=?`).get(viewingId);
+    if (!v) return null;
+    v.attendees = (v.attendees || '').split(',').filter(Boolean);
+    v.ratings = db.prepare(`
+      SELECT user_id, score, review FROM ratings WHERE viewing_id=? ORDER BY rated_at ASC
+    `).all(viewingId);
+    return v;
+  }
+
+  // Lo más reciente primero, con la nota media de cada uno y el póster en caché
+  function listViewings(guildId, { limit, offset = 0 }) {
+    const rows = db.prepare(`
+      SELECT v.*, mm.poster_path,
+             (SELECT AVG(score) FROM ratings r WHERE r.viewing_id = v.id) AS rating,
+             (SELECT COUNT(*) FROM ratings r WHERE r.viewing_id = v.id) AS ratings
+      FROM viewings v
+      LEFT JOIN movie_meta mm ON mm.tmdb_id = v.tmdb_id
+      WHERE v.guild_id=?
+      ORDER BY v.watched_at DESC, v.id DESC
+      LIMIT ? OFFSET ?
+    `).all(guildId, limit, offset);
+    for (const v of rows) v.attendees = (v.attendees || '').split(',').filter(Boolean);
+    return { rows, total: count(`SELECT COUNT(*) AS c FROM viewings WHERE guild_id=?`, guildId) };
+  }
+
+  // review undefined = deja la reseña que hubiera
+  function upsertRating(viewingId, userId, score, review) {
+    db.prepare(`
+      INSERT INTO ratings (viewing_id, user_id, score, review)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(viewing_id, user_id) DO UPDATE SET
+        score=excluded.score,
+        review=CASE WHEN ? THEN excluded.review ELSE ratings.review END,
+        rated_at=datetime('now')
+    `).run(viewingId, userId, score, review || null, review === undefined ? 0 : 1);
+  }
+
+  // Nota media de una peli (todos sus visionados en el servidor) y sus últimas reseñas
+  function groupRating(guildId, tmdbId, reviews = 3) {
+    const { avg, count: n } = db.prepare(`
+      SELECT AVG(r.score) AS avg, COUNT(*) AS count
+      FROM ratings r JOIN viewings v ON v.id = r.viewing_id
+      WHERE v.guild_id=? AND v.tmdb_id=?
+    `).get(guildId, tmdbId);
+
+    return {
+      avg,
+      count: n,
+      reviews: db.prepare(`
+        SELECT r.user_id, r.score, r.review
+        FROM ratings r JOIN viewings v ON v.id = r.viewing_id
+        WHERE v.guild_id=? AND v.tmdb_id=? AND r.review IS NOT NULL AND r.review <> ''
+        ORDER BY r.rated_at DESC
+        LIMIT ?
+      `).all(guildId, tmdbId, reviews),
+    };
+  }
+
+  // Mejor valoradas por el grupo (con la nota de TMDB al lado)
+  function topRated(guildId, limit = 5) {
+    return db.prepare(`
+      SELECT v.title, v.year, AVG(r.score) AS avg, COUNT(*) AS n, mm.vote_average
+      FROM ratings r
+      JOIN viewings v ON v.id = r.viewing_id
+      LEFT JOIN movie_meta mm ON mm.tmdb_id = v.tmdb_id
+      WHERE v.guild_id=?
+      GROUP BY v.tmdb_id
+      ORDER BY avg DESC, n DESC
+      LIMIT ?
+    `).all(guildId, limit);
+  }
+
+  function lastReviews(guildId, limit = 3) {
+    return db.prepare(`
+      SELECT r.user_id, r.score, r.review, v.title, v.year
+      FROM ratings r JOIN viewings v ON v.id = r.viewing_id
+      WHERE v.guild_id=? AND r.review IS NOT NULL AND r.review <> ''
+      ORDER BY r.rated_at DESC
+      LIMIT ?
+    `).all(guildId, limit);
+  }
+
+  function getPref(guildId, tmdbId, userId) {
+    return db.prepare(`SELECT pref FROM movie_prefs WHERE guild_id=? AND tmdb_id=? AND user_id=?`)
+      .get(guildId, tmdbId, userId)?.pref ?? null;
+  }
+
+  // pref null = la quita
+  function setPref(guildId, tmdbId, userId, pref) {
+    if (!pref) {
+      db.prepare(`DELETE FROM movie_prefs WHERE guild_id=? AND tmdb_id=? AND user_id=?`).run(guildId, tmdbId, userId);
+      return;
+    }
+    db.prepare(`
+      INSERT INTO movie_prefs (guild_id, tmdb_id, user_id, pref)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(guild_id, tmdb_id, user_id) DO UPDATE SET pref=excluded.pref, updated_at=datetime('now')
+    `).run(guildId, tmdbId, userId, pref);
+  }
+
+  // -> [{ pref, c }]
+  function prefCounts(guildId, tmdbId) {
+    return db.prepare(`
+      SELECT pref, COUNT(*) AS c FROM movie_prefs WHERE guild_id=? AND tmdb_id=? GROUP BY pref
+    `).all(guildId, tmdbId);
+  }
+
+  /* ---- descubrir ---- */
+
+  // Semillas: lo mejor valorado por el grupo (nota >= minAvg)...
+  function likedTmdbIds(guildId, minAvg, limit) {
+    return db.prepare(`
+      SELECT v.tmdb_id, v.title, v.year, AVG(r.score) AS avg
+      FROM ratings r JOIN viewings v ON v.id = r.viewing_id
+      WHERE v.guild_id=? AND v.tmdb_id IS NOT NULL
+      GROUP BY v.tmdb_id
+      HAVING avg >= ?
+      ORDER BY avg DESC, COUNT(*) DESC
+      LIMIT ?
+    `).all(guildId, minAvg, limit);
+  }
+
+  // ...o, si no hay notas, lo último visto
+  function lastWatched(guildId, limit) {
+    return db.prepare(`
+      SELECT tmdb_id, title, year FROM movies
+      WHERE guild_id=? AND status='watched' AND tmdb_id IS NOT NULL
+      ORDER BY watched_at DESC
+      LIMIT ?
+    `).all(guildId, limit);
+  }
+
+  // Géneros de las pendientes (",28,12," por peli, de la caché de TMDB)
+  function pendingGenreIds(guildId) {
+    return db.prepare(`
+      SELECT mm.genre_ids FROM movies m JOIN movie_meta mm ON mm.tmdb_id = m.tmdb_id
+      WHERE m.guild_id=? AND m.status='pending'
+    `).all(guildId).map(r => r.genre_ids);
+  }
+
+  // El carrusel de /descubrir caduca: al guardar uno se borran los de más de keepHours
+  function insertDiscovery(id, guildId, userId, items, keepHours) {
+    db.prepare(`DELETE FROM discoveries WHERE created_at < datetime('now', ?)`).run(`-${keepHours} hours`);
+    db.prepare(`INSERT INTO discoveries (id, guild_id, user_id, items) VALUES (?, ?, ?, ?)`)
+      .run(id, guildId, userId, JSON.stringify(items));
+  }
+
+  function getDiscovery(id) {
+    const row = db.prepare(`SELECT * FROM discoveries WHERE id=?`).get(id);
+    return row ? { ...row, items: JSON.parse(row.items) } : null;
+  }
+
+  function deleteDiscoveries(guildId) {
+    db.prepare(`DELETE FROM discoveries WHERE guild_id=?`).run(guildId);
+  }
+
+  /* ---- historial de votaciones ---- */
+
+  function insertPollHistory(guildId, items, source = 'db') {
+    return db.transaction(() => {
+      const historyId = db.prepare(`INSERT INTO poll_history (guild_id) VALUES (?)`).run(guildId).lastInsertRowid;
+      const ins = db.prepare(`INSERT INTO poll_history_items (guild_id, poll_id, tmdb_id, title, year, source) VALUES (?, ?, ?, ?, ?, ?)`);
+      for (const m of items) ins.run(guildId, historyId, m.tmdb_id, m.title, m.year ?? '', source);
+      return historyId;
+    })();
+  }
+
+  function hasPollHistory(historyId) {
+    return !!db.prepare(`SELECT 1 FROM poll_history WHERE id=?`).get(historyId);
+  }
+
+  // Votos por opción y ganadora (counts: "1".."n", en el orden de movies)
+  function setPollHistoryResult(historyId, movies, counts, winner) {
+    const upd = db.prepare(`
+      UPDATE poll_history_items SET votes=?, winner=?
+      WHERE poll_id=? AND tmdb_id=?
+    `);
+    movies.forEach((m, i) => {
+      upd.run(counts[String(i + 1)] ?? 0, winner && m.tmdb_id === winner.tmdb_id ? 1 : 0, historyId, m.tmdb_id);
+    });
+  }
+
+  // Desempate: sus votos no pisan los de la votación original, solo se marca la ganadora
+  function setPollHistoryWinner(historyId, tmdbId) {
+    db.prepare(`UPDATE poll_history_items SET winner=(tmdb_id=?) WHERE poll_id=?`).run(tmdbId, historyId);
+  }
+
+  // tmdb_ids que salieron en las últimas `limitPolls` votaciones del servidor
+  function recentPollTmdbIds(guildId, limitPolls) {
+    const rows = db.prepare(`
+      SELECT DISTINCT tmdb_id FROM poll_history_items
+      WHERE poll_id IN (SELECT id FROM poll_history WHERE guild_id=? ORDER BY id DESC LIMIT ?)
+    `).all(guildId, limitPolls);
+    return new Set(rows.map(r => r.tmdb_id));
+  }
+
+  // Entrada del historial con sus pelis (guildId null = de cualquier servidor)
+  function getPollHistory(historyId, guildId = null) {
+    const row = db.prepare(`SELECT * FROM poll_history WHERE id=? AND (? IS NULL OR guild_id=?)`).get(historyId, guildId, guildId);
+    if (!row) return null;
+    row.items = db.prepare(`
+      SELECT tmdb_id, title, year, source, votes, winner FROM poll_history_items WHERE poll_id=?
+    `).all(historyId);
+    return row;
+  }
+
+  // Historial, la más reciente primero (newestFirst false = en orden, para exportar)
+  function listPollHistory(guildId, { limit = -1, offset = 0, newestFirst = true } = {}) {
+    const ids = db.prepare(`
+      SELECT id FROM poll_history WHERE guild_id=? ORDER BY id ${newestFirst ? 'DESC' : 'ASC'} LIMIT ? OFFSET ?
+    `).all(guildId, limit, offset);
+    return {
+      rows: ids.map(r => getPollHistory(r.id)),
+      total: count(`SELECT COUNT(*) AS c FROM poll_history WHERE guild_id=?`, guildId),
+    };
+  }
+
+  // Votaciones que acabaron con ganadora
+  function countDecidedPolls(guildId) {
+    return count(`SELECT COUNT(DISTINCT poll_id) AS c FROM poll_history_items WHERE guild_id=? AND winner=1`, guildId);
+  }
+
+  /* ---- votaciones en marcha ---- */
+
+  function insertPoll(poll, movies) {
+    const insOpt = db.prepare(`INSERT INTO poll_options (poll_id, idx, tmdb_id, title, year) VALUES (?, ?, ?, ?, ?)`);
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO polls (id, guild_id, channel_id, title, source, closes_at, created_by, history_id, mode, tie_break, runoff_of)
+        VALUES (@id, @guild_id, @channel_id, @title, @source, @closes_at, @created_by, @history_id, @mode, @tie_break, @runoff_of)
+      `).run(poll);
+      movies.forEach((m, i) => insOpt.run(poll.id, i + 1, m.tmdb_id, m.title, m.year ?? ''));
+    })();
+  }
+
+  function getPoll(pollId) {
+    const poll = db.prepare(`SELECT * FROM polls WHERE id=?`).get(pollId);
+    if (!poll) return null;
+    poll.movies = db.prepare(`
+      SELECT tmdb_id, title, year FROM poll_options
+      WHERE poll_id=?
+      ORDER BY idx ASC
+    `).all(pollId);
+    return poll;
+  }
+
+  // La votación en marcha (o la última) que salió de esa entrada del historial
+  function pollByHistory(historyId) {
+    return db.prepare(`SELECT * FROM polls WHERE history_id=? ORDER BY created_at DESC LIMIT 1`).get(historyId) || null;
+  }
+
+  function openPolls() {
+    return db.prepare(`SELECT id, closes_at FROM polls WHERE closed=0`).all();
+  }
+
+  function countOpenPolls() {
+    return count(`SELECT COUNT(*) AS c FROM polls WHERE closed=0`);
+  }
+
+  // Solo cierra quien cambie closed 0 -> 1 (evita cierres dobles)
+  function markPollClosed(pollId) {
+    return db.prepare(`UPDATE polls SET closed=1 WHERE id=? AND closed=0`).run(pollId).changes > 0;
+  }
+
+  function setPollMessage(pollId, messageId) {
+    db.prepare(`UPDATE polls SET message_id=? WHERE id=?`).run(messageId, pollId);
+  }
+
+  function setPollHistoryId(pollId, historyId) {
+    db.prepare(`UPDATE polls SET history_id=? WHERE id=?`).run(historyId, pollId);
+  }
+
+  function setTieOptions(pollId, options) {
+    db.prepare(`UPDATE polls SET tie_options=? WHERE id=?`).run(options.join(','), pollId);
+  }
+
+  // -> true solo para el primero que lo resuelve
+  function takeTieOptions(pollId) {
+    return db.prepare(`UPDATE polls SET tie_options=NULL WHERE id=? AND tie_options IS NOT NULL`).run(pollId).changes > 0;
+  }
+
+  // Papeletas: 1 fila por (usuario, opción); rank solo cuenta en ranked
+  function replaceBallot(pollId, userId, optionIdx) {
+    db.transaction(() => {
+      db.prepare(`DELETE FROM poll_ballots WHERE poll_id=? AND user_id=?`).run(pollId, userId);
+      db.prepare(`INSERT INTO poll_ballots (poll_id, user_id, option_idx) VALUES (?, ?, ?)`).run(pollId, userId, optionIdx);
+    })();
+  }
+
+  function toggleBallot(pollId, userId, optionIdx) {
+    const removed = db.prepare(`
+      DELETE FROM poll_ballots WHERE poll_id=? AND user_id=? AND option_idx=?
+    `).run(pollId, userId, optionIdx).changes;
+    if (!removed) {
+      db.prepare(`INSERT INTO poll_ballots (poll_id, user_id, option_idx) VALUES (?, ?, ?)`).run(pollId, userId, optionIdx);
+    }
+  }
+
+  // Una opción no puede ocupar dos puestos ni un puesto tener dos opciones
+  function rankBallot(pollId, userId, rank, optionIdx) {
+    db.transaction(() => {
+      db.prepare(`
+        DELETE FROM poll_ballots WHERE poll_id=? AND user_id=? AND (rank=? OR option_idx=?)
+      `).run(pollId, userId, rank, optionIdx);
+      db.prepare(`
+        INSERT INTO poll_ballots (poll_id, user_id, option_idx, rank) VALUES (?, ?, ?, ?)
+      `).run(pollId, userId, optionIdx, rank);
+    })();
+  }
+
+  function ballots(pollId) {
+    return db.prepare(`
+      SELECT user_id, option_idx FROM poll_ballots
+      WHERE poll_id=?
+      ORDER BY user_id, rank ASC
+    `).all(pollId);
+  }
+
+  // La noche que esperaba a una votación empatada pasa a esperar a su desempate
+  function moveNightPoll(fromPollId, toPollId) {
+    db.prepare(`UPDATE nights SET poll_id=? WHERE poll_id=?`).run(toPollId, fromPollId);
+  }
+
+  // Votación automática de una /noche: la ganadora es la peli de esa noche -> id de la noche (o null)
+  function setNightMovieFromPoll(pollId, winner) {
+    db.prepare(`
+      UPDATE nights SET tmdb_id=?, title=?, year=?
+      WHERE poll_id=? AND status='scheduled'
+    `).run(winner.tmdb_id, winner.title, winner.year ?? '', pollId);
+    return db.prepare(`SELECT id FROM nights WHERE poll_id=?`).get(pollId)?.id ?? null;
+  }
+
+  /* ---- noches (/noche) ---- */
+
+  // Con reminders_sent ya en números y las respuestas por tipo: { yes: [ids], maybe, no }
+  function getNight(nightId) {
+    const n = db.prepare(`SELECT * FROM nights WHERE id=?`).get(nightId);
+    if (!n) return null;
+    n.reminders_sent = String(n.reminders_sent || '').split(',').filter(Boolean).map(Number);
+    n.rsvps = { yes: [], maybe: [], no: [] };
+    for (const r of db.prepare(`SELECT user_id, answer FROM night_rsvps WHERE night_id=? ORDER BY updated_at ASC`).all(nightId)) {
+      n.rsvps[r.answer]?.push(r.user_id);
+    }
+    return n;
+  }
+
+  // -> id
+  function insertNight(guildId, { channelId, startsAt, movie = null, createdBy }) {
+    return db.prepare(`
+      INSERT INTO nights (guild_id, channel_id, starts_at, tmdb_id, title, year, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(guildId, channelId, startsAt, movie?.tmdb_id ?? null, movie?.title ?? null, movie?.year ?? '', createdBy ?? null).lastInsertRowid;
+  }
+
+  // Próximas primero
+  function scheduledNightIds(guildId = null, limit = -1) {
+    return db.prepare(`
+      SELECT id FROM nights WHERE status='scheduled' AND (? IS NULL OR guild_id=?) ORDER BY starts_at ASC LIMIT ?
+    `).all(guildId, guildId, limit).map(r => r.id);
+  }
+
+  function guildNightIds(guildId) {
+    return db.prepare(`SELECT id FROM nights WHERE guild_id=?`).all(guildId).map(r => r.id);
+  }
+
+  function upsertRsvp(nightId, userId, answer) {
+    db.prepare(`
+      INSERT INTO night_rsvps (night_id, user_id, answer) VALUES (?, ?, ?)
+      ON CONFLICT(night_id, user_id) DO UPDATE SET answer=excluded.answer, updated_at=datetime('now')
+    `).run(nightId, userId, answer);
+  }
+
+  // Solo cambia de estado quien la encuentra en `from` (evita inicios o cancelaciones dobles)
+  function setNightStatus(nightId, status, from = 'scheduled') {
+    return db.prepare(`UPDATE nights SET status=? WHERE id=? AND status=?`).run(status, nightId, from).changes > 0;
+  }
+
+  // Lo que empezó antes de beforeIso con el bot apagado -> done (cuántas)
+  function finishStaleNights(beforeIso) {
+    return db.prepare(`UPDATE nights SET status='done' WHERE status='scheduled' AND starts_at < ?`).run(beforeIso).changes;
+  }
+
+  // fields: message_id, event_id, poll_id
+  function setNightRef(nightId, field, value) {
+    if (!['message_id', 'event_id', 'poll_id'].includes(field)) throw new Error(`Campo de noche desconocido: ${field}`);
+    db.prepare(`UPDATE nights SET ${field}=? WHERE id=?`).run(value, nightId);
+  }
+
+  function setRemindersSent(nightId, minutes) {
+    db.prepare(`UPDATE nights SET reminders_sent=? WHERE id=?`).run(minutes.length ? `,${minutes.join(',')},` : null, nightId);
+  }
+
+  /* ---- fichas de TMDB (caché compartida por todos los servidores) ---- */
+
+  function getMovieMeta(tmdbId) {
+    return db.prepare(`SELECT * FROM movie_meta WHERE tmdb_id=?`).get(tmdbId) || null;
+  }
+
+  // Ficha completa (d = respuesta de /movie/{id})
+  function saveMovieDetails(d) {
+    db.prepare(`
+      INSERT INTO movie_meta (
+        tmdb_id, genre_ids, vote_average, vote_count, title, original_title, original_language,
+        overview, poster_path, runtime, release_date, imdb_id, details_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      ON CONFLICT(tmdb_id) DO UPDATE SET
+        genre_ids=excluded.genre_ids, vote_average=excluded.vote_average, vote_count=excluded.vote_count,
+        title=excluded.title, original_title=excluded.original_title, original_language=excluded.original_language,
+        overview=excluded.overview, poster_path=excluded.poster_path, runtime=excluded.runtime,
+        release_date=excluded.release_date, imdb_id=excluded.imdb_id,
+        details_at=excluded.details_at, updated_at=datetime('now')
+    `).run(
+      d.id,
+      d.genres?.length ? `,${d.genres.map(g => g.id).join(',')},` : null,
+      d.vote_average ?? null,
+      d.vote_count ?? null,
+      d.title ?? null,
+      d.original_title ?? null,
+      d.original_language ?? null,
+      d.overview || null,
+      d.poster_path ?? null,
+      d.runtime || null,
+      d.release_date || null,
+      d.imdb_id || null
+    );
+  }
+
+  // Lo que viene en búsquedas y listas (géneros y nota), sin pisar la ficha completa
+  function saveMovieSummary(m) {
+    const genreIds = m.genre_ids ?? (m.genres || []).map(g => g.id);
+    db.prepare(`
+      INSERT INTO movie_meta (tmdb_id, genre_ids, vote_average, vote_count) VALUES (?, ?, ?, ?)
+      ON CONFLICT(tmdb_id) DO UPDATE SET
+        genre_ids=excluded.genre_ids, vote_average=excluded.vote_average,
+        vote_count=excluded.vote_count, updated_at=datetime('now')
+    `).run(m.id, genreIds.length ? `,${genreIds.join(',')},` : null, m.vote_average ?? null, m.vote_count ?? null);
+  }
+
+  // maxAgeHours = solo si es más nueva que eso -> datos (JSON ya parseado) o null
+  function getWatchProviders(tmdbId, region, maxAgeHours = null) {
+    const row = db.prepare(`
+      SELECT data FROM watch_providers WHERE tmdb_id=? AND region=? AND (? IS NULL OR fetched_at >= datetime('now', ?))
+    `).get(tmdbId, region, maxAgeHours, `-${maxAgeHours} hours`);
+    if (!row) return null;
+    try { return JSON.parse(row.data); } catch { return null; }
+  }
+
+  function saveWatchProviders(tmdbId, region, data) {
+    db.prepare(`
+      INSERT INTO watch_providers (tmdb_id, region, data) VALUES (?, ?, ?)
+      ON CONFLICT(tmdb_id, region) DO UPDATE SET data=excluded.data, fetched_at=datetime('now')
+    `).run(tmdbId, region, JSON.stringify(data));
+  }
+
+  /* ---- export / import (/export, /import) ---- */
+
+  // fields = columnas de movies que salen en el export (MOVIE_FIELDS de exchange.js)
+  function exportMovies(guildId, fields) {
+    return db.prepare(`SELECT ${fields.join(', ')} FROM movies WHERE guild_id=? ORDER BY id ASC`).all(guildId);
+  }
+
+  // Visionados en orden, cada uno con sus notas
+  function exportViewings(guildId) {
+    const ratingsOf = db.prepare(`SELECT user_id, score, review, rated_at FROM ratings WHERE viewing_id=? ORDER BY rated_at ASC`);
+    return db.prepare(`SELECT * FROM viewings WHERE guild_id=? ORDER BY id ASC`).all(guildId)
+      .map(v => ({ ...v, attendees: (v.attendees || '').split(',').filter(Boolean), ratings: ratingsOf.all(v.id) }));
+  }
+
+  // Fila completa del archivo (sin fecha = ahora) -> id
+  function insertImportedMovie(guildId, m) {
+    return db.prepare(`
+      INSERT INTO movies (guild_id, tmdb_id, title, year, status, added_at, added_by, watched_at, watched_by, suggested_count, last_suggested_at)
+      VALUES (@guild_id, @tmdb_id, @title, @year, @status, COALESCE(@added_at, datetime('now')), @added_by, @watched_at, @watched_by, @suggested_count, @last_suggested_at)
+    `).run({ suggested_count: 0, last_suggested_at: null, ...m, guild_id: guildId }).lastInsertRowid;
+  }
+
+  // Como setWatched, pero con la fecha del archivo
+  function setWatchedAt(movieId, watchedAt, userId) {
+    db.prepare(`
+      UPDATE movies SET status='watched', watched_at=COALESCE(?, datetime('now')), watched_by=? WHERE id=?
+    `).run(watchedAt ?? null, userId ?? null, movieId);
+  }
+
+  // Una votación del archivo ya está si hay otra con la misma fecha
+  function hasPollHistoryAt(guildId, createdAt) {
+    return !!db.prepare(`SELECT 1 FROM poll_history WHERE guild_id=? AND created_at=?`).get(guildId, createdAt);
+  }
+
+  // -> id (los items los mete el import fila a fila, para auditarlos)
+  function insertPollHistoryAt(guildId, createdAt) {
+    return db.prepare(`
+      INSERT INTO poll_history (guild_id, created_at) VALUES (?, COALESCE(?, datetime('now')))
+    `).run(guildId, createdAt ?? null).lastInsertRowid;
+  }
+
+  function hasViewingAt(guildId, tmdbId, watchedAt) {
+    return !!db.prepare(`
+      SELECT 1 FROM viewings WHERE guild_id=? AND tmdb_id IS ? AND watched_at=?
+    `).get(guildId, tmdbId, watchedAt);
+  }
+
+  // Como insertViewing, pero con la fecha y el autor del archivo -> id
+  function insertImportedViewing(guildId, v) {
+    return db.prepare(`
+      INSERT INTO viewings (guild_id, tmdb_id, title, year, watched_at, logged_by, attendees, notes)
+      VALUES (?, ?, ?, ?, COALESCE(?, datetime('now')), ?, ?, ?)
+    `).run(
+      guildId, v.tmdb_id, v.title, v.year, v.watched_at ?? null, v.logged_by ?? null,
+      v.attendees.length ? `,${v.attendees.join(',')},` : null, v.notes ?? null
+    ).lastInsertRowid;
+  }
+
+  /* ---- servidor entero (/reset, /restore) ---- */
+
+  // Lo que /reset avisa que va a borrar
+  function guildCounts(guildId) {
+    return {
+      movies: count(`SELECT COUNT(*) AS c FROM movies WHERE guild_id=?`, guildId),
+      polls: count(`SELECT COUNT(*) AS c FROM poll_history WHERE guild_id=?`, guildId),
+      viewings: count(`SELECT COUNT(*) AS c FROM viewings WHERE guild_id=?`, guildId),
+    };
+  }
+
+  // Columnas actuales de una tabla de GUILD_TABLES (un backup puede traer de más o de menos)
+  function tableColumns(table) {
+    if (!GUILD_TABLES.some(([t]) => t === table)) throw new Error(`Tabla desconocida: ${table}`);
+    return new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  }
+
+  /* ---- ajustes (/config, /gpt/config) ---- */
+
+  // -> { clave: valor en JSON }
+  function settingsRows(guildId) {
+    return db.prepare(`SELECT key, value FROM settings WHERE guild_id=?`).all(guildId ?? '');
+  }
+
+  function putSetting(guildId, key, json, userId) {
+    db.prepare(`
+      INSERT INTO settings (guild_id, key, value, updated_by) VALUES (?, ?, ?, ?)
+      ON CONFLICT(guild_id, key) DO UPDATE SET
+        value=excluded.value, updated_at=datetime('now'), updated_by=excluded.updated_by
+    `).run(guildId, key, json, userId ?? null);
+  }
+
+  // key null = todos -> cuántos se borraron
+  function deleteSettings(guildId, key = null) {
+    if (key) return db.prepare(`DELETE FROM settings WHERE guild_id=? AND key=?`).run(guildId, key).changes;
+    return db.prepare(`DELETE FROM settings WHERE guild_id=?`).run(guildId).changes;
+  }
+
+  /* ---- claves de API y su registro de peticiones ---- */
+
+  // key = { guildId, name, hash, hint, scopes: [..], ratePerMin, createdBy } -> id
+  function insertApiKey(key) {
+    return Number(db.prepare(`
+      INSERT INTO api_keys (guild_id, name, key_hash, key_hint, scopes, rate_per_min, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(key.guildId, key.name, key.hash, key.hint, key.scopes.join(','), key.ratePerMin, key.createdBy).lastInsertRowid);
+  }
+
+  function revokeApiKey(guildId, id, userId) {
+    return db.prepare(`
+      UPDATE api_keys SET revoked_at=datetime('now'), revoked_by=?
+      WHERE guild_id=? AND id=? AND revoked_at IS NULL
+    `).run(userId, guildId, id).changes > 0;
+  }
+
+  // Las activas primero, con las peticiones de las últimas 24 h
+  function listApiKeys(guildId) {
+    return db.prepare(`
+      SELECT k.*,
+             (SELECT COUNT(*) FROM api_requests r WHERE r.key_id = k.id AND r.created_at >= datetime('now', '-1 day')) AS requests_24h
+      FROM api_keys k
+      WHERE k.guild_id=?
+      ORDER BY k.revoked_at IS NOT NULL, k.id DESC
+    `).all(guildId);
+  }
+
+  // Solo claves sin revocar; scopes ya como array
+  function apiKeyByHash(hash) {
+    const row = db.prepare(`SELECT * FROM api_keys WHERE key_hash=? AND revoked_at IS NULL`).get(hash);
+    return row ? { ...row, scopes: row.scopes.split(',') } : null;
+  }
+
+  function touchApiKey(id) {
+    db.prepare(`UPDATE api_keys SET last_used_at=datetime('now') WHERE id=?`).run(id);
+  }
+
+  // r = { keyId, userId, guildId, method, path, status, durationMs }
+  function logApiRequest(r) {
+    db.prepare(`
+      INSERT INTO api_requests (key_id, user_id, guild_id, method, path, status, duration_ms) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(r.keyId ?? null, r.userId ?? null, r.guildId ?? null, r.method, r.path, r.status, r.durationMs);
+  }
+
+  function pruneApiRequests(days) {
+    db.prepare(`DELETE FROM api_requests WHERE created_at < datetime('now', ?)`).run(`-${days} days`);
+  }
+
+  /* ---- sesiones del panel web ---- */
+
+  // Sin caducar; guild_ids ya como array
+  function getWebSession(tokenHash) {
+    const row = db.prepare(`
+      SELECT * FROM web_sessions WHERE token_hash=? AND expires_at > datetime('now')
+    `).get(tokenHash);
+    return row ? { ...row, guild_ids: (row.guild_ids || '').split(',').filter(Boolean) } : null;
+  }
+
+  // Aprovecha para tirar las caducadas
+  function insertWebSession(tokenHash, user, guildIds, days) {
+    db.prepare(`DELETE FROM web_sessions WHERE expires_at <= datetime('now')`).run();
+    db.prepare(`
+      INSERT INTO web_sessions (token_hash, user_id, username, avatar, guild_ids, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+    `).run(tokenHash, user.id, user.global_name || user.username, user.avatar ?? null, guildIds.join(','), `+${days} days`);
+  }
+
+  function deleteWebSession(tokenHash) {
+    db.prepare(`DELETE FROM web_sessions WHERE token_hash=?`).run(tokenHash);
+  }
+
+  /* ---- salud (/health) ---- */
+
+  // Escribible = se puede coger el candado de escritura (BEGIN IMMEDIATE) y soltarlo sin tocar nada
+  function checkWritable(busyMs) {
+    if (db.readonly) return { ok: false, error: 'solo lectura' };
+    const busy = db.pragma('busy_timeout', { simple: true });
+    try {
+      db.pragma(`busy_timeout = ${busyMs}`);
+      db.exec('BEGIN IMMEDIATE');
+      db.exec('ROLLBACK');
+      return { ok: true };
+    } catch (e) {
+      if (db.inTransaction) try { db.exec('ROLLBACK'); } catch {}
+      return { ok: false, error: e?.code || e?.message || String(e) };
+    } finally {
+      db.pragma(`busy_timeout = ${busy}`);
+    }
+  }
+
+  return {
+    transaction: (fn) => db.transaction(fn)(),
+    insertMovie,
+    insertMovieIfMissing,
+    getMovie,
+    movieIdByTmdb,
+    findMovies,
+    findMovieByStatus,
+    setWatched,
+    setPending,
+    countPending,
+    pendingTmdbIds,
+    pendingCandidates,
+    markSuggested,
+    scheduleMovie,
+    getScheduledMovie,
+    listStats,
+    movieByTmdb,
+    listTmdbIds,
+    listMovies,
+    suggestTitles,
+    topAdders,
+    topWatchers,
+    tmdbIdsMissingDetails,
+    insertViewing,
+    countViewings,
+    groupTaste,
+    getViewing,
+    listViewings,
+    upsertRating,
+    groupRating,
+    topRated,
+    lastReviews,
+    getPref,
+    setPref,
+    prefCounts,
+    likedTmdbIds,
+    lastWatched,
+    pendingGenreIds,
+    insertDiscovery,
+    getDiscovery,
+    deleteDiscoveries,
+    insertPollHistory,
+    hasPollHistory,
+    setPollHistoryResult,
+    setPollHistoryWinner,
+    recentPollTmdbIds,
+    getPollHistory,
+    listPollHistory,
+    countDecidedPolls,
+    insertPoll,
+    getPoll,
+    pollByHistory,
+    openPolls,
+    countOpenPolls,
+    markPollClosed,
+    setPollMessage,
+    setPollHistoryId,
+    setTieOptions,
+    takeTieOptions,
+    replaceBallot,
+    toggleBallot,
+    rankBallot,
+    ballots,
+    moveNightPoll,
+    setNightMovieFromPoll,
+    getNight,
+    insertNight,
+    scheduledNightIds,
+    guildNightIds,
+    upsertRsvp,
+    setNightStatus,
+    finishStaleNights,
+    setNightRef,
+    setRemindersSent,
+    getMovieMeta,
+    saveMovieDetails,
+    saveMovieSummary,
+    getWatchProviders,
+    saveWatchProviders,
+    exportMovies,
+    exportViewings,
+    insertImportedMovie,
+    setWatchedAt,
+    hasPollHistoryAt,
+    insertPollHistoryAt,
+    hasViewingAt,
+    insertImportedViewing,
+    guildCounts,
+    tableColumns,
+    settingsRows,
+    putSetting,
+    deleteSettings,
+    insertApiKey,
+    revokeApiKey,
+    listApiKeys,
+    apiKeyByHash,
+    touchApiKey,
+    logApiRequest,
+    pruneApiRequests,
+    getWebSession,
+    insertWebSession,
+    deleteWebSession,
+    checkWritable,
+  };
+}
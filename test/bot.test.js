@@ -0,0 +1,383 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { G, setupBot, movie, rowOf } from './helpers.js';
+import { slash, button, autocomplete, attachment, dispatch, text, customIds } from './fake-discord.js';
+import { createBot } from '../bot.js';
+
+// Fichas del TMDB de mentira
+const ALIEN = { title: 'Alien', release_date: '1979-05-25', vote_count: 4000, popularity: 50, runtime: 117, genres: [{ id: 27, name: 'Terror' }] };
+const ALIENS = { title: 'Aliens', release_date: '1986-07-18', vote_count: 4500, popularity: 60, runtime: 137 };
+const ALIEN_2005 = { title: 'Alien', release_date: '2005-01-01', vote_count: 5, popularity: 1 };
+const HEAT = { title: 'Heat', release_date: '1995-12-15', vote_count: 3000, popularity: 40, runtime: 170 };
+const TMDB = { movies: { 348: ALIEN, 679: ALIENS, 9999: ALIEN_2005, 949: HEAT }, imdb: { tt0078748: 348 } };
+
+const U2 = '222222222222222222';
+const U3 = '333333333333333333';
+
+test('createBot: sin red hasta start(); start registra comandos, escucha y conecta', async (t) => {
+  const { bot, client, rest, stub, logs, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+
+  assert.equal(rest.puts.length, 0);
+  assert.equal(stub.requests.length, 0);
+  assert.equal(client.token, null);
+  assert.ok(bot.registry.has('votar'));
+
+  const server = await bot.start({ port: 0, host: '127.0.0.1' });
+  assert.equal(rest.puts.length, 1);
+  assert.equal(rest.puts[0].route, `/applications/app/guilds/${G}/commands`);
+  assert.deepEqual(rest.puts[0].body.map(c => c.name), bot.commands.map(c => c.name));
+  assert.equal(client.token, 'token');
+  assert.ok(logs.some(l => l.msg === 'Conectado a Discord' && l.user === 'Don Pistacho#0000'), 'clientReady corrió');
+
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/`);
+  assert.equal(res.status, 200);
+});
+
+test('createBot: sin las variables obligatorias no arranca', () => {
+  assert.throws(() => createBot({ env: { DISCORD_TOKEN: 'x' } }), /Faltan variables en \.env/);
+});
+
+test('tmdbSearchMovie: año, título exacto y popularidad', async (t) => {
+  const { bot, stub, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+
+  // exacta y con votos gana a "Aliens" (más votos, no exacta) y a la Alien de 2005 (exacta, sin votos)
+  assert.equal((await bot.searchMovie('alien')).id, 348);
+  assert.equal((await bot.searchMovie('ALIEN!')).id, 348, 'mayúsculas y signos no cuentan');
+  // el año manda sobre todo lo demás
+  assert.equal((await bot.searchMovie('Alien (2005)')).id, 9999);
+  assert.equal((await bot.searchMovie('alien 1986')).id, 679);
+  assert.equal(await bot.searchMovie('nada de nada'), null);
+
+  // el año solo puntúa: a TMDB va el título limpio (y lo repetido sale de la caché)
+  const queries = stub.requests.filter(r => r.path === '/search/movie').map(r => r.query.query);
+  assert.deepEqual(queries, ['alien', 'ALIEN!', 'Alien', 'nada de nada']);
+});
+
+test('/import: CSV de Letterboxd (prueba y de verdad) y CSV propio', async (t) => {
+  const files = {
+    'watchlist.csv': [
+      'Date,Name,Year,Letterboxd URI',
+      '2024-01-02,Alien,1979,https://boxd.it/a',
+      '2024-01-03,Heat,1995,https://boxd.it/b',
+      '2024-01-04,Película Inventada,2001,https://boxd.it/c',
+    ].join('\n'),
+    'pistacho.csv': 'tmdb_id,title,year,status\n679,Aliens,1986,watched\n',
+  };
+  const { bot, client, stub, close } = await setupBot({ tmdb: { ...TMDB, files } });
+  t.after(close);
+  const archivo = (name) => ({ archivo: attachment({ name, url: stub.fileUrl(name) }) });
+
+  let r = await dispatch(client, slash('import', { client, options: { prueba: true }, attachments: archivo('watchlist.csv') }));
+  assert.match(text(r), /🧪 \*\*Prueba\*\*.*Letterboxd watchlist/);
+  assert.match(text(r), /🎬 Pelis: 2 nuevas/);
+  assert.match(text(r), /Película Inventada \(2001\): no está en TMDB/);
+  assert.equal(rowOf(bot.db, 348), undefined, 'la prueba no toca nada');
+
+  r = await dispatch(client, slash('import', { client, attachments: archivo('watchlist.csv') }));
+  assert.match(text(r), /✅ \*\*Import terminado\*\*/);
+  assert.equal(rowOf(bot.db, 348).status, 'pending');
+  assert.equal(rowOf(bot.db, 348).added_by, 'u1');
+  assert.equal(rowOf(bot.db, 949).title, 'Heat');
+
+  r = await dispatch(client, slash('import', { client, attachments: archivo('pistacho.csv') }));
+  assert.match(text(r), /Don Pistacho \(CSV\)/);
+  assert.equal(rowOf(bot.db, 679).status, 'watched');
+});
+
+test('votación: /votar, botones, cierre y mensaje final', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+  for (const [id, m] of [[348, ALIEN], [679, ALIENS], [949, HEAT]]) {
+    bot.movieService.add(G, movie(id, m.title, m.release_date.slice(0, 4)), 'u1');
+  }
+
+  const [poll] = await dispatch(client, slash('votar', { client, options: { opciones: 3 } }));
+  const ids = customIds(poll);
+  assert.equal(ids.length, 3);
+  const pollId = ids[0].split(':')[1];
+  const options = bot.pollService.get(pollId).movies;
+
+  for (const [user, opt] of [['u1', 2], [U2, 2], [U3, 1]]) {
+    const [update] = await dispatch(client, button(ids[opt - 1], { client, user }));
+    assert.ok(update.embeds, 'el botón repinta el recuento');
+  }
+  assert.deepEqual(bot.pollService.tally(bot.pollService.get(pollId)).counts, { 1: 1, 2: 2, 3: 0 });
+
+  const result = await bot.pollService.close(pollId);
+  assert.equal(result.winner.tmdb_id, options[1].tmdb_id);
+
+  const msg = client.channel('c1').sent[0];
+  assert.match(text(msg.edits.at(-1)), /Votación cerrada/);
+  assert.match(text(msg.edits.at(-1)), new RegExp(options[1].title));
+  assert.equal(bot.movieService.scheduled(G).tmdb_id, options[1].tmdb_id);
+
+  const late = await dispatch(client, button(ids[0], { client, user: 'u9' }));
+  assert.match(text(late), /ya terminó/);
+});
+
+test('votación: el desempate de una votación de /noche cierra la noche y el mismo historial', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+  bot.movieService.add(G, movie(348, 'Alien', '1979'), 'u1');
+  bot.movieService.add(G, movie(949, 'Heat', '1995'), 'u1');
+  const closed = [];
+  bot.events.on('event', (e) => { if (e.type === 'poll.closed') closed.push(e); });
+
+  const [first] = await dispatch(client, slash('votar', { client, options: { opciones: 2, desempate: 'runoff' } }));
+  const ids = customIds(first);
+  const pollId = ids[0].split(':')[1];
+  const nightId = bot.db.prepare(`INSERT INTO nights (guild_id, channel_id, starts_at, poll_id) VALUES (?, 'c1', ?, ?)`)
+    .run(G, new Date(Date.now() + 3600_000).toISOString(), pollId).lastInsertRowid;
+
+  await dispatch(client, button(ids[0], { client, user: 'u1' }));
+  await dispatch(client, button(ids[1], { client, user: U2 }));
+  const tie = await bot.pollService.close(pollId);
+  assert.equal(tie.tie, 'runoff');
+
+  const runoffMsg = client.channel('c1').sent[1].payload;
+  assert.match(text(runoffMsg), /Desempate/);
+  const runoffIds = customIds(runoffMsg);
+  const runoff = bot.pollService.get(runoffIds[0].split(':')[1]);
+  assert.equal(runoff.runoff_of, pollId);
+  assert.equal(runoff.history_id, tie.poll.history_id);
+  assert.equal(bot.db.prepare(`SELECT poll_id FROM nights WHERE id=?`).get(nightId).poll_id, runoff.id);
+
+  await dispatch(client, button(runoffIds[1], { client, user: U3 }));
+  const result = await bot.pollService.close(runoff.id);
+  assert.equal(result.winner.tmdb_id, runoff.movies[1].tmdb_id);
+
+  assert.equal(bot.db.prepare(`SELECT tmdb_id FROM nights WHERE id=?`).get(nightId).tmdb_id, result.winner.tmdb_id);
+  assert.equal(bot.db.prepare(`SELECT COUNT(*) AS c FROM poll_history WHERE guild_id=?`).get(G).c, 1, 'las empatadas no cuentan dos veces');
+  const items = bot.db.prepare(`SELECT tmdb_id, votes, winner FROM poll_history_items WHERE poll_id=?`).all(tie.poll.history_id);
+  assert.deepEqual(items.map(i => i.votes), [1, 1], 'se quedan los votos de la votación original');
+  assert.deepEqual(items.filter(i => i.winner).map(i => i.tmdb_id), [result.winner.tmdb_id]);
+  assert.deepEqual(closed.map(e => e.data.poll_id), [runoff.id]);
+});
+
+test('votación: /votar con títulos e IMDb resueltos en TMDB', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+
+  const [poll] = await dispatch(client, slash('votar', { client, options: { titulos: 'https://www.imdb.com/title/tt0078748/; heat; no existe' } }));
+  const pollId = customIds(poll)[0].split(':')[1];
+  assert.deepEqual(bot.pollService.get(pollId).movies.map(m => m.tmdb_id), [348, 949]);
+
+  const r = await dispatch(client, slash('votar', { client, channelId: 'c2', options: { titulos: 'no existe, tampoco' } }));
+  assert.match(text(r), /No pude encontrar al menos 2 pelis/);
+});
+
+test('autocompletado: /visto solo pendientes (y luego vistas), /remove todas', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+  for (const [id, m] of [[348, ALIEN], [679, ALIENS], [949, HEAT]]) {
+    bot.movieService.add(G, movie(id, m.title, m.release_date.slice(0, 4)), 'u1');
+  }
+  bot.movieService.watch(G, 'tmdb:679', 'u1');
+
+  const suggest = async (command, value) =>
+    (await dispatch(client, autocomplete(command, { name: 'titulo', value }, { client })))[0].choices;
+
+  const visto = await suggest('visto', 'ali');
+  assert.deepEqual(visto.map(c => c.value), ['tmdb:348', 'tmdb:679']);
+  assert.match(visto[1].name, /^🔁 Aliens/);
+
+  const remove = await suggest('remove', 'ali');
+  assert.deepEqual(remove.map(c => c.value).sort(), ['tmdb:348', 'tmdb:679']);
+  assert.ok(remove.every(c => / — (pending|watched)$/.test(c.name)));
+  assert.deepEqual((await suggest('visto', 'heat')).map(c => c.value), ['tmdb:949']);
+});
+
+test('/quevemos: sin vetos ni ya vistas de quien va', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+  bot.movieService.add(G, movie(348, 'Alien', '1979'), 'u1');
+  bot.movieService.add(G, movie(949, 'Heat', '1995'), 'u1');
+  bot.db.prepare(`INSERT INTO movie_prefs (guild_id, tmdb_id, user_id, pref) VALUES (?, 348, ?, 'veto')`).run(G, U2);
+
+  const r = await dispatch(client, slash('quevemos', { client, options: { con: `<@${U2}> <@${U3}>` } }));
+  assert.match(text(r), /Hoy vemos/);
+  assert.match(text(r), /Heat \(1995\)/);
+  assert.match(text(r), /⏱️ 2h 50m/, 'duración sacada de TMDB');
+  assert.equal(rowOf(bot.db, 949).suggested_count, 1);
+});
+
+test('/health: 200 con todo bien, degraded sin TMDB y 503 sin Discord', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+  const server = await bot.start({ port: 0, host: '127.0.0.1' });
+  const health = () => fetch(`http://127.0.0.1:${server.address().port}/health`).then(async r => [r.status, await r.json()]);
+
+  let [status, body] = await health();
+  assert.equal(status, 200);
+  assert.equal(body.status, 'online');
+  assert.deepEqual(Object.keys(body.checks), ['discord', 'db', 'tmdb']);
+  assert.equal(body.checks.discord.status, 'Ready');
+  assert.equal(body.checks.db.ok, true);
+  assert.equal(body.checks.tmdb.ok, true);
+
+  client.ws.status = 5; // Disconnected
+  [status, body] = await health();
+  assert.equal(status, 503);
+  assert.equal(body.status, 'down');
+  assert.equal(body.checks.discord.status, 'Disconnected');
+
+  const down = await setupBot({ env: { TMDB_BASE_URL: 'http://127.0.0.1:9' } });
+  t.after(down.close);
+  const downServer = await down.bot.start({ port: 0, host: '127.0.0.1' });
+  const r = await fetch(`http://127.0.0.1:${downServer.address().port}/health`);
+  const degraded = await r.json();
+  assert.equal(r.status, 200, 'sin TMDB el bot sigue');
+  assert.equal(degraded.status, 'degraded');
+  assert.equal(degraded.checks.tmdb.ok, false);
+});
+
+test('/metrics: comandos, votos, votaciones abiertas y TMDB', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB, env: { METRICS_TOKEN: 'secreto' } });
+  t.after(close);
+  const server = await bot.start({ port: 0, host: '127.0.0.1' });
+  for (const [id, m] of [[348, ALIEN], [949, HEAT]]) bot.movieService.add(G, movie(id, m.title, m.release_date.slice(0, 4)), 'u1');
+
+  const [poll] = await dispatch(client, slash('votar', { client }));
+  const ids = customIds(poll);
+  await dispatch(client, button(ids[0], { client, user: 'u1' }));
+  await dispatch(client, button(ids[1], { client, user: U2 }));
+
+  const url = `http://127.0.0.1:${server.address().port}/metrics`;
+  assert.equal((await fetch(url)).status, 401);
+  const res = await fetch(url, { headers: { authorization: 'Bearer secreto' } });
+  assert.equal(res.status, 200);
+  const lines = (await res.text()).split('\n');
+
+  assert.ok(lines.includes('pistacho_commands_total{command="votar",outcome="ok"} 1'));
+  assert.ok(lines.includes('pistacho_commands_total{command="button:vote",outcome="ok"} 2'));
+  assert.ok(lines.includes('pistacho_votes_total 2'));
+  assert.ok(lines.includes('pistacho_open_polls 1'));
+  assert.ok(lines.includes('pistacho_discord_gateway_up 1'));
+  assert.ok(lines.some(l => /^pistacho_tmdb_requests_total\{endpoint="\/movie\/:id",outcome="ok"\} \d+$/.test(l)));
+  assert.ok(lines.some(l => l.startsWith('pistacho_tmdb_request_duration_seconds_count{endpoint="/movie/:id"}')));
+  assert.ok(lines.some(l => l.startsWith('pistacho_command_duration_seconds_bucket{command="votar",le="0.05"}')));
+  assert.ok(lines.includes('pistacho_discord_gateway_ping_ms 42'));
+
+  // Hasta el primer heartbeat discord.js da -1: sin muestra, no una latencia negativa
+  client.ws.ping = -1;
+  const early = await (await fetch(url, { headers: { authorization: 'Bearer secreto' } })).text();
+  assert.ok(!early.split('\n').some(l => l.startsWith('pistacho_discord_gateway_ping_ms ')));
+});
+
+test('/reset: la confirmación caduca con un timer que stop() cancela', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB });
+  bot.movieService.add(G, movie(348, 'Alien', '1979'), 'u1');
+  const timeouts = () => process.getActiveResourcesInfo().filter(r => r === 'Timeout').length;
+  const before = timeouts();
+
+  const [ask] = await dispatch(client, slash('reset', { client }));
+  assert.match(text(ask), /¿Seguro\?/);
+  assert.equal(timeouts(), before + 1);
+  await close();
+  assert.equal(timeouts(), before, 'nada que mantenga vivo el proceso');
+
+  const [late] = await dispatch(client, button(customIds(ask)[0], { client }));
+  assert.match(text(late), /caducó/);
+});
+
+test('/backup y /restore: cada servidor ve y rota sus copias; restaurar la más vieja no la borra', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pistacho-backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { bot, client, close } = await setupBot({ tmdb: TMDB, env: { BACKUP_DIR: dir, BACKUP_KEEP: '1' } });
+  t.after(close);
+  const other = `movies-2026-01-01T00-00-00-000-manual-${U2}.db`;
+  const auto = 'movies-2026-01-01T00-00-00-000-auto.db';
+  await bot.db.backup(path.join(dir, other));
+  await bot.db.backup(path.join(dir, auto));
+  const files = () => fs.readdirSync(dir).sort();
+
+  bot.movieService.add(G, movie(348, 'Alien', '1979'), 'u1');
+  await dispatch(client, slash('backup', { client, sub: 'ahora' }));
+  const [mine] = files().filter(f => f.endsWith(`-manual-${G}.db`));
+  assert.ok(mine);
+  assert.ok(files().includes(other) && files().includes(auto), 'ni las de otro servidor ni las automáticas');
+
+  const list = text(await dispatch(client, slash('backup', { client, sub: 'listar' })));
+  assert.ok(list.includes(mine) && list.includes(auto));
+  assert.ok(!list.includes(other));
+  assert.match(text(await dispatch(client, slash('restore', { client, options: { copia: other } }))), /No encuentro/);
+
+  // Con BACKUP_KEEP=1 la copia previa rota las 'prerestore'... pero no la que se restaura
+  const restore = async (name) => {
+    const [ask] = await dispatch(client, slash('restore', { client, options: { copia: name } }));
+    return text(await dispatch(client, button(customIds(ask)[0], { client })));
+  };
+  bot.movieService.add(G, movie(679, 'Aliens', '1986'), 'u1');
+  assert.match(await restore(mine), /Restaurada .* 1 pelis/);
+  const [before] = files().filter(f => f.includes('-prerestore-'));
+  assert.match(await restore(before), /Restaurada .* 2 pelis/);
+  assert.ok(files().includes(before));
+  assert.ok(files().includes(mine));
+  assert.equal(files().filter(f => f.includes('-prerestore-')).length, 2);
+});
+
+test('API: con GPT_API_KEY hace falta decir el servidor', async (t) => {
+  const { bot, close } = await setupBot({ tmdb: TMDB, env: { GPT_API_KEY: 'clave' } });
+  t.after(close);
+  const server = await bot.start({ port: 0, host: '127.0.0.1' });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const headers = { 'x-api-key': 'clave' };
+
+  const api = await fetch(`${base}/api/v1/movies`, { headers });
+  assert.equal(api.status, 400);
+  assert.match((await api.json()).error.message, /x-guild-id/);
+  const gpt = await fetch(`${base}/gpt/config`, { headers });
+  assert.equal(gpt.status, 400);
+  assert.equal((await gpt.json()).ok, false);
+
+  assert.equal((await fetch(`${base}/api/v1/movies`, { headers: { ...headers, 'x-guild-id': G } })).status, 200);
+});
+
+test('/gpt/votar: duration_ms que no es número -> 400 sin tocar el historial', async (t) => {
+  const { bot, client, close } = await setupBot({ tmdb: TMDB, env: { GPT_API_KEY: 'clave', GPT_CHANNEL_ID: 'c1' } });
+  t.after(close);
+  client.channel('c1').guildId = G;
+  const server = await bot.start({ port: 0, host: '127.0.0.1' });
+  const votar = (body) => fetch(`http://127.0.0.1:${server.address().port}/gpt/votar`, {
+    method: 'POST',
+    headers: { 'x-api-key': 'clave', 'x-guild-id': G, 'content-type': 'application/json' },
+    body: JSON.stringify({ titulos: ['tmdb:348', 'tmdb:949'], ...body }),
+  });
+
+  const r = await votar({ duration_ms: 'abc' });
+  assert.equal(r.status, 400);
+  assert.deepEqual(await r.json(), { ok: false, error: 'Invalid "duration_ms"' });
+  assert.equal(bot.db.prepare(`SELECT COUNT(*) AS c FROM poll_history`).get().c, 0);
+
+  const ok = await votar({ duration_ms: 1e15 });
+  assert.equal((await ok.json()).ok, true);
+  const poll = bot.db.prepare(`SELECT closes_at FROM polls`).get();
+  assert.ok(Date.parse(poll.closes_at) - Date.now() <= 7 * 24 * 3600_000, 'como mucho 7 días');
+});
+
+test('errores: la respuesta lleva una ref que está en los logs', async (t) => {
+  const { bot, client, logs, close } = await setupBot({ tmdb: TMDB });
+  t.after(close);
+  const server = await bot.start({ port: 0, host: '127.0.0.1' });
+
+  // el adjunto no existe: la descarga falla dentro del comando
+  const r = await dispatch(client, slash('import', { client, attachments: { archivo: attachment({ name: 'x.csv', url: `${bot.tmdb.baseUrl}/files/x.csv` }) } }));
+  const ref = text(r).match(/ref `([0-9a-f]{8})`/)?.[1];
+  assert.ok(ref, text(r));
+  const line = logs.find(l => l.request_id === ref && l.level === 'error');
+  assert.equal(line.msg, 'La interacción falló');
+  assert.equal(line.command, 'import');
+  assert.equal(line.err.status, 404);
+  assert.ok(logs.some(l => l.request_id === ref && l.msg === 'Interacción atendida' && l.outcome === 'error'));
+
+  // HTTP: x-request-id de ida y vuelta, y en el cuerpo de los errores
+  const api = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/movies`, { headers: { 'x-request-id': 'req-42' } });
+  assert.equal(api.headers.get('x-request-id'), 'req-42');
+  assert.equal((await api.json()).error.request_id, 'req-42');
+  assert.ok(logs.some(l => l.request_id === 'req-42' && l.msg === 'Petición HTTP' && l.route === '/api/v1/movies' && l.status === 401));
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandRegistry } from '../commands.js';
+
+// Lo justo de una interacción de discord.js para enrutar
+function interaction({ kind = 'command', name, sub = null, customId, admin = true } = {}) {
+  return {
+    guildId: 'g1',
+    commandName: name,
+    customId,
+    admin,
+    options: { getSubcommand: () => sub },
+    isChatInputCommand: () => kind === 'command',
+    isButton: () => kind === 'button',
+    isStringSelectMenu: () => kind === 'select',
+    isModalSubmit: () => kind === 'modal',
+  };
+}
+
+function registry() {
+  const denied = [];
+  const reg = createCommandRegistry({
+    isAdmin: (i) => i.admin,
+    deny: async (i, content) => denied.push(content),
+  });
+  return { reg, denied };
+}
+
+test('comandos: llegan con el guildId y los de admin se cortan antes', async () => {
+  const { reg, denied } = registry();
+  const ran = [];
+  reg.command('ping', async (i, guildId) => ran.push(['ping', guildId]));
+  reg.command('add', async () => ran.push(['add']), { admin: true });
+
+  assert.equal(await reg.dispatch(interaction({ name: 'ping', admin: false })), true);
+  assert.equal(await reg.dispatch(interaction({ name: 'add', admin: false })), true);
+  assert.equal(await reg.dispatch(interaction({ name: 'add' })), true);
+  assert.equal(await reg.dispatch(interaction({ name: 'nada' })), false);
+
+  assert.deepEqual(ran, [['ping', 'g1'], ['add']]);
+  assert.deepEqual(denied, ['🔒 No tienes permiso para /add']);
+  assert.deepEqual(reg.names(), ['ping', 'add']);
+});
+
+test('comandos: admin solo para algunos subcomandos', async () => {
+  const { reg, denied } = registry();
+  const ran = [];
+  reg.command('noche', async (i) => ran.push(i.options.getSubcommand()), { admin: ['crear', 'cancelar'] });
+
+  await reg.dispatch(interaction({ name: 'noche', sub: 'ver', admin: false }));
+  await reg.dispatch(interaction({ name: 'noche', sub: 'crear', admin: false }));
+  await reg.dispatch(interaction({ name: 'noche', sub: 'crear' }));
+
+  assert.deepEqual(ran, ['ver', 'crear']);
+  assert.equal(denied.length, 1);
+});
+
+test('componentes: se enrutan por tipo y prefijo del customId', async () => {
+  const { reg } = registry();
+  const ran = [];
+  reg.component('button', 'vote', async (i) => ran.push(`vote ${i.customId}`));
+  reg.component('select', 'rank', async (i) => ran.push(`rank ${i.customId}`));
+  reg.component('select', 'listpref', async () => ran.push('listpref'));
+
+  assert.equal(await reg.dispatch(interaction({ kind: 'button', customId: 'vote:c1-1:2' })), true);
+  assert.equal(await reg.dispatch(interaction({ kind: 'select', customId: 'rank:c1-1:1' })), true);
+  assert.equal(await reg.dispatch(interaction({ kind: 'select', customId: 'listpref' })), true);
+  assert.equal(await reg.dispatch(interaction({ kind: 'select', customId: 'vote:c1-1:2' })), false, 'mismo prefijo, otro tipo');
+  assert.equal(await reg.dispatch(interaction({ kind: 'modal', customId: 'reviewmodal:1' })), false);
+
+  assert.deepEqual(ran, ['vote vote:c1-1:2', 'rank rank:c1-1:1', 'listpref']);
+});
+
+test('registro: nada repetido ni tipos inventados', () => {
+  const { reg } = registry();
+  reg.command('ping', async () => {});
+  reg.component('button', 'vote', async () => {});
+
+  assert.throws(() => reg.command('ping', async () => {}), /Comando repetido/);
+  assert.throws(() => reg.component('button', 'vote', async () => {}), /Componente repetido/);
+  assert.throws(() => reg.component('menu', 'x', async () => {}), /Tipo de componente desconocido/);
+  assert.equal(reg.has('ping'), true);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { openDatabase } from '../db.js';
+
+const quiet = { info() {}, warn() {}, error() {} };
+
+// Una DB como la de antes del multi-servidor (tmdb_id único para todos)
+function legacyFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pistacho-db-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'movies.db');
+  const old = new Database(file);
+  old.exec(`
+    CREATE TABLE movies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tmdb_id INTEGER UNIQUE,
+      title TEXT NOT NULL,
+      year TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      added_at TEXT NOT NULL DEFAULT (datetime('now')),
+      added_by TEXT,
+      watched_at TEXT,
+      watched_by TEXT,
+      last_suggested_at TEXT,
+      suggested_count INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE poll_history (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at TEXT NOT NULL DEFAULT (datetime('now')));
+    INSERT INTO movies (tmdb_id, title, year) VALUES (348, 'Alien', '1979');
+    INSERT INTO poll_history DEFAULT VALUES;
+  `);
+  old.close();
+  return file;
+}
+
+test('openDatabase: una lista antigua sin LEGACY_GUILD_ID no arranca (ni cae en otro servidor)', (t) => {
+  const file = legacyFile(t);
+  assert.throws(() => openDatabase(file, { log: quiet }), /LEGACY_GUILD_ID/);
+
+  const db = openDatabase(file, { legacyGuildId: 'g-legacy', log: quiet });
+  t.after(() => db.close());
+  assert.deepEqual(db.prepare(`SELECT guild_id, tmdb_id FROM movies`).all(), [{ guild_id: 'g-legacy', tmdb_id: 348 }]);
+  assert.equal(db.prepare(`SELECT guild_id FROM poll_history`).get().guild_id, 'g-legacy');
+});
@@ -0,0 +1,200 @@
+// Discord de mentira para createBot(): cliente, REST e interacciones (slash, botones, menús, modales, adjuntos)
+import { EventEmitter } from 'node:events';
+
+// Lo que devuelven send/editReply: guarda lo publicado y cada edit()
+function fakeMessage(channel, id, payload) {
+  const msg = {
+    id,
+    channelId: channel.id,
+    payload,
+    edits: [],
+    async edit(p) {
+      msg.edits.push(p);
+      msg.payload = { ...msg.payload, ...p };
+      return msg;
+    },
+  };
+  return msg;
+}
+
+export function fakeChannel(id) {
+  let seq = 0;
+  const messages = new Map();
+  const channel = {
+    id,
+    sent: [],
+    messages: {
+      cache: messages,
+      async fetch(messageId) {
+        const msg = messages.get(messageId);
+        if (!msg) throw new Error(`Unknown Message ${messageId}`);
+        return msg;
+      },
+    },
+    async send(payload) {
+      const msg = fakeMessage(channel, `${id}-m${++seq}`, typeof payload === 'string' ? { content: payload } : payload);
+      messages.set(msg.id, msg);
+      channel.sent.push(msg);
+      return msg;
+    },
+  };
+  return channel;
+}
+
+// Los canales se crean al pedirlos; login() emite clientReady como el de verdad
+export function fakeClient({ userId = 'bot' } = {}) {
+  const client = new EventEmitter();
+  const channels = new Map();
+  const guilds = new Map();
+
+  client.token = null;
+  client.user = { id: userId, tag: 'Don Pistacho#0000', bot: true };
+  client.ws = { status: 3, ping: -1 };
+  client.channel = (id) => {
+    if (!channels.has(id)) channels.set(id, fakeChannel(id));
+    return channels.get(id);
+  };
+  client.channels = { cache: channels, fetch: async (id) => client.channel(id) };
+  client.guilds = {
+    cache: guilds,
+    async fetch(id) {
+      const guild = guilds.get(id);
+      if (!guild) throw new Error(`Unknown Guild ${id}`);
+      return guild;
+    },
+  };
+  client.login = async (token) => {
+    client.token = token;
+    client.ws = { status: 0, ping: 42 };
+    client.emit('clientReady', client);
+    return token;
+  };
+  client.isReady = () => client.ws.status === 0;
+  client.destroy = async () => {
+    client.ws = { status: 5, ping: -1 };
+  };
+  return client;
+}
+
+export function fakeRest() {
+  const puts = [];
+  return {
+    puts,
+    async put(route, { body }) {
+      puts.push({ route, body });
+      return body;
+    },
+  };
+}
+
+// Como un Attachment de discord.js: el bot lo descarga de url
+export function attachment({ name, url }) {
+  return { name, url, contentType: name.endsWith('.json') ? 'application/json' : 'text/csv' };
+}
+
+// Base común: guarda todas las respuestas en replies (reply, followUp, editReply, update)
+function interaction(kind, {
+  guildId = '111111111111111111',
+  channelId = 'c1',
+  user = 'u1',
+  member = null,
+  client = null,
+  name = null,
+  sub = null,
+  options = {},
+  attachments = {},
+  customId = null,
+  values = [],
+  fields = {},
+  focused = { name: '', value: '' },
+} = {}) {
+  const replies = [];
+  let own = null; // el mensaje de la respuesta (editReply lo edita)
+  const i = {
+    id: `i-${Math.random().toString(36).slice(2, 10)}`,
+    guildId,
+    channelId,
+    commandName: name,
+    customId,
+    values,
+    user: { id: user, username: user, bot: false },
+    member,
+    client,
+    deferred: false,
+    replied: false,
+    replies,
+    message: null,
+    isAutocomplete: () => kind === 'autocomplete',
+    isChatInputCommand: () => kind === 'command',
+    isButton: () => kind === 'button',
+    isStringSelectMenu: () => kind === 'select',
+    isModalSubmit: () => kind === 'modal',
+    isFromMessage: () => kind === 'modal' && Boolean(i.message),
+    options: {
+      getString: (k, required = false) => option(k, required),
+      getInteger: (k, required = false) => option(k, required),
+      getBoolean: (k, required = false) => option(k, required),
+      getUser: (k, required = false) => option(k, required),
+      getAttachment: (k, required = false) => attachments[k] ?? option(k, required),
+      getSubcommand: () => sub,
+      getFocused: (full = false) => (full ? focused : focused.value),
+    },
+    fields: { getTextInputValue: (k) => fields[k] ?? '' },
+    async reply(p) { i.replied = true; replies.push(p); return (own = await channelMessage(p)); },
+    async followUp(p) { replies.push(p); return channelMessage(p); },
+    async deferReply() { i.deferred = true; },
+    async deferUpdate() { i.deferred = true; },
+    async editReply(p) {
+      replies.push(p);
+      if (own) return own.edit(p);
+      return (own = await channelMessage(p));
+    },
+    async update(p) { i.replied = true; replies.push(p); },
+    async showModal(modal) { replies.push({ modal }); },
+    async respond(choices) { replies.push({ choices }); },
+  };
+
+  function option(k, required) {
+    const v = options[k] ?? null;
+    if (v === null && required) throw new Error(`Falta la opción obligatoria "${k}"`);
+    return v;
+  }
+
+  // La respuesta de un comando es un mensaje del canal (las votaciones lo buscan y lo editan al cerrar)
+  async function channelMessage(p) {
+    return (client ? client.channel(channelId) : fakeChannel(channelId)).send(p);
+  }
+
+  return i;
+}
+
+export const slash = (name, opts = {}) => interaction('command', { ...opts, name });
+export const button = (customId, opts = {}) => interaction('button', { ...opts, customId });
+export const select = (customId, values, opts = {}) => interaction('select', { ...opts, customId, values });
+export const modal = (customId, fields, opts = {}) => interaction('modal', { ...opts, customId, fields });
+export const autocomplete = (name, focused, opts = {}) => interaction('autocomplete', { ...opts, name, focused });
+
+// Miembro con roles (para isAdmin cuando el servidor tiene admin_role_ids)
+export const member = (...roleIds) => ({ roles: { cache: { some: (f) => roleIds.some(id => f({ id })) } } });
+
+// Como el gateway: pasa la interacción por todos los listeners y espera a que acaben
+export async function dispatch(client, i) {
+  await Promise.all(client.listeners('interactionCreate').map(fn => fn(i)));
+  return i.replies;
+}
+
+// Texto de una respuesta (contenido + embeds) para buscar con regex
+export function text(payloads) {
+  return [].concat(payloads).map(p => {
+    if (typeof p === 'string') return p;
+    const embeds = (p?.embeds ?? []).map(e => JSON.stringify(e.toJSON ? e.toJSON() : e));
+    return [p?.content ?? '', ...embeds].join('\n');
+  }).join('\n');
+}
+
+// customIds de los botones / menús de una respuesta
+export function customIds(payload) {
+  return (payload?.components ?? [])
+    .flatMap(row => (row.toJSON ? row.toJSON() : row).components)
+    .map(c => c.custom_id);
+}
@@ -0,0 +1,66 @@
+// TMDB de mentira (HTTP de verdad en 127.0.0.1): el bot lo usa con TMDB_BASE_URL
+// movies: { [id]: ficha } · imdb: { tt…: id } · providers: { [id]: { ES: { flatrate: [...] } } }
+// files: { nombre: texto } -> GET /files/nombre (los adjuntos de Discord también se descargan de aquí)
+import http from 'node:http';
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const words = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9áéíóúñü ]/g, '').trim();
+
+const notFound = (res) => json(res, 404, { success: false, status_code: 34, status_message: 'The resource you requested could not be found.' });
+
+export async function startFakeTmdb({ movies = {}, imdb = {}, providers = {}, files = {}, bearer = 't' } = {}) {
+  const requests = [];
+  const list = () => Object.entries(movies).map(([id, m]) => ({ id: Number(id), ...m }));
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://tmdb');
+    const path = url.pathname;
+    requests.push({ path, query: Object.fromEntries(url.searchParams) });
+
+    if (path.startsWith('/files/')) {
+      const body = files[decodeURIComponent(path.slice('/files/'.length))];
+      if (body == null) return notFound(res);
+      res.writeHead(200, { 'content-type': 'text/plain; charset=utf-8' });
+      return res.end(body);
+    }
+
+    if (req.headers.authorization !== `Bearer ${bearer}`) {
+      return json(res, 401, { success: false, status_code: 7, status_message: 'Invalid API key' });
+    }
+
+    let m;
+    if (path === '/search/movie') {
+      const q = words(url.searchParams.get('query'));
+      return json(res, 200, { page: 1, results: list().filter(x => words(x.title).includes(q)) });
+    }
+    if ((m = path.match(/^\/find\/(tt\d+)$/))) {
+      const id = imdb[m[1]];
+      return json(res, 200, { movie_results: id && movies[id] ? [{ id, ...movies[id] }] : [] });
+    }
+    if (path === '/configuration') return json(res, 200, { images: { secure_base_url: 'https://image.tmdb.org/t/p/' } });
+    if (path === '/discover/movie') return json(res, 200, { page: 1, results: list() });
+    if ((m = path.match(/^\/movie\/(\d+)\/(recommendations|similar)$/))) return json(res, 200, { page: 1, results: [] });
+    if ((m = path.match(/^\/movie\/(\d+)\/watch\/providers$/))) return json(res, 200, { id: Number(m[1]), results: providers[m[1]] ?? {} });
+    if ((m = path.match(/^\/movie\/(\d+)$/))) {
+      return movies[m[1]] ? json(res, 200, { id: Number(m[1]), ...movies[m[1]] }) : notFound(res);
+    }
+    return notFound(res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    fileUrl: (name) => `${url}/files/${encodeURIComponent(name)}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
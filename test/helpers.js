@@ -0,0 +1,123 @@
+// Montaje común de las pruebas: DB en memoria + servicios con TMDB, timers y reloj de mentira
+import { openDatabase } from '../db.js';
+import { createAudit } from '../audit.js';
+import { createRepository } from '../repository.js';
+import { createMovieService } from '../movies.js';
+import { createPollService } from '../polls.js';
+import { createBot } from '../bot.js';
+import { createLogger } from '../logger.js';
+import { fakeClient, fakeRest } from './fake-discord.js';
+import { startFakeTmdb } from './fake-tmdb.js';
+
+export const G = '111111111111111111';
+export const NOW = Date.parse('2026-10-19T20:00:00Z');
+
+export const SETTINGS = {
+  cooldown_hours: 48, avoid_last_polls: 3, watch_region: 'ES', services: [], night_reminders: [60, 15], night_poll_hours: 2,
+};
+
+// catalog: lo que normalmente sale de TMDB (fichas, búsqueda, plataformas)
+export function fakeCatalog({ details = {}, search = {}, available = [] } = {}) {
+  return {
+    calls: [],
+    async details(tmdbId) {
+      this.calls.push(['details', tmdbId]);
+      return details[tmdbId] ?? null;
+    },
+    async resolveCandidates(query) {
+      this.calls.push(['search', query]);
+      return search[query] ?? { movie: null, candidates: [], ambiguous: false };
+    },
+    async available(ids) {
+      return new Set(ids.filter(id => available.includes(id)));
+    },
+  };
+}
+
+// timers.at/cancel sin setTimeout: se disparan a mano con fire(key)
+export function fakeTimers() {
+  const armed = new Map();
+  return {
+    armed,
+    at: (key, iso, fn) => armed.set(key, { iso, fn }),
+    cancel: (key) => armed.delete(key),
+    fire: (key) => armed.get(key).fn(),
+  };
+}
+
+export function setup({ settings = {}, catalog = fakeCatalog(), titles = {}, random = () => 0, onClosed, scheduleWinner = true } = {}) {
+  const db = openDatabase(':memory:');
+  const audit = createAudit(db);
+  const repo = createRepository(db);
+  const events = [];
+  const emit = (type, guildId, data) => events.push({ type, guildId, data });
+  const now = () => NOW;
+  const timers = fakeTimers();
+  const closed = [];
+  const getSettings = () => ({ ...SETTINGS, ...settings });
+
+  const movies = createMovieService({
+    repo,
+    audit,
+    catalog,
+    getSettings,
+    emit,
+    random,
+    now,
+  });
+
+  const polls = createPollService({
+    repo,
+    audit,
+    movies,
+    // "título" -> peli; lo que no esté en titles no existe en TMDB
+    resolveMany: async (inputs) => inputs.map(t => titles[t]).filter(Boolean),
+    timers,
+    emit,
+    onClosed: onClosed ?? (async (result) => { closed.push(result); }),
+    scheduleWinner,
+    random,
+    now,
+  });
+
+  return { db, audit, repo, movies, polls, events, timers, closed, catalog, getSettings, now };
+}
+
+export const movie = (tmdbId, title, year = '2000') => ({ tmdb_id: tmdbId, title, year });
+
+export function rowOf(db, tmdbId) {
+  return db.prepare(`SELECT * FROM movies WHERE guild_id=? AND tmdb_id=?`).get(G, tmdbId);
+}
+
+// El bot entero (bot.js) con Discord de mentira, TMDB local y DB en memoria. close() lo para todo
+// Los logs del bot quedan en logs (objetos) en vez de mezclarse con la salida de node --test
+export async function setupBot({ tmdb = {}, env = {} } = {}) {
+  const logs = [];
+  const logger = createLogger({ level: 'debug', stream: { write: (line) => logs.push(JSON.parse(line)) } });
+  const stub = await startFakeTmdb(tmdb);
+  const client = fakeClient();
+  const rest = fakeRest();
+  const bot = createBot({
+    env: {
+      DISCORD_TOKEN: 'token',
+      DISCORD_APP_ID: 'app',
+      TMDB_BEARER: 't',
+      TMDB_BASE_URL: stub.url,
+      TMDB_TIMEOUT_MS: '2000',
+      GUILD_IDS: G,
+      BACKUP_INTERVAL_HOURS: '0',
+      ...env,
+    },
+    db: openDatabase(':memory:', { log: logger }),
+    client,
+    rest,
+    logger,
+  });
+
+  const close = async () => {
+    await bot.stop();
+    bot.db.close();
+    await stub.close();
+  };
+  return { bot, client, rest, stub, logs, close };
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, serializeError, shortId } from '../logger.js';
+
+function capture(opts = {}) {
+  const lines = [];
+  const log = createLogger({ now: () => new Date('2026-10-19T20:00:00Z'), stream: { write: (l) => lines.push(l) }, ...opts });
+  return { log, lines, parsed: () => lines.map(l => JSON.parse(l)) };
+}
+
+test('logger: una línea JSON por evento, con nivel mínimo', () => {
+  const { log, lines, parsed } = capture({ level: 'info' });
+  log.debug('no sale');
+  log.info('Comandos registrados', { guilds: 2, nada: undefined });
+  log.error('Falló');
+
+  assert.equal(lines.length, 2);
+  assert.ok(lines.every(l => l.endsWith('\n') && !l.slice(0, -1).includes('\n')));
+  assert.deepEqual(parsed()[0], { time: '2026-10-19T20:00:00.000Z', level: 'info', msg: 'Comandos registrados', guilds: 2 });
+  assert.equal(parsed()[1].level, 'error');
+});
+
+test('logger: child suma campos y err sale serializado', () => {
+  const { log, parsed } = capture();
+  const req = log.child({ request_id: 'abc123' }).child({ guild_id: 'g1' });
+  const err = Object.assign(new Error('boom'), { code: 'ECONNRESET', response: { status: 502 } });
+  req.warn('TMDB: falló la ficha', { err });
+
+  const [line] = parsed();
+  assert.equal(line.request_id, 'abc123');
+  assert.equal(line.guild_id, 'g1');
+  assert.equal(line.err.message, 'boom');
+  assert.equal(line.err.status, 502);
+  assert.equal(line.err.code, 'ECONNRESET');
+  assert.match(line.err.stack, /boom/);
+  assert.equal(line.err.response, undefined, 'nada de volcar la respuesta de axios entera');
+
+  assert.deepEqual(serializeError('texto'), { message: 'texto' });
+});
+
+test('shortId: 8 caracteres hex distintos', () => {
+  const a = shortId();
+  assert.match(a, /^[0-9a-f]{8}$/);
+  assert.notEqual(a, shortId());
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from '../metrics.js';
+
+test('metrics: counter, gauge e histograma en formato Prometheus', () => {
+  const m = createMetrics({ prefix: 'pistacho_' });
+  const runs = m.counter('commands_total', 'Comandos');
+  const seconds = m.histogram('tmdb_request_duration_seconds', 'Latencia', { buckets: [0.1, 1] });
+  m.gauge('open_polls', 'Abiertas', () => 2);
+  m.gauge('by_guild', 'Por servidor', () => [[{ guild: 'a"b' }, 1], [{ guild: 'c' }, 3]]);
+  m.gauge('broken', 'Falla', () => { throw new Error('sin DB'); });
+
+  runs.inc({ command: 'votar', outcome: 'ok' });
+  runs.inc({ outcome: 'ok', command: 'votar' }); // mismo orden o no, misma serie
+  runs.inc({ command: 'add', outcome: 'error' }, 2);
+  seconds.observe({ endpoint: '/movie/:id' }, 0.05);
+  seconds.observe({ endpoint: '/movie/:id' }, 0.5);
+  seconds.observe({ endpoint: '/movie/:id' }, 3);
+
+  assert.equal(runs.get({ command: 'votar', outcome: 'ok' }), 2);
+  const text = m.render();
+  const lines = text.trim().split('\n');
+
+  assert.ok(lines.includes('# TYPE pistacho_commands_total counter'));
+  assert.ok(lines.includes('pistacho_commands_total{command="votar",outcome="ok"} 2'));
+  assert.ok(lines.includes('pistacho_commands_total{command="add",outcome="error"} 2'));
+  assert.ok(lines.includes('pistacho_open_polls 2'));
+  assert.ok(lines.includes('pistacho_by_guild{guild="a\\"b"} 1'));
+  assert.ok(lines.includes('pistacho_tmdb_request_duration_seconds_bucket{endpoint="/movie/:id",le="0.1"} 1'));
+  assert.ok(lines.includes('pistacho_tmdb_request_duration_seconds_bucket{endpoint="/movie/:id",le="1"} 2'));
+  assert.ok(lines.includes('pistacho_tmdb_request_duration_seconds_bucket{endpoint="/movie/:id",le="+Inf"} 3'));
+  assert.ok(lines.includes('pistacho_tmdb_request_duration_seconds_count{endpoint="/movie/:id"} 3'));
+  assert.ok(lines.includes('pistacho_tmdb_request_duration_seconds_sum{endpoint="/movie/:id"} 3.55'));
+  assert.ok(lines.includes('# HELP pistacho_broken Falla'), 'una métrica rota no tumba /metrics');
+  assert.ok(!lines.some(l => l.startsWith('pistacho_broken ')));
+});
+
+test('metrics: nombres repetidos no', () => {
+  const m = createMetrics();
+  m.counter('x_total', 'x');
+  assert.throws(() => m.gauge('x_total', 'x', () => 1), /Métrica repetida/);
+});
@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { G, setup, fakeCatalog, movie, rowOf } from './helpers.js';
+import { formatMovieLine, parseTmdbRef } from '../movies.js';
+
+test('formatMovieLine y parseTmdbRef', () => {
+  assert.equal(formatMovieLine({ title: 'Alien', year: '1979' }), 'Alien (1979)');
+  assert.equal(formatMovieLine({ title: 'Alien', year: '' }), 'Alien');
+  assert.equal(parseTmdbRef('tmdb:348'), 348);
+  assert.equal(parseTmdbRef(' TMDB:348 '), 348);
+  assert.equal(parseTmdbRef('alien'), null);
+});
+
+test('add: alta auditada, sin duplicados y con evento', () => {
+  const { db, movies, events } = setup();
+
+  assert.equal(movies.add(G, movie(348, 'Alien', '1979'), 'u1'), true);
+  assert.equal(movies.add(G, movie(348, 'Alien', '1979'), 'u2'), false);
+  assert.equal(movies.add('222222222222222222', movie(348, 'Alien', '1979'), 'u3'), true, 'cada servidor tiene su lista');
+
+  const row = rowOf(db, 348);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.added_by, 'u1');
+
+  const action = db.prepare(`SELECT * FROM audit_actions WHERE guild_id=?`).all(G);
+  assert.equal(action.length, 1);
+  assert.equal(action[0].summary, 'Añadida Alien (1979)');
+  assert.equal(action[0].source, '/add');
+
+  assert.deepEqual(events.filter(e => e.guildId === G).map(e => e.type), ['movie.added']);
+  assert.equal(events[0].data.movie.id, row.id);
+});
+
+test('addFromInput: por tmdb_id, por título, con dudas y sin resultados', async () => {
+  const catalog = fakeCatalog({
+    details: { 348: { title: 'Alien', release_date: '1979-05-25' }, 679: { title: 'Aliens', release_date: '1986-07-18' } },
+    search: {
+      aliens: { movie: { id: 679, title: 'Aliens', release_date: '1986-07-18' }, candidates: [], ambiguous: false },
+      heat: { movie: { id: 949 }, candidates: [{ id: 949 }, { id: 1 }], ambiguous: true },
+    },
+  });
+  const { movies } = setup({ catalog });
+
+  const byId = await movies.addFromInput(G, { tmdbId: 348 }, 'u1', '/gpt/add');
+  assert.equal(byId.added, true);
+  assert.deepEqual({ ...byId.movie, id: undefined }, { tmdb_id: 348, title: 'Alien', year: '1979', id: undefined });
+  assert.ok(byId.movie.id);
+
+  const byTitle = await movies.addFromInput(G, { query: 'aliens' }, 'u1', '/gpt/add');
+  assert.equal(byTitle.movie.title, 'Aliens');
+
+  const again = await movies.addFromInput(G, { query: 'aliens' }, 'u1', '/gpt/add');
+  assert.equal(again.added, false);
+  assert.equal(again.movie.id, byTitle.movie.id);
+
+  assert.deepEqual(await movies.addFromInput(G, { query: 'heat' }, 'u1'), { candidates: [{ id: 949 }, { id: 1 }] });
+  assert.equal(await movies.addFromInput(G, { query: 'nada' }, 'u1'), null);
+  assert.equal(await movies.addFromInput(G, { tmdbId: 5 }, 'u1'), null);
+});
+
+test('removeByQuery: no borra si hay varias y /deshacer la recupera', () => {
+  const { db, audit, movies, events } = setup();
+  movies.add(G, movie(1, 'Star Wars'), 'u1');
+  movies.add(G, movie(2, 'Star Trek'), 'u1');
+
+  const many = movies.removeByQuery(G, 'star', 'u1');
+  assert.equal(many.removed, undefined);
+  assert.equal(many.matches.length, 2);
+
+  assert.equal(movies.removeByQuery(G, 'zzz', 'u1').matches.length, 0);
+
+  const { removed } = movies.removeByQuery(G, 'tmdb:2', 'u1');
+  assert.equal(removed.title, 'Star Trek');
+  assert.equal(rowOf(db, 2), undefined);
+  assert.equal(events.at(-1).type, 'movie.removed');
+
+  // la acción guardada deja volver atrás
+  const action = db.prepare(`SELECT id FROM audit_actions WHERE summary LIKE 'Eliminada%'`).get();
+  for (const c of db.prepare(`SELECT * FROM audit_changes WHERE action_id=?`).all(action.id)) audit.undoChange(c);
+  assert.equal(rowOf(db, 2).title, 'Star Trek');
+});
+
+test('watch: pendiente -> vista, re-visionados y vuelta a pendientes', () => {
+  const { db, movies, events } = setup();
+  movies.add(G, movie(348, 'Alien', '1979'), 'u1');
+
+  const first = movies.watch(G, 'ali', 'u1', { attendees: ['u1', 'u2'], notes: 'en VO' });
+  assert.equal(first.rewatch, false);
+  assert.equal(first.times, 1);
+  assert.equal(rowOf(db, 348).status, 'watched');
+
+  const viewing = db.prepare(`SELECT * FROM viewings WHERE id=?`).get(first.viewingId);
+  assert.equal(viewing.attendees, ',u1,u2,');
+  assert.equal(viewing.notes, 'en VO');
+
+  const second = movies.watch(G, 'tmdb:348', 'u1');
+  assert.equal(second.rewatch, true);
+  assert.equal(second.times, 2);
+
+  assert.equal(movies.watch(G, 'nada', 'u1'), null);
+
+  movies.unwatch(G, rowOf(db, 348), 'u1', 'PATCH /api/v1/movies');
+  assert.equal(rowOf(db, 348).status, 'pending');
+  assert.equal(rowOf(db, 348).watched_by, null);
+  assert.deepEqual(events.map(e => e.type), ['movie.added', 'movie.watched', 'movie.watched', 'list.changed']);
+});
+
+test('pick: fuera vetos y ya vistas de quien va, y pesa el interés', () => {
+  const { db, movies } = setup();
+  for (const [id, t] of [[1, 'Uno'], [2, 'Dos'], [3, 'Tres'], [4, 'Cuatro']]) movies.add(G, movie(id, t), 'u1');
+
+  const pref = db.prepare(`INSERT INTO movie_prefs (guild_id, tmdb_id, user_id, pref) VALUES (?, ?, ?, ?)`);
+  pref.run(G, 1, 'u2', 'veto');
+  pref.run(G, 2, 'u2', 'seen');
+  pref.run(G, 4, 'u3', 'interest');
+
+  const picked = movies.pick(G, 4, { attendees: ['u2', 'u3'] });
+  assert.deepEqual(picked.map(m => m.tmdb_id), [4, 3], 'la que interesa va primero con random()=0');
+  assert.equal(picked[0].interest, 1);
+
+  // sin asistentes no hay filtro
+  assert.equal(movies.pick(G, 4).length, 4);
+
+  // only = solo las de nuestras plataformas
+  assert.deepEqual(movies.pick(G, 4, { only: new Set([2]) }).map(m => m.tmdb_id), [2]);
+});
+
+test('pick: cooldown y anti-repetición, pero si no llegan se relaja', () => {
+  const { db, repo, movies } = setup();
+  for (const [id, t] of [[1, 'Uno'], [2, 'Dos'], [3, 'Tres']]) movies.add(G, movie(id, t), 'u1');
+
+  movies.markSuggested(G, [1]);
+  repo.insertPollHistory(G, [movie(2, 'Dos')], 'db');
+
+  assert.deepEqual(movies.pick(G, 1).map(m => m.tmdb_id), [3]);
+
+  // piden más de las que quedan "frescas": entra la de la votación reciente, luego la sugerida
+  assert.deepEqual(movies.pick(G, 2).map(m => m.tmdb_id).sort(), [2, 3]);
+  assert.equal(movies.pick(G, 3).length, 3);
+  assert.equal(rowOf(db, 1).suggested_count, 1);
+});
+
+test('suggest: errores y pick marcado como sugerido', async () => {
+  const empty = setup();
+  assert.deepEqual(await empty.movies.suggest(G), { error: 'no_pending' });
+
+  const { db, movies } = setup({ catalog: fakeCatalog({ available: [2] }) });
+  movies.add(G, movie(1, 'Uno'), 'u1');
+  assert.deepEqual(await movies.suggest(G, { onServices: true }), { error: 'no_services' });
+
+  db.prepare(`INSERT INTO movie_prefs (guild_id, tmdb_id, user_id, pref) VALUES (?, 1, 'u2', 'veto')`).run(G);
+  assert.deepEqual(await movies.suggest(G, { attendees: ['u2'] }), { error: 'no_pick' });
+
+  const { pick } = await movies.suggest(G);
+  assert.equal(pick.tmdb_id, 1);
+  assert.equal(rowOf(db, 1).suggested_count, 1);
+
+  const withServices = setup({ settings: { services: ['Netflix'] }, catalog: fakeCatalog({ available: [2] }) });
+  withServices.movies.add(G, movie(1, 'Uno'), 'u1');
+  withServices.movies.add(G, movie(2, 'Dos'), 'u1');
+  assert.equal((await withServices.movies.suggest(G, { onServices: true })).pick.tmdb_id, 2);
+});
+
+test('stats y próxima peli', () => {
+  const { movies } = setup();
+  movies.add(G, movie(1, 'Uno'), 'u1');
+  movies.add(G, movie(2, 'Dos'), 'u1');
+  movies.watch(G, 'Dos', 'u1');
+  movies.schedule(G, 1);
+
+  const stats = movies.stats(G);
+  assert.equal(stats.total, 2);
+  assert.equal(stats.pending, 1);
+  assert.equal(stats.watched, 1);
+  assert.equal(stats.viewings, 1);
+  assert.equal(stats.next.tmdb_id, 1);
+});
+
+test('prefs, notas y rankings: lo mismo para /pref, /valorar, /stats y la API', () => {
+  const { movies } = setup();
+  movies.add(G, movie(348, 'Alien', '1979'), 'u1');
+
+  assert.equal(movies.togglePref(G, 348, 'u2', 'veto'), 'veto');
+  assert.equal(movies.togglePref(G, 348, 'u3', 'interest'), 'interest');
+  assert.equal(movies.togglePref(G, 348, 'u2', 'veto'), null, 'mismo botón = se quita');
+  assert.equal(movies.pref(G, 348, 'u2'), null);
+  assert.deepEqual(movies.prefCounts(G, 348), { interest: 1, veto: 0, seen: 0 });
+
+  const { viewingId } = movies.watch(G, 'Alien', 'u1');
+  movies.rate(viewingId, 'u1', 8, 'Un clásico');
+  movies.rate(viewingId, 'u2', 6);
+  movies.rate(viewingId, 'u1', 9);
+  const viewing = movies.viewing(viewingId);
+  assert.deepEqual(viewing.ratings.map(r => [r.user_id, r.score, r.review]), [['u1', 9, 'Un clásico'], ['u2', 6, null]]);
+  assert.equal(movies.viewings(G, { limit: 10 }).rows[0].rating, 7.5);
+
+  const group = movies.groupRating(G, 348);
+  assert.equal(group.avg, 7.5);
+  assert.equal(group.count, 2);
+  assert.equal(group.viewings, 1);
+
+  const board = movies.leaderboard(G);
+  assert.deepEqual(board.topAdders, [{ user_id: 'u1', c: 1 }]);
+  assert.equal(board.topRated[0].title, 'Alien');
+  assert.equal(board.decidedPolls, 0);
+});
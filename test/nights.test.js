@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { G, NOW, setup, movie, rowOf } from './helpers.js';
+import { createNightService } from '../nights.js';
+
+const HOUR = 3600_000;
+
+// NightService sobre setup(): lo que haría Discord queda apuntado en calls
+function nightsOf(ctx, { poll = { id: 'p1' } } = {}) {
+  const calls = [];
+  const nights = createNightService({
+    repo: ctx.repo,
+    movies: ctx.movies,
+    getSettings: ctx.getSettings,
+    timers: ctx.timers,
+    onReminder: async (night, minutes) => { calls.push(['remind', night.id, minutes]); },
+    onPollDue: async (night) => { calls.push(['poll', night.id]); return poll; },
+    onStart: async (night) => { calls.push(['start', night.id]); },
+    onChanged: async (nightId) => { calls.push(['changed', nightId]); },
+    pollCloseBeforeMs: 30 * 60_000,
+    now: ctx.now,
+  });
+  return { nights, calls };
+}
+
+const create = (nights, extra = {}) => nights.create(G, {
+  channelId: 'c1', startsAt: new Date(NOW + 3 * HOUR), createdBy: 'u1', ...extra,
+});
+
+test('create: sin peli arma avisos, votación e inicio; con peli pasa a ser la próxima', () => {
+  const ctx = setup();
+  const { nights } = nightsOf(ctx);
+
+  const night = create(nights);
+  assert.equal(night.status, 'scheduled');
+  assert.deepEqual(night.rsvps, { yes: [], maybe: [], no: [] });
+  assert.deepEqual([...ctx.timers.armed.keys()], [
+    `night:${night.id}:remind:60`, `night:${night.id}:remind:15`, `night:${night.id}:poll`, `night:${night.id}:start`,
+  ]);
+  assert.equal(ctx.timers.armed.get(`night:${night.id}:poll`).iso, new Date(NOW + HOUR).toISOString(), 'night_poll_hours antes');
+
+  ctx.movies.add(G, movie(348, 'Alien', '1979'), 'u1');
+  const withMovie = create(nights, { movie: movie(348, 'Alien', '1979') });
+  assert.equal(withMovie.title, 'Alien');
+  assert.equal(ctx.timers.armed.has(`night:${withMovie.id}:poll`), false);
+  assert.ok(rowOf(ctx.db, 348).scheduled_at);
+
+  assert.deepEqual(nights.upcoming(G).map(n => n.id), [night.id, withMovie.id]);
+});
+
+test('cancel y rsvp: solo noches programadas de ese servidor', () => {
+  const ctx = setup();
+  const { nights } = nightsOf(ctx);
+  const night = create(nights);
+
+  assert.equal(nights.rsvp(night.id, 'u2', 'yes').rsvps.yes[0], 'u2');
+  assert.deepEqual(nights.rsvp(night.id, 'u2', 'maybe').rsvps, { yes: [], maybe: ['u2'], no: [] }, 'cambia la respuesta');
+
+  assert.equal(nights.cancel('222222222222222222', night.id), null);
+  assert.equal(nights.cancel(G, night.id).status, 'cancelled');
+  assert.equal(ctx.timers.armed.size, 0, 'sin avisos');
+  assert.equal(nights.cancel(G, night.id), null, 'ya estaba cancelada');
+  assert.equal(nights.rsvp(night.id, 'u3', 'yes'), null);
+  assert.deepEqual(nights.upcoming(G), []);
+});
+
+test('timers: cada aviso una vez, la votación se ata a la noche y el inicio la cierra', async () => {
+  const ctx = setup();
+  const { nights, calls } = nightsOf(ctx);
+  const night = create(nights);
+
+  await ctx.timers.fire(`night:${night.id}:remind:60`);
+  await ctx.timers.fire(`night:${night.id}:remind:60`);
+  assert.deepEqual(nights.get(night.id).reminders_sent, [60]);
+
+  await ctx.timers.fire(`night:${night.id}:poll`);
+  assert.equal(nights.get(night.id).poll_id, 'p1');
+
+  await ctx.timers.fire(`night:${night.id}:start`);
+  await ctx.timers.fire(`night:${night.id}:start`);
+  assert.equal(nights.get(night.id).status, 'done');
+  await ctx.timers.fire(`night:${night.id}:remind:15`);
+
+  assert.deepEqual(calls, [
+    ['remind', night.id, 60],
+    ['poll', night.id],
+    ['changed', night.id],
+    ['start', night.id],
+    ['changed', night.id],
+  ]);
+});
+
+test('timers: sin pendientes para votar (onPollDue -> null) la noche sigue sin votación', async () => {
+  const ctx = setup();
+  const { nights, calls } = nightsOf(ctx, { poll: null });
+  const night = create(nights);
+
+  await ctx.timers.fire(`night:${night.id}:poll`);
+  assert.equal(nights.get(night.id).poll_id, null);
+  assert.deepEqual(calls, [['poll', night.id]]);
+});
+
+test('restore: lo que pasó con el bot apagado queda hecho; el resto se re-arma sin repetir avisos', async () => {
+  const ctx = setup();
+  const { nights } = nightsOf(ctx);
+  const night = create(nights);
+  await ctx.timers.fire(`night:${night.id}:remind:60`);
+  const old = ctx.repo.insertNight(G, { channelId: 'c1', startsAt: new Date(NOW - 2 * HOUR).toISOString(), createdBy: 'u1' });
+
+  ctx.timers.armed.clear();
+  assert.deepEqual(nights.restore(), { open: 1, stale: 1 });
+  assert.equal(nights.get(old).status, 'done');
+  assert.deepEqual([...ctx.timers.armed.keys()], [
+    `night:${night.id}:remind:15`, `night:${night.id}:poll`, `night:${night.id}:start`,
+  ]);
+
+  // /deshacer o /restore: una noche que ya no está se queda sin timers
+  ctx.db.prepare(`DELETE FROM nights WHERE id=?`).run(night.id);
+  nights.sync([night.id]);
+  assert.equal(ctx.timers.armed.size, 0);
+});
@@ -0,0 +1,252 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { G, NOW, setup, movie, rowOf } from './helpers.js';
+import { instantRunoff, createPollService } from '../polls.js';
+
+const A = movie(1, 'Uno');
+const B = movie(2, 'Dos');
+const C = movie(3, 'Tres');
+
+async function openPoll(ctx, options = [A, B, C], extra = {}) {
+  const published = [];
+  const poll = await ctx.polls.open({
+    guildId: G,
+    channelId: 'c1',
+    movies: options,
+    durationMs: 60_000,
+    title: '🗳️ Prueba',
+    source: 'db',
+    createdBy: 'u1',
+    publish: async (p) => { published.push(p); return { id: 'msg1' }; },
+    ...extra,
+  });
+  return { poll, published };
+}
+
+test('instantRunoff: mayoría directa, eliminación y empate', () => {
+  assert.deepEqual(instantRunoff([[1], [1], [2]], 3).leaders, [1]);
+
+  // 1: 2 votos, 2: 2 votos, 3: 1 voto -> fuera la 3, su voto pasa a la 2
+  const { leaders, rounds } = instantRunoff([[1], [1], [2], [2], [3, 2]], 3);
+  assert.deepEqual(leaders, [2]);
+  assert.equal(rounds.length, 2);
+
+  assert.deepEqual(instantRunoff([[1], [2]], 2).leaders, [1, 2]);
+  assert.deepEqual(instantRunoff([[1], [2], [3], [4]], 4).leaders, [1, 2, 3, 4], 'empate de verdad: decide el tie_break');
+  assert.deepEqual(instantRunoff([], 3).leaders, []);
+});
+
+test('instantRunoff: empate abajo -> cae una sola por ronda', () => {
+  // 1ª ronda 3-2-2-2: quitar a la vez 2, 3 y 4 daría la victoria a la 1 (3 de 3),
+  // pero 6 de 9 prefieren la 3 a la 1
+  const ballots = [[1], [1], [1], [2, 3], [2, 3], [3], [3], [4, 3], [4, 2]];
+  const { leaders, rounds } = instantRunoff(ballots, 4);
+  assert.deepEqual(leaders, [3]);
+  assert.equal(rounds.length, 3);
+  assert.deepEqual(Object.keys(rounds[1]).map(Number), [1, 2, 3], 'primero cae la 4 (la que menos papeletas incluyen)');
+  assert.deepEqual(rounds[2], { 1: 3, 3: 5 }, 'luego la 2: en la 1ª ronda empataba con la 3, pero la 3 sale en más papeletas');
+
+  // 2-2-2-2 en la 2ª ronda no acaba en empate a cuatro: la 4 iba detrás en la anterior
+  const tied = instantRunoff([[1], [1], [2], [2], [3], [3], [4, 3], [5, 4]], 5);
+  assert.deepEqual(tied.rounds[1], { 1: 2, 2: 2, 3: 2, 4: 2 });
+  assert.deepEqual(tied.leaders, [3]);
+});
+
+test('open: publica, arma el cierre y avisa', async () => {
+  const ctx = setup();
+  const { poll, published } = await openPoll(ctx);
+
+  assert.equal(published.length, 1);
+  assert.equal(poll.message_id, 'msg1');
+  assert.equal(poll.closes_at, new Date(NOW + 60_000).toISOString());
+  assert.deepEqual(poll.movies.map(m => m.title), ['Uno', 'Dos', 'Tres']);
+  assert.ok(ctx.timers.armed.has(`poll:${poll.id}`));
+  assert.equal(ctx.events.at(-1).type, 'poll.opened');
+  assert.equal(ctx.events.at(-1).data.options.length, 3);
+});
+
+test('open: si no se puede publicar, la votación queda cerrada', async () => {
+  const ctx = setup();
+  await assert.rejects(
+    ctx.polls.open({ guildId: G, channelId: 'c1', movies: [A, B], durationMs: 1000, title: 't', source: 'db', publish: async () => { throw new Error('sin permisos'); } }),
+    /sin permisos/
+  );
+  assert.equal(ctx.db.prepare(`SELECT closed FROM polls`).get().closed, 1);
+  assert.equal(ctx.timers.armed.size, 0);
+});
+
+test('vote: plurality reemplaza, approval alterna', async () => {
+  const ctx = setup();
+  const { poll } = await openPoll(ctx);
+  ctx.polls.vote(poll, 'u1', 1);
+  ctx.polls.vote(poll, 'u1', 2);
+  ctx.polls.vote(poll, 'u2', 2);
+  assert.deepEqual(ctx.polls.tally(poll), { counts: { 1: 0, 2: 2, 3: 0 }, leaders: [2], voters: 2 });
+  assert.deepEqual(ctx.events.at(-1), { type: 'poll.vote', guildId: G, data: { poll_id: poll.id, counts: { 1: 0, 2: 2, 3: 0 } } });
+
+  const { poll: ap } = await openPoll(ctx, [A, B, C], { mode: 'approval', channelId: 'c2' });
+  ctx.polls.vote(ap, 'u1', 1);
+  ctx.polls.vote(ap, 'u1', 3);
+  ctx.polls.vote(ap, 'u2', 3);
+  ctx.polls.vote(ap, 'u2', 1);
+  ctx.polls.vote(ap, 'u2', 1); // la quita
+  const t = ctx.polls.tally(ap);
+  assert.deepEqual(t.counts, { 1: 1, 2: 0, 3: 2 });
+  assert.equal(t.voters, 2);
+});
+
+test('rank: una opción no ocupa dos puestos y gana por segunda vuelta', async () => {
+  const ctx = setup();
+  const { poll } = await openPoll(ctx, [A, B, C], { mode: 'ranked' });
+  ctx.polls.rank(poll, 'u1', 1, 1);
+  ctx.polls.rank(poll, 'u2', 1, 1);
+  ctx.polls.rank(poll, 'u3', 1, 2);
+  ctx.polls.rank(poll, 'u4', 1, 2);
+  ctx.polls.rank(poll, 'u5', 1, 3);
+  ctx.polls.rank(poll, 'u5', 2, 2);
+  ctx.polls.rank(poll, 'u5', 2, 3); // la 3 pasa al 2.º puesto: el 1.º queda libre
+  ctx.polls.rank(poll, 'u5', 1, 2);
+
+  const t = ctx.polls.tally(poll);
+  assert.deepEqual(t.counts, { 1: 2, 2: 3, 3: 0 });
+  assert.deepEqual(t.leaders, [2]);
+  assert.equal(t.voters, 5);
+});
+
+test('close: ganadora, historial, próxima peli y una sola vez', async () => {
+  const ctx = setup();
+  for (const m of [A, B, C]) ctx.movies.add(G, m, 'u1');
+  const { picked, historyId } = ctx.polls.pickFromList(G, 3);
+  assert.equal(picked.length, 3);
+  assert.equal(rowOf(ctx.db, picked[0].tmdb_id).suggested_count, 1);
+
+  const { poll } = await openPoll(ctx, picked, { historyId });
+  ctx.polls.vote(poll, 'u1', 2);
+
+  const result = await ctx.timers.fire(`poll:${poll.id}`);
+  assert.equal(result.winner.tmdb_id, picked[1].tmdb_id);
+  assert.equal(result.tie, null);
+  assert.equal(ctx.closed.length, 1);
+  assert.equal(ctx.movies.scheduled(G).tmdb_id, picked[1].tmdb_id);
+
+  const items = ctx.db.prepare(`SELECT tmdb_id, votes, winner FROM poll_history_items WHERE poll_id=? ORDER BY rowid`).all(historyId);
+  assert.deepEqual(items.map(i => [i.votes, i.winner]), [[0, 0], [1, 1], [0, 0]]);
+  assert.equal(ctx.polls.isOpen(ctx.polls.get(poll.id)), false);
+
+  assert.equal(await ctx.polls.close(poll.id), null);
+  assert.equal(ctx.closed.length, 1);
+  assert.deepEqual(ctx.events.filter(e => e.type === 'poll.closed').length, 1);
+});
+
+test('close: con títulos sueltos la ganadora entra en la lista', async () => {
+  const ctx = setup({ titles: { uno: A, dos: B, nada: null } });
+  const { picked, historyId } = await ctx.polls.pickFromTitles(G, ['uno', 'nada', 'dos'], 'manual');
+  assert.deepEqual(picked.map(m => m.title), ['Uno', 'Dos']);
+
+  const { poll } = await openPoll(ctx, picked, { historyId, source: 'manual' });
+  ctx.polls.vote(poll, 'u2', 1);
+  await ctx.polls.close(poll.id);
+
+  assert.equal(rowOf(ctx.db, 1).status, 'pending');
+  assert.equal(rowOf(ctx.db, 1).added_by, 'u1');
+  assert.equal(ctx.db.prepare(`SELECT source FROM audit_actions`).get().source, 'votación');
+  assert.deepEqual(ctx.events.slice(-2).map(e => e.type), ['movie.added', 'poll.closed']);
+
+  assert.deepEqual(await ctx.polls.pickFromTitles(G, ['uno', 'nada']), { picked: [A], historyId: null });
+});
+
+test('close: empate al azar, por admin o con segunda vuelta', async () => {
+  const random = setup({ random: () => 0.99 });
+  const { poll: p1 } = await openPoll(random, [A, B]);
+  random.polls.vote(p1, 'u1', 1);
+  random.polls.vote(p1, 'u2', 2);
+  const r1 = await random.polls.close(p1.id);
+  assert.equal(r1.tie, 'random');
+  assert.equal(r1.winner.title, 'Dos');
+
+  const admin = setup();
+  const { poll: p2 } = await openPoll(admin, [A, B, C], { tieBreak: 'admin' });
+  admin.polls.vote(p2, 'u1', 1);
+  admin.polls.vote(p2, 'u2', 3);
+  const r2 = await admin.polls.close(p2.id);
+  assert.equal(r2.tie, 'admin');
+  assert.equal(r2.winner, null);
+  assert.deepEqual(r2.tied.map(m => m.title), ['Uno', 'Tres']);
+
+  const stored = admin.polls.get(p2.id);
+  assert.equal(stored.tie_options, '1,3');
+  assert.equal(admin.polls.resolveTie(stored, 2), null, 'la 2 no estaba empatada');
+  assert.equal(admin.polls.resolveTie(stored, 3).winner.title, 'Tres');
+  assert.equal(admin.polls.resolveTie(stored, 3), null, 'ya resuelto');
+  assert.deepEqual(admin.events.filter(e => e.type.startsWith('poll.')).map(e => e.type), ['poll.opened', 'poll.vote', 'poll.vote', 'poll.tie', 'poll.closed']);
+  assert.deepEqual(admin.events.find(e => e.type === 'poll.tie').data.tied.map(m => m.title), ['Uno', 'Tres']);
+  assert.equal(admin.events.at(-1).data.winner.title, 'Tres');
+  assert.equal(admin.movies.scheduled(G), null, 'no estaba en la lista (source db): nada que programar');
+
+  const runoff = setup();
+  const { poll: p3 } = await openPoll(runoff, [A, B], { tieBreak: 'runoff' });
+  const r3 = await runoff.polls.close(p3.id);
+  assert.equal(r3.tie, null, 'sin votos no hay empate');
+  assert.equal(r3.winner, null);
+
+  const { poll: p4 } = await openPoll(runoff, [A, B], { tieBreak: 'runoff', channelId: 'c9' });
+  runoff.polls.vote(p4, 'u1', 1);
+  runoff.polls.vote(p4, 'u2', 2);
+  const r4 = await runoff.polls.close(p4.id);
+  assert.equal(r4.tie, 'runoff');
+  assert.equal(runoff.events.at(-1).type, 'poll.tie');
+  assert.equal(runoff.events.at(-1).data.tie_break, 'runoff');
+  assert.ok(!runoff.events.some(e => e.type === 'poll.closed' && e.data.poll_id === p4.id), 'poll.closed llega con la ganadora');
+});
+
+test('close: un desempate sin votos también elige (al azar) y su /noche recibe la peli', async () => {
+  const nights = [];
+  const ctx = setup();
+  const polls = createPollService({ ...ctx, random: () => 0.99, onNightResult: (id) => nights.push(id) });
+  const { poll: first } = await openPoll({ ...ctx, polls }, [A, B, C], { tieBreak: 'runoff' });
+  const nightId = ctx.db.prepare(`INSERT INTO nights (guild_id, channel_id, starts_at, poll_id) VALUES (?, 'c1', ?, ?)`)
+    .run(G, new Date(NOW + 3600_000).toISOString(), first.id).lastInsertRowid;
+  polls.vote(first, 'u1', 1);
+  polls.vote(first, 'u2', 2);
+  const tie = await polls.close(first.id);
+  assert.equal(tie.tie, 'runoff');
+
+  const { poll: runoff } = await openPoll({ ...ctx, polls }, tie.tied, {
+    channelId: 'c2', historyId: tie.poll.history_id, runoffOf: first.id, tieBreak: 'random',
+  });
+  const r = await polls.close(runoff.id);
+  assert.equal(r.tie, 'random');
+  assert.deepEqual(r.tied.map(m => m.title), ['Uno', 'Dos']);
+  assert.equal(r.winner.title, 'Dos');
+
+  const entry = polls.historyEntry(tie.poll.history_id);
+  assert.deepEqual(entry.items.filter(i => i.winner).map(i => i.tmdb_id), [2], 'la ganadora queda en el historial original');
+  assert.deepEqual(nights, [nightId]);
+  assert.equal(ctx.db.prepare(`SELECT title FROM nights`).get().title, 'Dos');
+});
+
+test('restore: re-arma las abiertas tras un reinicio', async () => {
+  const ctx = setup();
+  const { poll } = await openPoll(ctx);
+  await openPoll(ctx, [A, B], { channelId: 'c2' });
+  await ctx.polls.close(poll.id);
+
+  ctx.timers.armed.clear();
+  assert.equal(ctx.polls.restore(), 1);
+  assert.deepEqual([...ctx.timers.armed.keys()], [`poll:c2-${NOW}`]);
+});
+
+test('noche: la ganadora de su votación pasa a ser la peli de la noche', async () => {
+  const nights = [];
+  const ctx = setup();
+  const { poll } = await openPoll(ctx, [A, B]);
+  const nightId = ctx.db.prepare(`INSERT INTO nights (guild_id, channel_id, starts_at, poll_id) VALUES (?, 'c1', ?, ?)`)
+    .run(G, new Date(NOW + 3600_000).toISOString(), poll.id).lastInsertRowid;
+
+  const polls = createPollService({ ...ctx, onNightResult: (id) => nights.push(id) });
+  polls.vote(poll, 'u1', 2);
+  await polls.close(poll.id);
+
+  assert.deepEqual(nights, [nightId]);
+  assert.deepEqual(ctx.db.prepare(`SELECT tmdb_id, title FROM nights`).get(), { tmdb_id: 2, title: 'Dos' });
+});
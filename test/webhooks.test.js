@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { createWebhooks, checkWebhookUrl, isPrivateAddress } from '../webhooks.js';
+import { G } from './helpers.js';
+
+const quiet = { info() {}, warn() {}, error() {} };
+
+// Cola sobre una DB en memoria; lo que llega a http.post queda en posts
+function hooksOf(t, opts = {}) {
+  const db = new Database(':memory:');
+  t.after(() => db.close());
+  const posts = [];
+  const fakeHttp = { post: async (url) => { posts.push(url); return { status: 200 }; } };
+  const webhooks = createWebhooks({ db, http: fakeHttp, log: quiet, ...opts });
+  const deliveries = () => db.prepare(`SELECT status, attempts, last_error FROM webhook_deliveries ORDER BY id`).all();
+  return { webhooks, posts, deliveries };
+}
+
+const ping = { id: 'e1', type: 'ping', guild_id: G, created_at: '2026-10-19T20:00:00.000Z', data: {} };
+
+test('checkWebhookUrl: solo https y nada de la máquina del bot ni de la red interna', () => {
+  assert.equal(checkWebhookUrl('https://hooks.example.com/pistacho'), null);
+  assert.equal(checkWebhookUrl('https://93.184.216.34/x'), null);
+  assert.match(checkWebhookUrl('http://hooks.example.com/'), /https/);
+  assert.match(checkWebhookUrl('no es url'), /no es una URL/);
+  for (const url of [
+    'https://localhost:3000/', 'https://api.localhost/', 'https://127.0.0.1/', 'https://169.254.169.254/latest/meta-data',
+    'https://10.1.2.3/', 'https://192.168.1.10/', 'https://172.20.0.1/', 'https://[::1]/', 'https://[::ffff:127.0.0.1]/', 'https://[fd00::1]/',
+  ]) assert.match(checkWebhookUrl(url), /red interna/, url);
+
+  assert.equal(isPrivateAddress('8.8.8.8'), false);
+  assert.equal(isPrivateAddress('2606:4700::1111'), false);
+  assert.equal(isPrivateAddress('::ffff:10.0.0.1'), true);
+  assert.equal(isPrivateAddress('no-es-ip'), true);
+});
+
+test('envío: una URL guardada que no vale falla sin reintentos ni petición', async (t) => {
+  const { webhooks, posts, deliveries } = hooksOf(t);
+  webhooks.add(G, { url: 'http://127.0.0.1:8080/admin' });
+  webhooks.dispatch(ping);
+
+  await webhooks.processDue();
+  assert.deepEqual(posts, []);
+  assert.deepEqual(deliveries(), [{ status: 'failed', attempts: 1, last_error: 'URL bloqueada: tiene que empezar por https://' }]);
+});
+
+test('envío: si el DNS lleva a una red interna no se conecta (y no se reintenta)', async (t) => {
+  const lookups = [];
+  const lookup = (hostname, options, cb) => { lookups.push(hostname); cb(null, [{ address: '169.254.169.254', family: 4 }]); };
+  const { webhooks, deliveries } = hooksOf(t, { http: undefined, lookup, timeoutMs: 2000 });
+  webhooks.add(G, { url: 'https://hooks.example.com/pistacho' });
+  webhooks.dispatch(ping);
+
+  await webhooks.processDue();
+  assert.deepEqual(lookups, ['hooks.example.com']);
+  assert.deepEqual(deliveries(), [{ status: 'failed', attempts: 1, last_error: 'EPRIVATEADDR' }]);
+});
@@ -0,0 +1,197 @@
+import axios from 'axios';
+
+/* ======================
+   CLIENTE TMDB
+   - caché de respuestas en SQLite (con caducidad por tipo de petición)
+   - timeout, reintentos con espera exponencial en 429/5xx (respeta Retry-After)
+   - límite de peticiones simultáneas
+   - baseUrl configurable (pruebas contra un TMDB falso)
+   - onRequest({ endpoint, ms, ok, status }) por cada intento (métricas) y ping() para /health
+====================== */
+const DEFAULT_BASE_URL = 'https://api.themoviedb.org/3';
+const HOUR = 3600_000;
+
+// Cuánto vale una respuesta guardada (0 = no se cachea)
+export const TMDB_CACHE_TTL = {
+  search: 6 * HOUR,
+  find: 30 * 24 * HOUR,
+  details: 24 * HOUR,
+  recommendations: 24 * HOUR,
+  similar: 24 * HOUR,
+  discover: 12 * HOUR,
+  watchProviders: 0, // ya tiene su propia caché (watch_providers)
+};
+
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30_000;
+
+// Máximo `max` promesas a la vez; el resto espera en cola
+export function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+// Retry-After: segundos o fecha HTTP -> ms (null si no viene o no se entiende)
+function retryAfterMs(headers, now = Date.now()) {
+  const raw = headers?.['retry-after'];
+  if (raw == null || raw === '') return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// /movie/348/watch/providers -> /movie/:id/watch/providers (etiqueta de métricas sin ids)
+export const tmdbEndpoint = (urlPath) => urlPath.replace(/\/\d+(?=\/|$)/g, '/:id').replace(/\/tt\d+/g, '/:imdb_id');
+
+// Sin respuesta (red / timeout), 429 o 5xx -> merece otro intento
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+function cacheKey(urlPath, params) {
+  const sorted = Object.keys(params).sort().filter(k => params[k] !== undefined).map(k => [k, params[k]]);
+  return `${urlPath}?${JSON.stringify(sorted)}`;
+}
+
+export function createTmdbClient({
+  baseUrl = DEFAULT_BASE_URL,
+  bearer,
+  language = 'es-ES',
+  db = null,            // better-sqlite3: si no hay, sin caché
+  timeoutMs = 8000,
+  retries = 3,
+  concurrency = 4,
+  http = axios,
+  sleep = (ms) => new Promise(r => setTimeout(r, ms)),
+  onRequest = null,
+} = {}) {
+  const base = String(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const limit = createLimiter(concurrency);
+  const inflight = new Map(); // misma petición a la vez -> una sola llamada
+  const stats = { requests: 0, cacheHits: 0, retries: 0, errors: 0 };
+
+  if (db) {
+    db.prepare(`
+      CREATE TABLE IF NOT EXISTS tmdb_cache (
+        key TEXT PRIMARY KEY,
+        body TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `).run();
+    db.prepare(`DELETE FROM tmdb_cache WHERE expires_at < ?`).run(Date.now());
+  }
+
+  const cacheGet = (key) => {
+    const row = db?.prepare(`SELECT body FROM tmdb_cache WHERE key=? AND expires_at >= ?`).get(key, Date.now());
+    if (!row) return undefined;
+    try { return JSON.parse(row.body); } catch { return undefined; }
+  };
+
+  const cacheSet = (key, body, ttlMs) => {
+    db?.prepare(`
+      INSERT INTO tmdb_cache (key, body, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET body=excluded.body, expires_at=excluded.expires_at
+    `).run(key, JSON.stringify(body), Date.now() + ttlMs);
+  };
+
+  // Un intento: cuenta y avisa a onRequest (éxito o no)
+  async function attemptGet(urlPath, params, timeout) {
+    const started = Date.now();
+    const report = (ok, status) => onRequest?.({ endpoint: tmdbEndpoint(urlPath), ms: Date.now() - started, ok, status });
+    stats.requests++;
+    try {
+      const r = await http.get(`${base}${urlPath}`, {
+        headers: { Authorization: `Bearer ${bearer}` },
+        params,
+        timeout,
+      });
+      report(true, r.status ?? 200);
+      return r;
+    } catch (err) {
+      report(false, err?.response?.status ?? null);
+      throw err;
+    }
+  }
+
+  async function request(urlPath, params) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const r = await attemptGet(urlPath, params, timeoutMs);
+        return r.data ?? null;
+      } catch (err) {
+        if (attempt >= retries || !isRetryable(err)) {
+          stats.errors++;
+          throw err;
+        }
+        stats.retries++;
+        const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+        await sleep(Math.min(RETRY_MAX_MS, retryAfterMs(err.response?.headers) ?? backoff));
+      }
+    }
+  }
+
+  // ttlMs = cuánto guardar la respuesta (0 = nada)
+  async function get(urlPath, params = {}, { ttlMs = 0 } = {}) {
+    const fullParams = { language, ...params };
+    const key = cacheKey(urlPath, fullParams);
+
+    if (ttlMs > 0) {
+      const hit = cacheGet(key);
+      if (hit !== undefined) {
+        stats.cacheHits++;
+        return hit;
+      }
+    }
+    if (inflight.has(key)) return inflight.get(key);
+
+    const p = limit(() => request(urlPath, fullParams))
+      .then(data => {
+        if (ttlMs > 0 && data != null) cacheSet(key, data, ttlMs);
+        return data;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  const ttl = (kind) => ({ ttlMs: TMDB_CACHE_TTL[kind] });
+
+  // /health: una sola petición, sin caché ni reintentos -> ms que tardó (lanza si TMDB no responde)
+  async function ping(timeout = Math.min(timeoutMs, 3000)) {
+    const started = Date.now();
+    await attemptGet('/configuration', {}, timeout);
+    return Date.now() - started;
+  }
+
+  return {
+    baseUrl: base,
+    stats,
+    get,
+    ping,
+    findByImdb: (imdbId) => get(`/find/${imdbId}`, { external_source: 'imdb_id' }, ttl('find')),
+    search: (query) => get('/search/movie', { query, include_adult: false }, ttl('search')),
+    details: (tmdbId) => get(`/movie/${tmdbId}`, {}, ttl('details')),
+    recommendations: (tmdbId, page = 1) => get(`/movie/${tmdbId}/recommendations`, { page }, ttl('recommendations')),
+    similar: (tmdbId, page = 1) => get(`/movie/${tmdbId}/similar`, { page }, ttl('similar')),
+    discover: (params = {}) => get('/discover/movie', { include_adult: false, ...params }, ttl('discover')),
+    watchProviders: (tmdbId) => get(`/movie/${tmdbId}/watch/providers`, {}, ttl('watchProviders')),
+  };
+}
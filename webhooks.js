@@ -0,0 +1,270 @@
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import https from 'node:https';
+import net from 'node:net';
+import axios from 'axios';
+
+/* ======================
+   WEBHOOKS SALIENTES
+   - URLs por servidor, cada una con su secreto y los eventos que quiere
+   - firma HMAC-SHA256 de `${timestamp}.${cuerpo}` en X-Pistacho-Signature
+   - cola de envíos en SQLite: reintentos con espera exponencial, sobrevive a reinicios
+   - solo https y nunca a la máquina del bot ni a su red interna (también tras resolver el DNS al enviar)
+====================== */
+const RETRY_BASE_MS = 30_000;
+const RETRY_MAX_MS = 6 * 3600_000;
+const IDLE_MS = 60_000;   // sin nada pendiente, se vuelve a mirar la cola cada minuto
+const BATCH = 20;
+
+export const signWebhook = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Loopback, enlace local, redes privadas y reservadas: ahí un webhook no tiene nada que hacer
+const BLOCKED = new net.BlockList();
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED.addSubnet(addr, prefix, 'ipv4');
+for (const [addr, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) BLOCKED.addSubnet(addr, prefix, 'ipv6');
+
+export function isPrivateAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return BLOCKED.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// -> por qué no vale la URL, o null. Lo que dependa del DNS se mira al enviar
+export function checkWebhookUrl(url) {
+  if (!URL.canParse(url)) return 'no es una URL';
+  const u = new URL(url);
+  if (u.protocol !== 'https:') return 'tiene que empezar por https://';
+  const host = u.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    return 'no puede apuntar a la máquina del bot ni a una red interna';
+  }
+  return null;
+}
+
+// 2xx = entregado; 4xx (salvo 408/429) = no va a mejorar reintentando
+function isRetryable(status) {
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+export function createWebhooks({
+  db,
+  http = axios,
+  timeoutMs = 5000,
+  maxAttempts = 8,
+  userAgent = 'DonPistacho-Webhooks',
+  now = () => Date.now(),
+  lookup = dns.lookup,
+  log = console,
+} = {}) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL DEFAULT '*',
+      created_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL,
+      last_status INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      delivered_at TEXT,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+    )
+  `).run();
+
+  // La IP a la que se conecta el socket de verdad: no vale un DNS que cambie entre comprobar y enviar
+  function publicLookup(hostname, options, cb) {
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return cb(err);
+      if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+        return cb(Object.assign(new Error(`${hostname} resuelve a una red interna`), { code: 'EPRIVATEADDR' }));
+      }
+      if (options.all) return cb(null, addresses);
+      cb(null, addresses[0].address, addresses[0].family);
+    });
+  }
+  const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+  const stats = { delivered: 0, failed: 0, retries: 0 };
+  let timer = null;
+  let running = false;
+  let stopped = true;
+
+  // -> { id, secret } (el secreto solo se enseña al crear)
+  function add(guildId, { url, events = ['*'], createdBy = null }) {
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const id = db.prepare(`
+      INSERT INTO webhooks (guild_id, url, secret, events, created_by) VALUES (?, ?, ?, ?, ?)
+    `).run(guildId, url, secret, events.join(','), createdBy).lastInsertRowid;
+    return { id: Number(id), secret };
+  }
+
+  function remove(guildId, id) {
+    return db.transaction(() => {
+      const hook = db.prepare(`SELECT id FROM webhooks WHERE guild_id=? AND id=?`).get(guildId, id);
+      if (!hook) return false;
+      db.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id=?`).run(id);
+      db.prepare(`DELETE FROM webhooks WHERE id=?`).run(id);
+      return true;
+    })();
+  }
+
+  function list(guildId) {
+    return db.prepare(`
+      SELECT w.id, w.url, w.events, w.created_by, w.created_at,
+             (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status='pending') AS pending,
+             (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status='failed') AS failed,
+             (SELECT d.last_status FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.attempts > 0 ORDER BY d.id DESC LIMIT 1) AS last_status
+      FROM webhooks w
+      WHERE w.guild_id=?
+      ORDER BY w.id ASC
+    `).all(guildId);
+  }
+
+  // Envíos en cola de todos los servidores (gauge de /metrics)
+  function pendingCount() {
+    return db.prepare(`SELECT COUNT(*) AS c FROM webhook_deliveries WHERE status='pending'`).get().c;
+  }
+
+  // Encola el evento para las URLs del servidor que lo quieran (only = solo esa URL, p.ej. una prueba)
+  function dispatch(event, { only = null } = {}) {
+    const hooks = db.prepare(`SELECT id, events FROM webhooks WHERE guild_id=?`).all(event.guild_id)
+      .filter(h => (only == null || h.id === only) && (only != null || h.events === '*' || h.events.split(',').includes(event.type)));
+    if (!hooks.length) return 0;
+
+    const payload = JSON.stringify(event);
+    const ins = db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      for (const h of hooks) ins.run(h.id, event.id, event.type, payload, now());
+    })();
+    kick();
+    return hooks.length;
+  }
+
+  // blocked = la URL no vale (o resuelve a una red interna): no se reintenta
+  async function deliver(d) {
+    const invalid = checkWebhookUrl(d.url);
+    if (invalid) return { status: null, error: `URL bloqueada: ${invalid}`, blocked: true };
+
+    const timestamp = Math.floor(now() / 1000);
+    try {
+      const r = await http.post(d.url, d.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': userAgent,
+          'X-Pistacho-Event': d.event_type,
+          'X-Pistacho-Delivery': String(d.id),
+          'X-Pistacho-Event-Id': d.event_id,
+          'X-Pistacho-Timestamp': String(timestamp),
+          'X-Pistacho-Signature': signWebhook(d.secret, timestamp, d.payload),
+        },
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        httpsAgent,
+        proxy: false, // si no, el proxy resolvería el host y publicLookup no se enteraría
+        transformRequest: [(body) => body], // se firma el texto exacto que se manda
+        validateStatus: () => true,
+      });
+      return { status: r.status, error: r.status >= 200 && r.status < 300 ? null : `HTTP ${r.status}` };
+    } catch (e) {
+      return { status: null, error: String(e?.code || e?.message || e).slice(0, 200), blocked: e?.code === 'EPRIVATEADDR' };
+    }
+  }
+
+  async function processDue() {
+    const due = db.prepare(`
+      SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status='pending' AND d.next_attempt_at <= ?
+      ORDER BY d.next_attempt_at ASC
+      LIMIT ?
+    `).all(now(), BATCH);
+
+    await Promise.all(due.map(async (d) => {
+      const { status, error, blocked } = await deliver(d);
+      const attempts = d.attempts + 1;
+
+      if (!error) {
+        stats.delivered++;
+        db.prepare(`
+          UPDATE webhook_deliveries SET status='delivered', attempts=?, last_status=?, last_error=NULL, delivered_at=datetime('now') WHERE id=?
+        `).run(attempts, status, d.id);
+        return;
+      }
+
+      const giveUp = blocked || attempts >= maxAttempts || !isRetryable(status);
+      if (giveUp) stats.failed++;
+      else stats.retries++;
+      const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+      db.prepare(`
+        UPDATE webhook_deliveries SET status=?, attempts=?, last_status=?, last_error=?, next_attempt_at=? WHERE id=?
+      `).run(giveUp ? 'failed' : 'pending', attempts, status, error, now() + backoff, d.id);
+    }));
+
+    return due.length;
+  }
+
+  function schedule(ms) {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, Math.max(0, ms));
+    timer.unref?.();
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    let handled = 0;
+    try {
+      handled = await processDue();
+    } catch (e) {
+      log.warn('Webhooks: falló la cola de envíos', { err: e });
+    } finally {
+      running = false;
+    }
+
+    if (handled >= BATCH) return schedule(0);
+    const next = db.prepare(`SELECT MIN(next_attempt_at) AS at FROM webhook_deliveries WHERE status='pending'`).get().at;
+    schedule(next == null ? IDLE_MS : Math.min(IDLE_MS, next - now()));
+  }
+
+  // Algo nuevo en la cola: se mira ya (si ya está enviando, el siguiente tick lo recoge)
+  function kick() {
+    if (!running) schedule(0);
+  }
+
+  return {
+    stats,
+    add,
+    remove,
+    list,
+    pendingCount,
+    dispatch,
+    processDue,
+    start: () => { stopped = false; schedule(0); },
+    stop: () => { stopped = true; clearTimeout(timer); },
+  };
+}